@@ -0,0 +1,229 @@
+// Integration tests: --archive keeps deleted branches under hidden refs or
+// tags in a real repository, and archives can be listed and pruned.
+const fs = require("fs");
+const path = require("path");
+const GitCleanupTool = require("../src/index");
+const {
+  git,
+  makeTempDir,
+  initRepo,
+  initBareRepo,
+  createSpinner,
+} = require("./helpers/repo");
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+describe("branch archives", () => {
+  let originalCwd;
+  let tmpDir;
+  let repoDir;
+  let tool;
+  let tips;
+
+  const refs = (prefix) =>
+    git(repoDir, "for-each-ref", "--format=%(refname) %(objectname)", prefix);
+
+  beforeEach(() => {
+    originalCwd = process.cwd();
+    tmpDir = makeTempDir("archive");
+    repoDir = path.join(tmpDir, "repo");
+    const originDir = path.join(tmpDir, "origin.git");
+    initBareRepo(originDir);
+    initRepo(repoDir);
+    git(repoDir, "remote", "add", "origin", originDir);
+
+    tips = {};
+    for (const branch of ["feature/tracked", "local"]) {
+      git(repoDir, "checkout", "-q", "-b", branch, "main");
+      git(repoDir, "commit", "-q", "--allow-empty", "-m", `${branch} work`);
+      tips[branch] = git(repoDir, "rev-parse", "HEAD");
+      git(repoDir, "checkout", "-q", "main");
+      git(repoDir, "merge", "-q", "--no-ff", "-m", `merge ${branch}`, branch);
+    }
+    git(repoDir, "push", "-q", "-u", "origin", "feature/tracked");
+
+    process.chdir(repoDir);
+
+    tool = new GitCleanupTool();
+    tool.spinner = createSpinner();
+    tool.sleep = jest.fn(() => Promise.resolve());
+    tool.currentBranch = "main";
+    tool.archive = true;
+    tool.askConfirmation = jest.fn().mockResolvedValue(true);
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it("should archive a tracked branch under a dated hidden ref", async () => {
+    tool.branchesToDelete = ["feature/tracked"];
+
+    await tool.deleteBranches();
+
+    expect(tool.spinner.info).toHaveBeenCalledWith(
+      "Each branch is archived under refs/archive/ before it is deleted.",
+    );
+    expect(refs("refs/archive/")).toBe(
+      `refs/archive/${today()}/feature/tracked ${tips["feature/tracked"]}`,
+    );
+    expect(git(repoDir, "branch", "--list", "feature/tracked")).toBe("");
+  });
+
+  it("should archive untracked branches as tags", async () => {
+    tool.archiveRef = "archive/{branch}";
+    tool.untrackedOnly = true;
+    await tool.checkUntrackedBranches();
+
+    await tool.deleteBranches();
+
+    expect(git(repoDir, "tag", "--list")).toBe("archive/local");
+    expect(git(repoDir, "rev-parse", "archive/local")).toBe(tips.local);
+    expect(git(repoDir, "branch", "--list", "local")).toBe("");
+  });
+
+  it("should keep a branch whose archive ref already exists", async () => {
+    tool.archiveRef = "archive/{branch}";
+    git(repoDir, "tag", "archive/local", "main");
+    tool.branchesToDelete = ["local"];
+
+    await tool.deleteBranches();
+
+    expect(tool.spinner.log).toHaveBeenCalledWith(
+      "❌ Failed to archive branch local, not deleted",
+      expect.anything(),
+    );
+    expect(git(repoDir, "branch", "--list", "local")).not.toBe("");
+  });
+
+  it("should not archive without --archive", async () => {
+    tool.archive = false;
+    tool.branchesToDelete = ["local"];
+
+    await tool.deleteBranches();
+
+    expect(refs("refs/archive/")).toBe("");
+  });
+
+  describe("listing and pruning", () => {
+    beforeEach(() => {
+      git(
+        repoDir,
+        "update-ref",
+        "refs/archive/2000-01-01/old",
+        tips["feature/tracked"],
+      );
+      git(repoDir, "update-ref", `refs/archive/${today()}/new`, tips.local);
+    });
+
+    it("should list archives with their dates", async () => {
+      await tool.listArchives();
+
+      expect(tool.spinner.info).toHaveBeenCalledWith(
+        "2 archived branch(es) under refs/archive/:",
+      );
+      expect(tool.spinner.log).toHaveBeenCalledWith(
+        `  2000-01-01  ${tips["feature/tracked"].slice(0, 7)}  refs/archive/2000-01-01/old`,
+      );
+    });
+
+    it("should report when there are no archives", async () => {
+      tool.archiveRef = "archive/{branch}";
+
+      await tool.listArchives();
+
+      expect(tool.spinner.warning).toHaveBeenCalledWith(
+        "No archived branches found under refs/tags/archive/",
+      );
+    });
+
+    it("should prune archives older than the given days", async () => {
+      tool.pruneArchivesDays = 30;
+
+      await tool.pruneArchives();
+
+      expect(tool.askConfirmation).toHaveBeenCalledWith(
+        "Proceed with pruning? (y/N): ",
+      );
+      expect(refs("refs/archive/")).toBe(
+        `refs/archive/${today()}/new ${tips.local}`,
+      );
+      expect(tool.spinner.success).toHaveBeenCalledWith(
+        "Pruned 1 archived branches",
+      );
+    });
+
+    it("should only preview pruning in dry-run mode", async () => {
+      tool.pruneArchivesDays = 30;
+      tool.dryRun = true;
+
+      await tool.pruneArchives();
+
+      expect(tool.spinner.log).toHaveBeenCalledWith(
+        "  🗄️ refs/archive/2000-01-01/old",
+        expect.anything(),
+      );
+      expect(tool.askConfirmation).not.toHaveBeenCalled();
+      expect(refs("refs/archive/").split("\n")).toHaveLength(2);
+    });
+
+    it("should keep archives when pruning is cancelled", async () => {
+      tool.pruneArchivesDays = 30;
+      tool.askConfirmation.mockResolvedValue(false);
+
+      await tool.pruneArchives();
+
+      expect(tool.spinner.info).toHaveBeenCalledWith("Cancelled.");
+      expect(refs("refs/archive/").split("\n")).toHaveLength(2);
+    });
+
+    it("should report when nothing is old enough", async () => {
+      tool.pruneArchivesDays = 100000;
+
+      await tool.pruneArchives();
+
+      expect(tool.spinner.info).toHaveBeenCalledWith(
+        "No archived branches older than 100000 days.",
+      );
+    });
+
+    it("should take the date from its place in the template", async () => {
+      tool.archiveRef = "refs/archive/{branch}/{date}";
+      git(
+        repoDir,
+        "update-ref",
+        "refs/archive/release-2020-01-01/2024-05-01",
+        tips.local,
+      );
+
+      const archives = await tool.getArchives();
+
+      expect(
+        archives.find(
+          (a) => a.ref === "refs/archive/release-2020-01-01/2024-05-01",
+        ).date,
+      ).toEqual(new Date("2024-05-01T00:00:00Z"));
+    });
+
+    it("should fall back to the commit date without {date}", async () => {
+      tool.archiveRef = "archive/{branch}";
+      git(repoDir, "tag", "archive/local", tips.local);
+
+      const archives = await tool.getArchives();
+
+      expect(archives).toEqual([
+        {
+          ref: "refs/tags/archive/local",
+          sha: tips.local,
+          date: expect.any(Date),
+        },
+      ]);
+      expect(Date.now() - archives[0].date.getTime()).toBeLessThan(
+        24 * 60 * 60 * 1000,
+      );
+    });
+  });
+});
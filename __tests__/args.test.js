@@ -0,0 +1,140 @@
+const { parseArgs, formatHelp } = require("../src/utils/args");
+
+const OPTIONS = [
+  { name: "dry-run", short: "n", description: "Preview only" },
+  { name: "verbose", short: "v", description: "Say more" },
+  {
+    name: "format",
+    short: "f",
+    value: "<format>",
+    description: "Output format",
+  },
+  {
+    name: "protect",
+    value: "<pattern>",
+    repeatable: true,
+    description: "Protected pattern",
+  },
+  {
+    name: "days",
+    value: "<n>",
+    description: "Number of days",
+    parse: (value) => {
+      if (!/^\d+$/.test(value)) {
+        throw new Error(`Not a number: ${value}`);
+      }
+      return Number(value);
+    },
+  },
+  {
+    name: "restore",
+    value: "<branch>",
+    optionalValue: true,
+    description: "Restore a branch",
+  },
+];
+
+describe("parseArgs", () => {
+  it.each([
+    [["--dry-run", "-v"], { "dry-run": true, verbose: true }],
+    [["-nv"], { "dry-run": true, verbose: true }],
+    [["--format", "plain"], { format: "plain" }],
+    [["--format=plain"], { format: "plain" }],
+    [["-f", "plain"], { format: "plain" }],
+    [["-fplain"], { format: "plain" }],
+    [["-nf", "plain"], { "dry-run": true, format: "plain" }],
+    [["--format", "table", "--format=plain"], { format: "plain" }],
+    [["--format=a=b"], { format: "a=b" }],
+    [["--days", "30"], { days: 30 }],
+    [["-v", "--no-verbose"], { verbose: false }],
+    [["--protect", "a", "--protect=b"], { protect: ["a", "b"] }],
+    [["--restore"], { restore: true }],
+    [["--restore", "-n"], { restore: true, "dry-run": true }],
+    [["--restore", "feature"], { restore: "feature" }],
+  ])("should parse %p", (argv, values) => {
+    expect(parseArgs(argv, OPTIONS)).toEqual({
+      values,
+      positionals: [],
+      error: null,
+    });
+  });
+
+  it("should accept positional arguments anywhere", () => {
+    expect(parseArgs(["-n", "repo", "--verbose", "other"], OPTIONS)).toEqual({
+      values: { "dry-run": true, verbose: true },
+      positionals: ["repo", "other"],
+      error: null,
+    });
+  });
+
+  it("should treat everything after -- as positional", () => {
+    expect(parseArgs(["-n", "--", "--verbose", "-x"], OPTIONS)).toEqual({
+      values: { "dry-run": true },
+      positionals: ["--verbose", "-x"],
+      error: null,
+    });
+  });
+
+  it("should treat a lone - as positional", () => {
+    expect(parseArgs(["--format", "-"], OPTIONS).values).toEqual({
+      format: "-",
+    });
+    expect(parseArgs(["-"], OPTIONS).positionals).toEqual(["-"]);
+  });
+
+  it.each([
+    [["--unknown"], "Unknown option: --unknown"],
+    [["-nx"], "Unknown option: -x"],
+    [["--no-format"], "Unknown option: --no-format"],
+    [["--no-verbose=1"], "Unknown option: --no-verbose"],
+    [["--verbose=yes"], "Option --verbose does not take a value"],
+    [["--format"], "Option --format needs a value (<format>)"],
+    [["--format="], "Option --format needs a value (<format>)"],
+    [["--format", "-n"], "Option --format needs a value (<format>)"],
+    [["-f"], "Option -f needs a value (<format>)"],
+    [["--days", "soon"], "Not a number: soon"],
+  ])("should report %p without throwing", (argv, error) => {
+    expect(parseArgs(argv, OPTIONS).error).toBe(error);
+  });
+
+  it("should keep the values parsed before an error", () => {
+    expect(parseArgs(["-n", "--days", "x", "-v"], OPTIONS)).toEqual({
+      values: { "dry-run": true },
+      positionals: [],
+      error: "Not a number: x",
+    });
+  });
+});
+
+describe("formatHelp", () => {
+  it("should list every option with its aliases and value", () => {
+    expect(formatHelp(OPTIONS).split("\n")).toEqual([
+      `    ${"-n, --dry-run".padEnd(22)}Preview only`,
+      `    ${"-v, --verbose".padEnd(22)}Say more`,
+      `    ${"-f, --format <format>".padEnd(22)}Output format`,
+      `    ${"--protect <pattern>".padEnd(22)}Protected pattern`,
+      `    ${"--days <n>".padEnd(22)}Number of days`,
+      `    ${"--restore [<branch>]".padEnd(22)}Restore a branch`,
+    ]);
+  });
+
+  it("should wrap long descriptions and put long usages on their own line", () => {
+    const help = formatHelp([
+      {
+        name: "a-rather-long-option",
+        value: "<value>",
+        description: `${"word ".repeat(20)}end`,
+      },
+    ]);
+
+    const lines = help.split("\n");
+    expect(lines[0]).toBe("    --a-rather-long-option <value>");
+    expect(
+      lines.slice(1).every((line) => line.startsWith(" ".repeat(26))),
+    ).toBe(true);
+    expect(lines.every((line) => line.length <= 80)).toBe(true);
+    expect(lines.slice(1).join(" ").split(/\s+/).filter(Boolean)).toHaveLength(
+      21,
+    );
+  });
+});
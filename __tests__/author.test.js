@@ -0,0 +1,135 @@
+// Integration tests: --author keeps the branches whose own commits are by the
+// given author, in a real repository shared by several people.
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const GitCleanupTool = require("../src/index");
+const { git, makeTempDir, initRepo, createSpinner } = require("./helpers/repo");
+
+describe("author filter", () => {
+  let originalCwd;
+  let repoDir;
+  let tool;
+
+  const commitAs = (email, file) => {
+    fs.writeFileSync(path.join(repoDir, file), `${file}\n`);
+    git(repoDir, "add", file);
+    execFileSync("git", ["commit", "-q", "-m", file], {
+      cwd: repoDir,
+      env: { ...process.env, GIT_AUTHOR_EMAIL: email },
+    });
+  };
+
+  beforeEach(() => {
+    originalCwd = process.cwd();
+    repoDir = initRepo(makeTempDir("author"), {
+      email: "Me@Example.com",
+      name: "Me",
+      commit: false,
+    });
+    commitAs("other@example.com", "initial");
+
+    git(repoDir, "checkout", "-q", "-b", "mine", "main");
+    commitAs("me@example.com", "mine");
+    git(repoDir, "checkout", "-q", "-b", "theirs", "main");
+    commitAs("other@example.com", "theirs");
+    // Someone else's branch with one of my commits on top
+    git(repoDir, "checkout", "-q", "-b", "shared", "main");
+    commitAs("other@example.com", "shared-1");
+    commitAs("me@example.com", "shared-2");
+    // Fully merged: only the tip tells whose it was
+    git(repoDir, "checkout", "-q", "-b", "merged-mine", "main");
+    commitAs("me@example.com", "merged-mine");
+    git(repoDir, "checkout", "-q", "-b", "merged-theirs", "main");
+    commitAs("other@example.com", "merged-theirs");
+    git(repoDir, "checkout", "-q", "main");
+    git(repoDir, "merge", "-q", "--ff-only", "merged-mine");
+    git(repoDir, "merge", "-q", "--no-ff", "-m", "merge", "merged-theirs");
+
+    process.chdir(repoDir);
+    tool = new GitCleanupTool();
+    tool.spinner = createSpinner();
+    tool.sleep = jest.fn(() => Promise.resolve());
+    tool.currentBranch = "main";
+    tool.localMode = true;
+    jest.spyOn(process, "exit").mockImplementation(() => {});
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(repoDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const useAuthor = async (author) => {
+    process.argv = ["node", "script.js", "--author", author];
+    tool.parseArguments();
+    await tool.loadAuthorFilter();
+  };
+
+  it("should resolve me from user.email", async () => {
+    await useAuthor("me");
+
+    expect(tool.authorEmail).toBe("Me@Example.com");
+    expect(tool.spinner.success).toHaveBeenCalledWith(
+      "Only branches by Me@Example.com",
+    );
+    expect(await tool.getLocalBranches()).toEqual([
+      "merged-mine",
+      "mine",
+      "shared",
+    ]);
+    expect([...tool.otherAuthorBranches]).toEqual(["merged-theirs", "theirs"]);
+  });
+
+  it("should match an explicit email", async () => {
+    await useAuthor("other@example.com");
+
+    expect(await tool.getLocalBranches()).toEqual([
+      "merged-theirs",
+      "shared",
+      "theirs",
+    ]);
+  });
+
+  it("should only offer the author's merged branches", async () => {
+    await useAuthor("me");
+
+    await tool.checkLocalBranches();
+
+    expect(tool.branchesToDelete).toEqual(["merged-mine"]);
+  });
+
+  it("should count branches by other authors separately", async () => {
+    await useAuthor("me");
+
+    await tool.countBranches();
+
+    expect(console.log).toHaveBeenCalledWith("  Total branches: 3");
+    expect(console.log).toHaveBeenCalledWith(
+      "  Not by Me@Example.com (not counted): 2",
+    );
+  });
+
+  it("should stop when --author me has no user.email", async () => {
+    git(repoDir, "config", "--unset", "user.email");
+    const home = makeTempDir("author-home");
+    const env = { ...process.env };
+    process.env.HOME = home;
+    process.env.XDG_CONFIG_HOME = home;
+    process.env.GIT_CONFIG_NOSYSTEM = "1";
+
+    try {
+      await useAuthor("me");
+    } finally {
+      process.env = env;
+      fs.rmSync(home, { recursive: true, force: true });
+    }
+
+    expect(tool.spinner.error).toHaveBeenCalledWith(
+      "--author me needs user.email in git config (git config user.email you@example.com)",
+    );
+    expect(process.exit).toHaveBeenCalledWith(GitCleanupTool.EXIT_CODES.ERROR);
+  });
+});
@@ -0,0 +1,302 @@
+// Layered configuration: the layer builders in isolation, then loadConfig()
+// and --print-config against a real repository, user file and environment.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const GitCleanupTool = require("../src/index");
+const {
+  getUserConfigPath,
+  layerFromFile,
+  layerFromGitConfig,
+  layerFromEnv,
+  parseSetting,
+  resolveConfig,
+} = require("../src/utils/config");
+const { git, makeTempDir, initRepo, createSpinner } = require("./helpers/repo");
+
+describe("config layers", () => {
+  it("should find the user config under XDG_CONFIG_HOME or ~/.config", () => {
+    expect(getUserConfigPath({ XDG_CONFIG_HOME: "/xdg" })).toBe(
+      path.join("/xdg", "git-cleanup-merged", "config.json"),
+    );
+    expect(getUserConfigPath({})).toBe(
+      path.join(os.homedir(), ".config", "git-cleanup-merged", "config.json"),
+    );
+  });
+
+  it.each([
+    ["concurrency", "8", 8],
+    ["concurrency", 12, 12],
+    ["timeout", " 30 ", 30],
+    ["provider", "gitlab", "gitlab"],
+    ["provider", "auto", "auto"],
+    ["format", "plain", "plain"],
+    ["protected", ["develop", "/^rel/"], ["develop", "/^rel/"]],
+  ])("should parse %s %p", (name, value, expected) => {
+    expect(parseSetting(name, value, "test")).toEqual(expected);
+  });
+
+  it.each([
+    [
+      "concurrency",
+      "0",
+      "test: concurrency must be a whole number from 1 to 50",
+    ],
+    [
+      "concurrency",
+      "2.5",
+      "test: concurrency must be a whole number from 1 to 50",
+    ],
+    ["timeout", "", "test: timeout must be a whole number from 1 to 3600"],
+    [
+      "provider",
+      "bitbucket",
+      "test: provider must be one of auto, github, gitlab",
+    ],
+    ["format", "json", "test: format must be one of table, plain"],
+    ["protected", "develop", "test: protected must be a list of patterns"],
+  ])("should reject %s %p", (name, value, message) => {
+    expect(() => parseSetting(name, value, "test")).toThrow(message);
+  });
+
+  it("should name the invalid pattern", () => {
+    expect(() => parseSetting("protected", ["ok", ""], "test")).toThrow(
+      "test: protected contains an empty pattern",
+    );
+  });
+
+  it("should only read known settings from files", () => {
+    expect(
+      layerFromFile({ concurrency: 3, unknown: true }, "user config (f)"),
+    ).toEqual({
+      values: { concurrency: 3 },
+      sources: { concurrency: "user config (f)" },
+    });
+  });
+
+  it("should read cleanup-merged.* keys from git config", () => {
+    const layer = layerFromGitConfig(
+      [
+        "cleanup-merged.protected develop",
+        "cleanup-merged.protected release/*",
+        "cleanup-merged.timeout 20",
+        "cleanup-merged.git.corp.example.provider gitlab",
+        "cleanup-merged.unknown 1",
+      ].join("\n"),
+    );
+
+    expect(layer).toEqual({
+      values: { protected: ["develop", "release/*"], timeout: 20 },
+      sources: {
+        protected: "git config (cleanup-merged.protected)",
+        timeout: "git config (cleanup-merged.timeout)",
+      },
+    });
+  });
+
+  it("should read GIT_CLEANUP_MERGED_* variables", () => {
+    const layer = layerFromEnv({
+      GIT_CLEANUP_MERGED_PROTECTED: "develop, staging,",
+      GIT_CLEANUP_MERGED_FORMAT: "plain",
+      GIT_CLEANUP_MERGED_TIMEOUT: "",
+    });
+
+    expect(layer.values).toEqual({
+      protected: ["develop", "staging"],
+      format: "plain",
+    });
+    expect(layer.sources.format).toBe(
+      "environment (GIT_CLEANUP_MERGED_FORMAT)",
+    );
+  });
+
+  it("should let later layers win and combine protected patterns", () => {
+    const { values, sources } = resolveConfig([
+      {
+        values: { concurrency: 2, protected: ["develop"] },
+        sources: { concurrency: "a", protected: "a" },
+      },
+      {
+        values: { concurrency: 9, protected: ["develop", "main", "qa"] },
+        sources: { concurrency: "b", protected: "b" },
+      },
+    ]);
+
+    expect(values).toEqual({
+      protected: ["main", "master", "develop", "qa"],
+      concurrency: 9,
+      timeout: null,
+      provider: "auto",
+      format: "table",
+    });
+    expect(sources).toEqual({
+      protected: ["default", "default", "a", "b"],
+      concurrency: "b",
+      timeout: "default",
+      provider: "default",
+      format: "default",
+    });
+  });
+});
+
+describe("loadConfig", () => {
+  let originalCwd;
+  let originalEnv;
+  let tmpDir;
+  let repoDir;
+  let userFile;
+  let tool;
+
+  beforeEach(() => {
+    originalCwd = process.cwd();
+    originalEnv = process.env;
+    tmpDir = makeTempDir("config-layers");
+    repoDir = path.join(tmpDir, "repo");
+    initRepo(repoDir, { commit: false });
+    userFile = path.join(tmpDir, "xdg", "git-cleanup-merged", "config.json");
+    fs.mkdirSync(path.dirname(userFile), { recursive: true });
+    process.env = {
+      ...originalEnv,
+      XDG_CONFIG_HOME: path.join(tmpDir, "xdg"),
+    };
+    for (const name of Object.keys(process.env)) {
+      if (name.startsWith("GIT_CLEANUP_MERGED_")) {
+        delete process.env[name];
+      }
+    }
+
+    process.chdir(repoDir);
+    tool = new GitCleanupTool();
+    tool.spinner = createSpinner();
+    jest.spyOn(process, "exit").mockImplementation(() => {});
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    process.env = originalEnv;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  // Every layer sets concurrency; each one overrides the one before
+  const writeAllLayers = () => {
+    fs.writeFileSync(
+      userFile,
+      JSON.stringify({ concurrency: 2, format: "plain", protected: ["u/*"] }),
+    );
+    fs.writeFileSync(
+      path.join(repoDir, ".git-cleanup-merged.json"),
+      JSON.stringify({ concurrency: 3, provider: "gitlab", protected: ["r"] }),
+    );
+    git(repoDir, "config", "cleanup-merged.concurrency", "4");
+    git(repoDir, "config", "cleanup-merged.timeout", "45");
+    process.env.GIT_CLEANUP_MERGED_CONCURRENCY = "6";
+  };
+
+  it("should apply each layer on top of the one before", async () => {
+    writeAllLayers();
+    process.argv = [
+      "node",
+      "script.js",
+      "--concurrency",
+      "7",
+      "--protect",
+      "c",
+    ];
+    tool.parseArguments();
+
+    await tool.loadConfig();
+
+    expect(tool.config.values).toEqual({
+      protected: ["main", "master", "u/*", "r", "c"],
+      concurrency: 7,
+      timeout: 45,
+      provider: "gitlab",
+      format: "plain",
+    });
+    expect(tool.concurrency).toBe(7);
+    expect(tool.timeout).toBe(45000);
+    expect(tool.providerName).toBe("gitlab");
+    expect(tool.providerExplicit).toBe(true);
+    expect(tool.format).toBe("plain");
+    expect(tool.getProtection("u/x")).toBe("matches protected pattern u/*");
+
+    delete process.env.GIT_CLEANUP_MERGED_CONCURRENCY;
+    tool.cliConfig = { values: {}, sources: {} };
+    await tool.loadConfig();
+    expect(tool.concurrency).toBe(4);
+  });
+
+  it("should go back to provider detection with --provider auto", async () => {
+    writeAllLayers();
+    process.argv = ["node", "script.js", "--provider", "auto"];
+    tool.parseArguments();
+
+    await tool.loadConfig();
+
+    expect(tool.providerExplicit).toBe(false);
+    expect(tool.providerName).toBe("github");
+  });
+
+  it("should print every setting with its source", async () => {
+    writeAllLayers();
+    process.argv = ["node", "script.js", "--protect", "c"];
+    tool.parseArguments();
+    await tool.loadConfig();
+
+    tool.showConfig();
+
+    const repoFile = path.join(
+      fs.realpathSync(repoDir),
+      ".git-cleanup-merged.json",
+    );
+    const lines = console.log.mock.calls.map(([line]) => line);
+    expect(lines).toEqual(
+      expect.arrayContaining([
+        `    ${"main".padEnd(24)} default`,
+        `    ${"u/*".padEnd(24)} user config (${userFile})`,
+        `    ${"r".padEnd(24)} repo config (${repoFile})`,
+        `    ${"c".padEnd(24)} command line (--protect)`,
+        `  ${"concurrency".padEnd(12)} ${"6".padEnd(12)} environment (GIT_CLEANUP_MERGED_CONCURRENCY)`,
+        `  ${"timeout".padEnd(12)} ${"45".padEnd(12)} git config (cleanup-merged.timeout)`,
+        `  ${"provider".padEnd(12)} ${"gitlab".padEnd(12)} repo config (${repoFile})`,
+        `  ${"format".padEnd(12)} ${"plain".padEnd(12)} user config (${userFile})`,
+        `  User config file: ${userFile}`,
+      ]),
+    );
+  });
+
+  it("should show the defaults without any configuration", async () => {
+    await tool.loadConfig();
+
+    tool.showConfig();
+
+    expect(console.log).toHaveBeenCalledWith(
+      `  ${"timeout".padEnd(12)} ${"per command".padEnd(12)} default`,
+    );
+    expect(tool.timeout).toBeNull();
+    expect(tool.providerExplicit).toBe(false);
+  });
+
+  it("should stop on an invalid value and name its source", async () => {
+    process.env.GIT_CLEANUP_MERGED_FORMAT = "json";
+
+    await tool.loadConfig();
+
+    expect(tool.spinner.error).toHaveBeenCalledWith(
+      "Invalid configuration: environment (GIT_CLEANUP_MERGED_FORMAT): format must be one of table, plain",
+    );
+    expect(process.exit).toHaveBeenCalledWith(GitCleanupTool.EXIT_CODES.ERROR);
+  });
+
+  it("should stop on a malformed user config file", async () => {
+    fs.writeFileSync(userFile, "{");
+
+    await tool.loadConfig();
+
+    expect(tool.spinner.error).toHaveBeenCalledWith(
+      expect.stringMatching(/^Invalid configuration: .* is not valid JSON/),
+    );
+  });
+});
@@ -0,0 +1,93 @@
+// Integration tests: the default branch is detected from a real clone, used
+// for protection and as the base for merge checks.
+const fs = require("fs");
+const path = require("path");
+const GitCleanupTool = require("../src/index");
+const { git, makeTempDir, initRepo, createSpinner } = require("./helpers/repo");
+
+describe("default branch detection", () => {
+  let originalCwd;
+  let tmpDir;
+  let repoDir;
+  let tool;
+
+  beforeEach(() => {
+    originalCwd = process.cwd();
+    tmpDir = makeTempDir("default");
+    const seedDir = path.join(tmpDir, "seed");
+    const originDir = path.join(tmpDir, "origin.git");
+    repoDir = path.join(tmpDir, "repo");
+
+    // origin's HEAD points at trunk; main also exists but is not the default
+    initRepo(seedDir, { branch: "trunk" });
+    git(seedDir, "branch", "main");
+    git(seedDir, "checkout", "-q", "-b", "done");
+    fs.writeFileSync(path.join(seedDir, "done.txt"), "done\n");
+    git(seedDir, "add", "done.txt");
+    git(seedDir, "commit", "-q", "-m", "done work");
+    git(seedDir, "checkout", "-q", "trunk");
+    git(seedDir, "merge", "-q", "--no-ff", "-m", "merge done", "done");
+    git(tmpDir, "clone", "-q", "--bare", seedDir, originDir);
+    git(tmpDir, "clone", "-q", originDir, repoDir);
+    git(repoDir, "branch", "main", "origin/main");
+    git(repoDir, "branch", "done", "origin/done");
+    git(repoDir, "checkout", "-q", "-b", "current");
+
+    process.chdir(repoDir);
+    tool = new GitCleanupTool();
+    tool.spinner = createSpinner();
+    tool.localMode = true;
+    jest.spyOn(process, "exit").mockImplementation(() => {});
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it("should detect the default branch from the remote HEAD", async () => {
+    await tool.showDefaultBranch();
+
+    expect(tool.spinner.success).toHaveBeenCalledWith(
+      "Default branch: trunk (from refs/remotes/origin/HEAD)",
+    );
+  });
+
+  it("should fall back to init.defaultBranch without a remote HEAD", async () => {
+    git(repoDir, "remote", "set-head", "origin", "--delete");
+    git(repoDir, "config", "init.defaultBranch", "trunk");
+
+    expect(await tool.getBaseBranch()).toBe("trunk");
+    expect(tool.defaultBranchSource).toBe("init.defaultBranch");
+  });
+
+  it("should protect the default branch and compare against it", async () => {
+    tool.currentBranch = "current";
+    await tool.loadConfig();
+    await tool.getBaseBranch();
+
+    await tool.checkLocalBranches();
+
+    expect(tool.protectedBranches.get("trunk")).toBe("default branch");
+    expect(tool.branchesToDelete).toEqual(["done"]);
+  });
+
+  it("should use --default-branch instead of detecting", async () => {
+    process.argv = ["node", "script.js", "--default-branch", "main"];
+    tool.parseArguments();
+
+    tool.currentBranch = "current";
+    await tool.showDefaultBranch();
+    await tool.loadConfig();
+    await tool.checkLocalBranches();
+
+    expect(tool.spinner.success).toHaveBeenCalledWith(
+      "Default branch: main (from --default-branch)",
+    );
+    // done is merged into trunk but not into main
+    expect(tool.branchesToDelete).toEqual([]);
+    expect(await tool.getLocalBranches()).toEqual(["done", "trunk"]);
+  });
+});
@@ -0,0 +1,143 @@
+const fs = require("fs");
+const { execFileSync } = require("child_process");
+const { parseRemoteUrl, detectProvider } = require("../src/providers/detect");
+const GitCleanupTool = require("../src/index");
+const { makeTempDir, initRepo } = require("./helpers/repo");
+
+describe("parseRemoteUrl", () => {
+  it.each([
+    ["https://github.com/owner/repo.git", "github.com", "owner/repo"],
+    [
+      "https://user@gitlab.com:8443/group/sub/repo",
+      "gitlab.com",
+      "group/sub/repo",
+    ],
+    [
+      "ssh://git@git.corp.example:2222/team/repo.git",
+      "git.corp.example",
+      "team/repo",
+    ],
+    ["git://GitHub.com/owner/repo.git", "github.com", "owner/repo"],
+    ["git@github.com:owner/repo.git", "github.com", "owner/repo"],
+    ["gitlab.example.org:group/repo.git", "gitlab.example.org", "group/repo"],
+  ])("should parse %s", (url, host, repoPath) => {
+    expect(parseRemoteUrl(url)).toEqual({ host, path: repoPath });
+  });
+
+  it.each([
+    [""],
+    [undefined],
+    ["/srv/git/repo.git"],
+    ["../relative/repo"],
+    ["C:\\repos\\project"],
+    ["file:///srv/git/repo.git"],
+  ])("should return null for local path %p", (url) => {
+    expect(parseRemoteUrl(url)).toBeNull();
+  });
+
+  it("should return null for malformed URLs", () => {
+    expect(parseRemoteUrl("https://")).toBeNull();
+  });
+});
+
+describe("detectProvider", () => {
+  it.each([
+    ["github.com", "github"],
+    ["ssh.github.com", "github"],
+    ["acme.ghe.com", "github"],
+    ["github.acme.internal", "github"],
+    ["gitlab.com", "gitlab"],
+    ["gitlab.example.org", "gitlab"],
+    ["code-gitlab.corp", "gitlab"],
+  ])("should map %s to %s", (host, provider) => {
+    expect(detectProvider(host)).toBe(provider);
+  });
+
+  it("should return null for unknown hosts", () => {
+    expect(detectProvider("git.corp.example")).toBeNull();
+    expect(detectProvider("notgithubatall.com")).toBeNull();
+    expect(detectProvider("")).toBeNull();
+  });
+
+  it("should prefer overrides for self-hosted instances", () => {
+    const overrides = {
+      "Git.Corp.Example": "gitlab",
+      "github.acme.internal": "gitlab",
+    };
+
+    expect(detectProvider("git.corp.example", overrides)).toBe("gitlab");
+    expect(detectProvider("github.acme.internal", overrides)).toBe("gitlab");
+    expect(detectProvider("github.com", overrides)).toBe("github");
+  });
+});
+
+// Integration: remotes in a real repository, including an insteadOf alias
+describe("GitCleanupTool provider auto-detection", () => {
+  let originalCwd;
+  let repoDir;
+  let tool;
+
+  const git = (...args) =>
+    execFileSync("git", args, { cwd: repoDir, encoding: "utf8" }).trim();
+
+  beforeEach(() => {
+    originalCwd = process.cwd();
+    repoDir = initRepo(makeTempDir("detect"));
+
+    git("remote", "add", "origin", "git@github.com:owner/repo.git");
+    git("remote", "add", "lab", "gl:team/repo");
+    git("config", "url.git@gitlab.com:.insteadOf", "gl:");
+    git("remote", "add", "corp", "https://git.corp.example/team/repo.git");
+    git("remote", "add", "unused", "https://gitlab.com/other/repo.git");
+    git("config", "cleanup-merged.git.corp.example.provider", "gitlab");
+
+    for (const [branch, remote] of [
+      ["gh-feature", "origin"],
+      ["lab-feature", "lab"],
+      ["corp-feature", "corp"],
+    ]) {
+      git("branch", branch);
+      git("config", `branch.${branch}.remote`, remote);
+      git("config", `branch.${branch}.merge`, `refs/heads/${branch}`);
+    }
+
+    process.chdir(repoDir);
+    tool = new GitCleanupTool();
+    tool.spinner = { debug: jest.fn(), error: jest.fn() };
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  it("should map each upstream remote to a provider", async () => {
+    await tool.detectProviders();
+
+    expect(Object.fromEntries(tool.remoteProviders)).toEqual({
+      origin: "github",
+      lab: "gitlab",
+      corp: "gitlab",
+    });
+  });
+
+  it("should let CLI host overrides win over git config", async () => {
+    tool.providerHosts = { "git.corp.example": "github" };
+
+    await tool.detectProviders();
+
+    expect(tool.remoteProviders.get("corp")).toBe("github");
+  });
+
+  it("should fall back to the default provider for unknown hosts", async () => {
+    git("config", "--unset", "cleanup-merged.git.corp.example.provider");
+
+    await tool.detectProviders();
+
+    expect(tool.remoteProviders.get("corp")).toBe("github");
+    expect(tool.spinner.debug).toHaveBeenCalledWith(
+      "Remote 'corp' has no recognised host, using github",
+      false,
+    );
+  });
+});
@@ -0,0 +1,163 @@
+// Integration tests: the doctor command against a real repository with a
+// GitHub remote and a fake gh CLI on the PATH.
+const fs = require("fs");
+const path = require("path");
+const GitCleanupTool = require("../src/index");
+const {
+  git,
+  makeTempDir,
+  initRepo,
+  initBareRepo,
+  createSpinner,
+} = require("./helpers/repo");
+
+const { EXIT_CODES } = GitCleanupTool;
+
+describe("doctor command", () => {
+  let originalCwd;
+  let originalEnv;
+  let tmpDir;
+  let repoDir;
+  let binDir;
+  let tool;
+
+  // Fake gh: logged in unless GH_FAKE_LOGGED_OUT is set; GH_FAKE_BROKEN
+  // makes every command fail, as if it was not installed
+  const installGh = () => {
+    const ghPath = path.join(binDir, "gh");
+    fs.writeFileSync(
+      ghPath,
+      [
+        "#!/bin/sh",
+        'if [ -n "$GH_FAKE_BROKEN" ]; then exit 127; fi',
+        'if [ "$1" = "--version" ]; then echo "gh version 2.0.0"; exit 0; fi',
+        'if [ "$1 $2" = "auth status" ] && [ -n "$GH_FAKE_LOGGED_OUT" ]; then exit 1; fi',
+        "exit 0",
+        "",
+      ].join("\n"),
+    );
+    fs.chmodSync(ghPath, 0o755);
+  };
+
+  beforeEach(() => {
+    originalCwd = process.cwd();
+    originalEnv = process.env;
+    tmpDir = makeTempDir("doctor");
+    repoDir = path.join(tmpDir, "repo");
+    const originDir = path.join(tmpDir, "origin.git");
+    binDir = path.join(tmpDir, "bin");
+    fs.mkdirSync(binDir);
+    initBareRepo(originDir);
+    initRepo(repoDir);
+    git(repoDir, "remote", "add", "origin", originDir);
+    git(repoDir, "push", "-q", "-u", "origin", "main");
+    // Point at GitHub without changing where pushes and fetches go
+    git(repoDir, "config", "remote.origin.url", "git@github.com:me/repo.git");
+
+    process.env = {
+      ...originalEnv,
+      PATH: `${binDir}${path.delimiter}${originalEnv.PATH}`,
+      XDG_CONFIG_HOME: path.join(tmpDir, "xdg"),
+    };
+    delete process.env.GH_FAKE_LOGGED_OUT;
+    delete process.env.GH_FAKE_BROKEN;
+
+    process.chdir(repoDir);
+    tool = new GitCleanupTool();
+    tool.spinner = createSpinner();
+    tool.sleep = jest.fn(() => Promise.resolve());
+    jest.spyOn(process, "exit").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    process.env = originalEnv;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const runDoctor = async (...args) => {
+    process.argv = ["node", "script.js", "doctor", ...args];
+    expect(tool.parseArguments()).toBeUndefined();
+    await tool.loadConfig();
+    await tool.doctor();
+  };
+
+  it("should report a healthy setup", async () => {
+    installGh();
+
+    await runDoctor();
+
+    expect(tool.spinner.success).toHaveBeenCalledWith(
+      `Repository: ${fs.realpathSync(repoDir)}`,
+    );
+    expect(tool.spinner.success).toHaveBeenCalledWith("Current branch: main");
+    expect(tool.spinner.success).toHaveBeenCalledWith(
+      expect.stringMatching(/^Default branch: main \(from /),
+    );
+    expect(tool.spinner.info).toHaveBeenCalledWith("Remote origin: GitHub");
+    expect(tool.spinner.success).toHaveBeenCalledWith(
+      "GitHub CLI (gh): installed and authenticated",
+    );
+    expect(tool.spinner.info).toHaveBeenCalledWith(
+      "Undo journal: 0 deleted branch(es) recorded",
+    );
+    expect(tool.spinner.success).toHaveBeenLastCalledWith("No problems found");
+    expect(tool.spinner.error).not.toHaveBeenCalled();
+    expect(tool.exitCode).toBe(EXIT_CODES.OK);
+  });
+
+  it("should report every problem instead of stopping at the first", async () => {
+    installGh();
+    process.env.GH_FAKE_LOGGED_OUT = "1";
+
+    await runDoctor("--default-branch", "trunk");
+
+    expect(tool.spinner.error).toHaveBeenCalledWith(
+      "Default branch: trunk (from --default-branch) does not exist locally",
+    );
+    expect(tool.spinner.error).toHaveBeenCalledWith(
+      "GitHub CLI (gh): not authenticated. Run: gh auth login",
+    );
+    expect(tool.spinner.error).toHaveBeenLastCalledWith("2 problem(s) found");
+    expect(tool.exitCode).toBe(EXIT_CODES.ERROR);
+    expect(process.exit).not.toHaveBeenCalled();
+  });
+
+  it("should report a missing provider CLI", async () => {
+    installGh();
+    process.env.GH_FAKE_BROKEN = "1";
+
+    await runDoctor("--provider", "github");
+
+    expect(tool.spinner.info).not.toHaveBeenCalledWith("Remote origin: GitHub");
+    expect(tool.spinner.error).toHaveBeenCalledWith(
+      "GitHub CLI (gh): not installed, see https://cli.github.com/",
+    );
+    expect(tool.exitCode).toBe(EXIT_CODES.DEPENDENCY_MISSING);
+  });
+
+  it("should say when no provider is needed", async () => {
+    git(repoDir, "branch", "--unset-upstream", "main");
+
+    await runDoctor();
+
+    expect(tool.spinner.info).toHaveBeenCalledWith(
+      "Remotes: no branch tracks a remote, so no provider CLI is needed",
+    );
+    expect(tool.exitCode).toBe(EXIT_CODES.OK);
+  });
+
+  it("should stop outside a repository", async () => {
+    const outside = path.join(tmpDir, "outside");
+    fs.mkdirSync(outside);
+    process.chdir(outside);
+
+    await runDoctor();
+
+    expect(tool.spinner.error).toHaveBeenCalledWith(
+      `Repository: ${process.cwd()} is not in a git repository`,
+    );
+    expect(tool.exitCode).toBe(EXIT_CODES.NOT_A_REPOSITORY);
+  });
+});
@@ -0,0 +1,44 @@
+const { parseDuration, formatAge } = require("../src/utils/duration");
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe("parseDuration", () => {
+  it.each([
+    ["36h", 36 * HOUR],
+    ["90d", 90 * DAY],
+    ["12w", 84 * DAY],
+    ["1y", 365 * DAY],
+    [" 7d ", 7 * DAY],
+  ])("should parse %p", (text, expected) => {
+    expect(parseDuration(text)).toBe(expected);
+  });
+
+  it.each([
+    ["90"],
+    ["d"],
+    ["0d"],
+    ["1.5d"],
+    ["-3d"],
+    ["3m"],
+    [""],
+    [undefined],
+  ])("should reject %p", (text) => {
+    expect(() => parseDuration(text)).toThrow(
+      `invalid duration ${text}: use a number followed by h, d, w or y (e.g. 90d)`,
+    );
+  });
+});
+
+describe("formatAge", () => {
+  it.each([
+    [-5, "0h"],
+    [90 * 60 * 1000, "1h"],
+    [DAY, "1d"],
+    [200 * DAY + 5 * HOUR, "200d"],
+    [365 * DAY, "1y"],
+    [800 * DAY, "2y"],
+  ])("should format %p as %p", (ms, expected) => {
+    expect(formatAge(ms)).toBe(expected);
+  });
+});
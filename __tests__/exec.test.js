@@ -0,0 +1,188 @@
+const { EventEmitter } = require("events");
+const { spawn, spawnSync } = require("child_process");
+const { execCommand, TIMEOUT } = require("../src/utils/exec");
+
+// Real spawn by default so the concurrency test runs actual processes
+jest.mock("child_process", () => {
+  const actual = jest.requireActual("child_process");
+  return { ...actual, spawn: jest.fn(actual.spawn) };
+});
+
+// Build a fake ChildProcess that finishes on the next microtask
+function fakeChild({ stdout = "", stderr = "", code = 0, signal = null } = {}) {
+  const child = new EventEmitter();
+  child.stdout = new EventEmitter();
+  child.stdout.setEncoding = jest.fn();
+  child.stderr = new EventEmitter();
+  child.stderr.setEncoding = jest.fn();
+  child.kill = jest.fn();
+  child.finish = () => {
+    if (stdout) child.stdout.emit("data", stdout);
+    if (stderr) child.stderr.emit("data", stderr);
+    child.emit("close", code, signal);
+  };
+  return child;
+}
+
+describe("execCommand", () => {
+  beforeEach(() => {
+    spawn.mockClear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const mockSpawn = (result, { autoFinish = true } = {}) => {
+    const child = fakeChild(result);
+    spawn.mockImplementationOnce(() => {
+      if (autoFinish) Promise.resolve().then(child.finish);
+      return child;
+    });
+    return child;
+  };
+
+  it("should resolve with trimmed stdout on success", async () => {
+    mockSpawn({ stdout: "  output\n" });
+
+    const result = await execCommand(["git", "status"], { silent: true });
+
+    expect(result).toBe("output");
+    expect(spawn).toHaveBeenCalledWith(
+      "git",
+      ["status"],
+      expect.objectContaining({ shell: false, stdio: "pipe" }),
+    );
+  });
+
+  it("should inherit stdio when not silent", async () => {
+    mockSpawn({});
+
+    await execCommand(["git", "status"]);
+
+    expect(spawn).toHaveBeenCalledWith(
+      "git",
+      ["status"],
+      expect.objectContaining({ stdio: "inherit" }),
+    );
+  });
+
+  it("should resolve null when a silent command fails", async () => {
+    mockSpawn({ code: 1, stderr: "boom" });
+
+    const result = await execCommand(["git", "status"], { silent: true });
+
+    expect(result).toBeNull();
+  });
+
+  it("should reject with exit details when a non-silent command fails", async () => {
+    mockSpawn({ code: 2, stderr: "boom" });
+
+    await expect(execCommand(["git", "status"])).rejects.toMatchObject({
+      message: "Command failed: git status\nboom",
+      status: 2,
+    });
+  });
+
+  it("should resolve null when spawn emits an error", async () => {
+    const child = mockSpawn({}, { autoFinish: false });
+    const promise = execCommand(["missing-binary"], { silent: true });
+
+    child.emit("error", new Error("spawn ENOENT"));
+
+    await expect(promise).resolves.toBeNull();
+  });
+
+  it("should resolve null when spawn throws synchronously", async () => {
+    spawn.mockImplementationOnce(() => {
+      throw new Error("bad options");
+    });
+
+    await expect(execCommand(["cmd"], { silent: true })).resolves.toBeNull();
+  });
+
+  it("should kill the child and return the timeout sentinel", async () => {
+    jest.useFakeTimers();
+    const child = mockSpawn({}, { autoFinish: false });
+
+    const promise = execCommand(["slow", "command"], {
+      silent: true,
+      timeout: 1000,
+    });
+    jest.advanceTimersByTime(1000);
+
+    await expect(promise).resolves.toBe(TIMEOUT);
+    expect(child.kill).toHaveBeenCalledWith("SIGTERM");
+  });
+
+  it("should reject with ETIMEDOUT when a non-silent command times out", async () => {
+    jest.useFakeTimers();
+    mockSpawn({}, { autoFinish: false });
+
+    const promise = execCommand(["slow", "command"], { timeout: 500 });
+    jest.advanceTimersByTime(500);
+
+    await expect(promise).rejects.toMatchObject({ code: "ETIMEDOUT" });
+  });
+
+  it("should kill the child when the abort signal fires", async () => {
+    const child = mockSpawn({}, { autoFinish: false });
+    const controller = new AbortController();
+
+    const promise = execCommand(["cmd"], {
+      silent: true,
+      signal: controller.signal,
+    });
+    controller.abort();
+
+    await expect(promise).resolves.toBeNull();
+    expect(child.kill).toHaveBeenCalledWith("SIGTERM");
+  });
+
+  it("should not spawn when the signal is already aborted", async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(
+      execCommand(["cmd"], { signal: controller.signal }),
+    ).rejects.toMatchObject({ code: "ABORT_ERR" });
+    expect(spawn).not.toHaveBeenCalled();
+  });
+
+  it("should run real commands concurrently without blocking", async () => {
+    const sleeper = [
+      process.execPath,
+      "-e",
+      "setTimeout(() => console.log('done'), 400)",
+    ];
+    const started = Date.now();
+
+    const results = await Promise.all(
+      [1, 2, 3].map(() => execCommand(sleeper, { silent: true })),
+    );
+
+    expect(results).toEqual(["done", "done", "done"]);
+    // Three sequential runs would take at least 1200ms
+    expect(Date.now() - started).toBeLessThan(1200);
+  });
+
+  it("should let more than ten commands share the tool's abort signal", () => {
+    // Node reports listener leaks on stderr, so run the commands in a child
+    const script = `
+      const GitCleanupTool = require(${JSON.stringify(require.resolve("../src/index"))});
+      const { execCommand } = require(${JSON.stringify(require.resolve("../src/utils/exec"))});
+      const { signal } = new GitCleanupTool().abortController;
+      const noop = [process.execPath, "-e", ""];
+      Promise.all(
+        Array.from({ length: 15 }, () => execCommand(noop, { silent: true, signal })),
+      );
+    `;
+
+    const { status, stderr } = spawnSync(process.execPath, ["-e", script], {
+      encoding: "utf8",
+    });
+
+    expect(status).toBe(0);
+    expect(stderr).not.toContain("MaxListenersExceededWarning");
+  });
+});
@@ -0,0 +1,85 @@
+// Scaffolding shared by the integration tests, which run the tool against
+// real repositories in temporary directories.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+/**
+ * Run git and return its trimmed output; throws when git fails.
+ * @param {string} cwd
+ * @param {...string} args
+ * @returns {string}
+ */
+const git = (cwd, ...args) =>
+  execFileSync("git", args, { cwd, encoding: "utf8" }).trim();
+
+/**
+ * Create a temporary directory; the test removes it when done.
+ * @param {string} name - Part of the directory name, e.g. `archive`
+ * @returns {string}
+ */
+const makeTempDir = (name) =>
+  fs.mkdtempSync(path.join(os.tmpdir(), `gcm-${name}-`));
+
+/**
+ * Create a repository with a committer identity and commit signing turned
+ * off, so tests do not depend on the user's git config.
+ *
+ * @param {string} dir - Created when missing
+ * @param {object} [options]
+ * @param {string} [options.branch] - Initial branch
+ * @param {string} [options.email]
+ * @param {string} [options.name]
+ * @param {boolean} [options.commit] - Make an empty initial commit; turn off
+ *   to create the first commit differently
+ * @returns {string} `dir`
+ */
+function initRepo(
+  dir,
+  {
+    branch = "main",
+    email = "test@example.com",
+    name = "Test",
+    commit = true,
+  } = {},
+) {
+  fs.mkdirSync(dir, { recursive: true });
+  git(dir, "init", "-q", "-b", branch);
+  git(dir, "config", "user.email", email);
+  git(dir, "config", "user.name", name);
+  git(dir, "config", "commit.gpgsign", "false");
+  if (commit) {
+    git(dir, "commit", "-q", "--allow-empty", "-m", "initial");
+  }
+  return dir;
+}
+
+/**
+ * Create a bare repository to act as a remote.
+ * @param {string} dir - Created when missing
+ * @returns {string} `dir`
+ */
+function initBareRepo(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  git(dir, "init", "-q", "--bare", "-b", "main");
+  return dir;
+}
+
+/**
+ * Spinner stand-in whose every method is a jest mock.
+ * @returns {object}
+ */
+const createSpinner = () => ({
+  updateMessage: jest.fn(),
+  start: jest.fn(),
+  stop: jest.fn(),
+  success: jest.fn(),
+  error: jest.fn(),
+  warning: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+  log: jest.fn(),
+});
+
+module.exports = { git, makeTempDir, initRepo, initBareRepo, createSpinner };
@@ -0,0 +1,109 @@
+// Integration tests: run real git (and a fake gh) against branch names that
+// a shell would expand, and prove they reach the child processes verbatim.
+const fs = require("fs");
+const path = require("path");
+const GitCleanupTool = require("../src/index");
+const { git, makeTempDir, initRepo, createSpinner } = require("./helpers/repo");
+
+// Every name is a valid git branch name that would run `touch pwned` (or
+// break quoting) if it were ever interpolated into a shell command line
+const HOSTILE_BRANCHES = [
+  "$(touch${IFS}pwned)",
+  "`touch${IFS}pwned`",
+  'quote"$(touch${IFS}pwned)"',
+  "it's;touch${IFS}pwned",
+  "pipe|touch${IFS}pwned",
+  "and&&touch${IFS}pwned",
+  "$HOME",
+  "redirect>pwned",
+];
+
+describe("hostile branch names", () => {
+  let originalCwd;
+  let originalPath;
+  let repoDir;
+  let binDir;
+  let tool;
+
+  beforeAll(() => {
+    originalCwd = process.cwd();
+    originalPath = process.env.PATH;
+
+    repoDir = makeTempDir("hostile");
+    initRepo(repoDir);
+    for (const branch of HOSTILE_BRANCHES) {
+      git(repoDir, "branch", branch);
+    }
+
+    // Fake gh that records each argument on its own line
+    binDir = makeTempDir("bin");
+    const ghPath = path.join(binDir, "gh");
+    fs.writeFileSync(
+      ghPath,
+      `#!/bin/sh\nfor arg in "$@"; do printf '%s\\n' "$arg" >> "${path.join(binDir, "gh-args.log")}"; done\necho '{"number":1,"state":"MERGED"}'\n`,
+    );
+    fs.chmodSync(ghPath, 0o755);
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+
+    process.chdir(repoDir);
+  });
+
+  afterAll(() => {
+    process.chdir(originalCwd);
+    process.env.PATH = originalPath;
+    fs.rmSync(repoDir, { recursive: true, force: true });
+    fs.rmSync(binDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    tool = new GitCleanupTool();
+    tool.spinner = createSpinner();
+    tool.sleep = jest.fn(() => Promise.resolve());
+    tool.currentBranch = "main";
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const expectNothingExpanded = () => {
+    expect(fs.existsSync(path.join(repoDir, "pwned"))).toBe(false);
+    expect(fs.existsSync(path.join(binDir, "pwned"))).toBe(false);
+  };
+
+  it("should list hostile branch names exactly as git stores them", async () => {
+    const branches = await tool.getLocalBranches();
+
+    expect(branches.sort()).toEqual([...HOSTILE_BRANCHES].sort());
+    expectNothingExpanded();
+  });
+
+  it("should pass hostile branch names to gh as single arguments", async () => {
+    for (const branch of HOSTILE_BRANCHES) {
+      expect(await tool.getPRStatus(branch)).toBe("MERGED");
+    }
+
+    const logged = fs
+      .readFileSync(path.join(binDir, "gh-args.log"), "utf8")
+      .split("\n")
+      .filter(Boolean);
+    for (const branch of HOSTILE_BRANCHES) {
+      expect(logged).toContain(branch);
+    }
+    expectNothingExpanded();
+  });
+
+  it("should delete hostile branches without running them through a shell", async () => {
+    tool.branchesToDelete = [...HOSTILE_BRANCHES];
+    tool.askConfirmation = jest.fn().mockResolvedValue(true);
+
+    await tool.deleteBranches();
+
+    expect(tool.spinner.success).toHaveBeenCalledWith(
+      `Successfully deleted ${HOSTILE_BRANCHES.length} branches`,
+    );
+    expect(git(repoDir, "branch", "--format=%(refname:short)")).toBe("main");
+    expectNothingExpanded();
+  });
+});
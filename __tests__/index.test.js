@@ -1,12 +1,20 @@
-const { execSync } = require("child_process");
 const readline = require("readline");
 const GitCleanupTool = require("../src/index");
+const { EXIT_CODES } = GitCleanupTool;
+const { execCommand } = require("../src/utils/exec");
+const Picker = require("../src/utils/picker");
+const { compilePatterns } = require("../src/utils/patterns");
+const { createSpinner } = require("./helpers/repo");
 const path = require("path");
 
 // Mock all external dependencies
 jest.mock("child_process");
 jest.mock("readline");
 jest.mock("../src/utils", () => jest.fn());
+jest.mock("../src/utils/exec", () => ({
+  ...jest.requireActual("../src/utils/exec"),
+  execCommand: jest.fn(),
+}));
 
 // Mock console methods
 const mockConsole = {
@@ -36,19 +44,11 @@ describe("GitCleanupTool", () => {
 
     // Reset process.argv
     process.argv = ["node", "script.js"];
+    process.stdin = { isTTY: true };
+    delete process.exitCode;
 
     // Mock spinner methods
-    mockSpinner = {
-      updateMessage: jest.fn(),
-      start: jest.fn(),
-      stop: jest.fn(),
-      success: jest.fn(),
-      error: jest.fn(),
-      warning: jest.fn(),
-      info: jest.fn(),
-      debug: jest.fn(),
-      log: jest.fn(),
-    };
+    mockSpinner = createSpinner();
 
     tool = new GitCleanupTool();
     tool.spinner = mockSpinner; // Replace spinner with mock after construction
@@ -82,87 +82,238 @@ describe("GitCleanupTool", () => {
   });
 
   describe("execCommand method", () => {
-    it("should execute command successfully", async () => {
-      execSync.mockReturnValue("test output");
+    it("should delegate to the async exec helper with the tool's abort signal", async () => {
+      execCommand.mockResolvedValue("test output");
 
-      const result = await tool.execCommand("test command");
+      const result = await tool.execCommand(["git", "status"], {
+        silent: true,
+      });
 
-      expect(execSync).toHaveBeenCalledWith("test command", {
-        encoding: "utf8",
-        stdio: "inherit",
-        timeout: 30000,
+      expect(execCommand).toHaveBeenCalledWith(["git", "status"], {
+        signal: tool.abortController.signal,
+        silent: true,
       });
       expect(result).toBe("test output");
     });
 
-    it("should execute command with silent option", async () => {
-      execSync.mockReturnValue("test output");
+    it("should let callers override the abort signal", async () => {
+      const controller = new AbortController();
+      execCommand.mockResolvedValue("ok");
 
-      const result = await tool.execCommand("test command", { silent: true });
+      await tool.execCommand(["cmd"], { signal: controller.signal });
 
-      expect(execSync).toHaveBeenCalledWith("test command", {
-        encoding: "utf8",
-        stdio: "pipe",
-        silent: true,
-        timeout: 30000,
+      expect(execCommand).toHaveBeenCalledWith(["cmd"], {
+        signal: controller.signal,
       });
-      expect(result).toBe("test output");
     });
 
-    it("should return '__TIMEOUT__' when command times out with silent option", async () => {
-      execSync.mockImplementation(() => {
-        const err = new Error("Command timed out");
-        err.code = "ETIMEDOUT";
-        throw err;
-      });
+    it("should pass through sentinel results", async () => {
+      execCommand.mockResolvedValue("__TIMEOUT__");
 
-      const result = await tool.execCommand("test command", { silent: true });
+      const result = await tool.execCommand(["cmd"], { silent: true });
 
       expect(result).toBe("__TIMEOUT__");
     });
 
-    it("should return '__TIMEOUT__' when command is terminated with SIGTERM (timeout)", async () => {
-      execSync.mockImplementation(() => {
-        const err = new Error("Command terminated");
-        err.signal = "SIGTERM";
-        throw err;
+    it("should apply the configured timeout to every command", async () => {
+      tool.timeout = 30000;
+      execCommand.mockResolvedValue("ok");
+
+      await tool.execCommand(["git", "fetch"], { silent: true, timeout: 5000 });
+
+      expect(execCommand).toHaveBeenCalledWith(["git", "fetch"], {
+        signal: tool.abortController.signal,
+        silent: true,
+        timeout: 30000,
       });
+    });
 
-      const result = await tool.execCommand("test command", { silent: true });
+    it("should propagate errors from non-silent commands", async () => {
+      execCommand.mockRejectedValue(new Error("Command failed"));
 
-      expect(result).toBe("__TIMEOUT__");
+      await expect(tool.execCommand(["git", "status"])).rejects.toThrow(
+        "Command failed",
+      );
+    });
+  });
+
+  describe("getProvider method", () => {
+    it("should create the GitHub provider by default and reuse it", () => {
+      const provider = tool.getProvider();
+
+      expect(provider.name).toBe("github");
+      expect(tool.getProvider()).toBe(provider);
+    });
+
+    it("should route provider commands through execCommand", async () => {
+      tool.execCommand = jest.fn().mockResolvedValue("gh version 2.0.0");
+
+      await tool.getProvider().checkInstalled();
+
+      expect(tool.execCommand).toHaveBeenCalledWith(["gh", "--version"], {
+        silent: true,
+      });
     });
+  });
 
-    it("should return null when command fails with silent option (not a timeout)", async () => {
-      execSync.mockImplementation(() => {
-        throw new Error("Command failed");
+  describe("getProviderForBranch method", () => {
+    beforeEach(() => {
+      tool.remoteProviders.set("origin", "github");
+      tool.remoteProviders.set("team", "gitlab");
+      tool.remoteProviders.set("team/mirror", "github");
+      tool.branchInfo.set("gh", { upstream: "origin/gh", track: "" });
+      tool.branchInfo.set("lab", { upstream: "team/lab", track: "" });
+      tool.branchInfo.set("mirror", {
+        upstream: "team/mirror/feature",
+        track: "",
       });
+      tool.branchInfo.set("other", { upstream: "elsewhere/x", track: "" });
+    });
 
-      const result = await tool.execCommand("test command", { silent: true });
+    it("should pick the provider of the branch's upstream remote", () => {
+      expect(tool.getProviderForBranch("gh").name).toBe("github");
+      expect(tool.getProviderForBranch("lab").name).toBe("gitlab");
+    });
 
-      expect(result).toBeNull();
+    it("should prefer the longest matching remote name", () => {
+      expect(tool.getProviderForBranch("mirror").name).toBe("github");
     });
 
-    it("should support custom timeout in execCommand", async () => {
-      execSync.mockReturnValue("ok");
-      await tool.execCommand("cmd", { timeout: 5000 });
-      expect(execSync).toHaveBeenCalledWith("cmd", expect.objectContaining({ timeout: 5000 }));
+    it("should fall back to the default provider", () => {
+      expect(tool.getProviderForBranch("other").name).toBe("github");
+      expect(tool.getProviderForBranch("unknown").name).toBe("github");
     });
 
-    it("should throw error when command fails without silent option", async () => {
-      execSync.mockImplementation(() => {
-        throw new Error("Command failed");
+    it("should use the explicit provider for every branch", () => {
+      tool.providerName = "gitlab";
+      tool.providerExplicit = true;
+
+      expect(tool.getProviderForBranch("gh").name).toBe("gitlab");
+    });
+
+    it("should use the default provider before detection ran", () => {
+      tool.remoteProviders.clear();
+
+      expect(tool.getProviderForBranch("lab").name).toBe("github");
+    });
+  });
+
+  describe("describeProviders method", () => {
+    it("should list each provider once", () => {
+      tool.remoteProviders.set("origin", "github");
+      tool.remoteProviders.set("lab", "gitlab");
+      tool.branchInfo.set("a", { upstream: "origin/a", track: "" });
+      tool.branchInfo.set("b", { upstream: "lab/b", track: "" });
+      tool.branchInfo.set("c", { upstream: "origin/c", track: "" });
+
+      expect(tool.describeProviders(["a", "b", "c"])).toBe(
+        "GitHub and GitLab",
+      );
+    });
+  });
+
+  describe("getConfiguredProviderHosts method", () => {
+    beforeEach(() => {
+      tool.execCommand = jest.fn();
+    });
+
+    it("should read host overrides from git config", async () => {
+      tool.execCommand.mockResolvedValue(
+        [
+          "cleanup-merged.git.corp.example.provider gitlab",
+          "cleanup-merged.ghe.corp.provider github",
+          "cleanup-merged.bad.example.provider bitbucket",
+        ].join("\n"),
+      );
+
+      const result = await tool.getConfiguredProviderHosts();
+
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        [
+          "git",
+          "config",
+          "--get-regexp",
+          "^cleanup-merged\\..+\\.provider$",
+        ],
+        { silent: true },
+      );
+      expect(result).toEqual({
+        "git.corp.example": "gitlab",
+        "ghe.corp": "github",
       });
+    });
 
-      await expect(tool.execCommand("test command")).rejects.toThrow(
-        "Command failed",
+    it("should return an empty table when nothing is configured", async () => {
+      tool.execCommand.mockResolvedValue(null);
+
+      expect(await tool.getConfiguredProviderHosts()).toEqual({});
+    });
+  });
+
+  describe("detectProviders method", () => {
+    beforeEach(() => {
+      tool.execCommand = jest.fn();
+      tool.getConfiguredProviderHosts = jest.fn().mockResolvedValue({});
+    });
+
+    it("should map remotes to providers from their URLs", async () => {
+      tool.verbose = true;
+      tool.execCommand
+        .mockResolvedValueOnce("origin\n\n.\norigin\nlab") // upstream remotes
+        .mockResolvedValueOnce("git@github.com:owner/repo.git")
+        .mockResolvedValueOnce("https://gitlab.com/group/repo.git");
+
+      await tool.detectProviders();
+
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        ["git", "remote", "get-url", "origin"],
+        { silent: true },
       );
+      expect(Object.fromEntries(tool.remoteProviders)).toEqual({
+        origin: "github",
+        lab: "gitlab",
+      });
+      expect(tool.spinner.debug).toHaveBeenCalledWith(
+        "Remote 'lab' (gitlab.com) -> gitlab",
+        true,
+      );
+    });
+
+    it("should fall back to the default provider when get-url fails", async () => {
+      tool.execCommand
+        .mockResolvedValueOnce("origin")
+        .mockResolvedValueOnce("__TIMEOUT__");
+
+      await tool.detectProviders();
+
+      expect(tool.remoteProviders.get("origin")).toBe("github");
+    });
+
+    it("should do nothing when branches cannot be listed", async () => {
+      tool.execCommand.mockResolvedValueOnce(null);
+
+      await tool.detectProviders();
+
+      expect(tool.remoteProviders.size).toBe(0);
+      expect(tool.getConfiguredProviderHosts).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("cancel method", () => {
+    it("should abort in-flight commands and stop the spinner", () => {
+      const { signal } = tool.abortController;
+
+      tool.cancel();
+
+      expect(signal.aborted).toBe(true);
+      expect(tool.spinner.stop).toHaveBeenCalled();
     });
   });
 
   describe("checkDependencies method", () => {
     beforeEach(() => {
       tool.execCommand = jest.fn();
+      tool.detectProviders = jest.fn();
     });
 
     it("should check dependencies successfully", async () => {
@@ -188,7 +339,7 @@ describe("GitCleanupTool", () => {
       expect(tool.spinner.error).toHaveBeenCalledWith(
         "Not in a git repository",
       );
-      expect(process.exit).toHaveBeenCalledWith(1);
+      expect(process.exit).toHaveBeenCalledWith(EXIT_CODES.NOT_A_REPOSITORY);
     });
 
     it("should exit when git repository check times out", async () => {
@@ -212,7 +363,7 @@ describe("GitCleanupTool", () => {
       expect(tool.spinner.error).toHaveBeenCalledWith(
         "GitHub CLI (gh) is not installed. Please install it from https://cli.github.com/",
       );
-      expect(process.exit).toHaveBeenCalledWith(1);
+      expect(process.exit).toHaveBeenCalledWith(EXIT_CODES.DEPENDENCY_MISSING);
     });
 
     it("should exit when GitHub CLI check times out", async () => {
@@ -225,7 +376,7 @@ describe("GitCleanupTool", () => {
       expect(tool.spinner.error).toHaveBeenCalledWith(
         "GitHub CLI check timed out. Please check your connection.",
       );
-      expect(process.exit).toHaveBeenCalledWith(1);
+      expect(process.exit).toHaveBeenCalledWith(EXIT_CODES.DEPENDENCY_MISSING);
     });
 
     it("should exit when GitHub CLI is not authenticated", async () => {
@@ -239,7 +390,7 @@ describe("GitCleanupTool", () => {
       expect(tool.spinner.error).toHaveBeenCalledWith(
         "GitHub CLI is not authenticated. Run: gh auth login",
       );
-      expect(process.exit).toHaveBeenCalledWith(1);
+      expect(process.exit).toHaveBeenCalledWith(EXIT_CODES.DEPENDENCY_MISSING);
     });
 
     it("should exit when GitHub authentication check times out", async () => {
@@ -253,7 +404,7 @@ describe("GitCleanupTool", () => {
       expect(tool.spinner.error).toHaveBeenCalledWith(
         "GitHub authentication check timed out. Please check your connection.",
       );
-      expect(process.exit).toHaveBeenCalledWith(1);
+      expect(process.exit).toHaveBeenCalledWith(EXIT_CODES.DEPENDENCY_MISSING);
     });
 
     it("should skip GitHub CLI checks in untracked-only mode", async () => {
@@ -267,12 +418,13 @@ describe("GitCleanupTool", () => {
       );
       expect(tool.spinner.success).toHaveBeenCalledWith("Dependencies checked");
       // Should not check GitHub CLI
-      expect(tool.execCommand).not.toHaveBeenCalledWith("gh --version", {
-        silent: true,
-      });
-      expect(tool.execCommand).not.toHaveBeenCalledWith("gh auth status", {
+      expect(tool.execCommand).not.toHaveBeenCalledWith(["gh", "--version"], {
         silent: true,
       });
+      expect(tool.execCommand).not.toHaveBeenCalledWith(
+        ["gh", "auth", "status"],
+        { silent: true },
+      );
     });
 
     it("should skip GitHub CLI checks in count-only mode", async () => {
@@ -286,13 +438,111 @@ describe("GitCleanupTool", () => {
       );
       expect(tool.spinner.success).toHaveBeenCalledWith("Dependencies checked");
       // Should not check GitHub CLI
-      expect(tool.execCommand).not.toHaveBeenCalledWith("gh --version", {
+      expect(tool.execCommand).not.toHaveBeenCalledWith(["gh", "--version"], {
+        silent: true,
+      });
+      expect(tool.execCommand).not.toHaveBeenCalledWith(
+        ["gh", "auth", "status"],
+        { silent: true },
+      );
+    });
+
+    it("should check the GitLab CLI when the gitlab provider is selected", async () => {
+      tool.providerName = "gitlab";
+      tool.execCommand
+        .mockResolvedValueOnce(".git") // git rev-parse --git-dir
+        .mockResolvedValueOnce("glab 1.36.0") // glab --version
+        .mockResolvedValueOnce(null); // glab auth status fails
+
+      await tool.checkDependencies();
+
+      expect(tool.execCommand).toHaveBeenCalledWith(["glab", "--version"], {
+        silent: true,
+      });
+      expect(tool.spinner.updateMessage).toHaveBeenCalledWith(
+        "Verifying GitLab authentication...",
+      );
+      expect(tool.spinner.error).toHaveBeenCalledWith(
+        "GitLab CLI is not authenticated. Run: glab auth login",
+      );
+      expect(process.exit).toHaveBeenCalledWith(EXIT_CODES.DEPENDENCY_MISSING);
+    });
+
+    it("should report a missing GitLab CLI", async () => {
+      tool.providerName = "gitlab";
+      tool.execCommand
+        .mockResolvedValueOnce(".git") // git rev-parse --git-dir
+        .mockResolvedValueOnce(null); // glab --version fails
+
+      await tool.checkDependencies();
+
+      expect(tool.spinner.error).toHaveBeenCalledWith(
+        "GitLab CLI (glab) is not installed. Please install it from https://gitlab.com/gitlab-org/cli",
+      );
+    });
+
+    it("should check every provider detected from the remotes", async () => {
+      tool.detectProviders.mockImplementation(async () => {
+        tool.remoteProviders.set("origin", "github");
+        tool.remoteProviders.set("lab", "gitlab");
+        tool.remoteProviders.set("fork", "github");
+      });
+      tool.execCommand.mockResolvedValue("ok");
+
+      await tool.checkDependencies();
+
+      expect(tool.execCommand).toHaveBeenCalledWith(["gh", "auth", "status"], {
         silent: true,
       });
-      expect(tool.execCommand).not.toHaveBeenCalledWith("gh auth status", {
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        ["glab", "auth", "status"],
+        { silent: true },
+      );
+      // git rev-parse + (version, auth) for each of the two providers
+      expect(tool.execCommand).toHaveBeenCalledTimes(5);
+    });
+
+    it("should not need a provider CLI to restore branches", async () => {
+      tool.restore = { branch: null, lastRun: true };
+      tool.execCommand.mockResolvedValue(".git");
+
+      await tool.checkDependencies();
+
+      expect(tool.detectProviders).not.toHaveBeenCalled();
+      expect(tool.execCommand).toHaveBeenCalledTimes(1);
+    });
+
+    it("should skip detection when the provider is set explicitly", async () => {
+      tool.providerName = "gitlab";
+      tool.providerExplicit = true;
+      tool.execCommand.mockResolvedValue("ok");
+
+      await tool.checkDependencies();
+
+      expect(tool.detectProviders).not.toHaveBeenCalled();
+      expect(tool.execCommand).toHaveBeenCalledWith(["glab", "--version"], {
         silent: true,
       });
     });
+
+    it("should skip GitHub CLI checks in gone mode", async () => {
+      tool.goneOnly = true;
+      tool.execCommand.mockResolvedValueOnce(".git"); // git rev-parse --git-dir
+
+      await tool.checkDependencies();
+
+      expect(tool.execCommand).toHaveBeenCalledTimes(1);
+    });
+
+    it("should skip GitHub CLI checks in local mode", async () => {
+      tool.localMode = true;
+      tool.execCommand.mockResolvedValueOnce(".git"); // git rev-parse --git-dir
+
+      await tool.checkDependencies();
+
+      expect(tool.execCommand).toHaveBeenCalledTimes(1);
+      expect(tool.spinner.success).toHaveBeenCalledWith("Dependencies checked");
+    });
   });
 
   describe("getCurrentBranch method", () => {
@@ -359,7 +609,12 @@ describe("GitCleanupTool", () => {
       const result = await tool.getLocalBranches();
 
       expect(tool.execCommand).toHaveBeenCalledWith(
-        'git for-each-ref --format="%(refname:short) %(upstream:short)" refs/heads/',
+        [
+          "git",
+          "for-each-ref",
+          "--format=%(refname:short) %(upstream:short) %(upstream:track)",
+          "refs/heads/",
+        ],
         { silent: true },
       );
       expect(result).toEqual(["feature1", "feature2", "develop"]);
@@ -374,6 +629,64 @@ describe("GitCleanupTool", () => {
       const result = await tool.getLocalBranches();
 
       expect(result).toEqual(["feature1", "feature2"]);
+      expect(Object.fromEntries(tool.protectedBranches)).toEqual({
+        main: "matches protected pattern main",
+        master: "matches protected pattern master",
+        develop: "current branch",
+      });
+    });
+
+    it("should filter out branches matching --protect patterns", async () => {
+      process.argv = ["node", "script.js", "--protect", "release/*"];
+      tool.parseArguments();
+      tool.execCommand.mockResolvedValue(
+        "release/1.0\nrelease/1.0/hotfix\nfeature1",
+      );
+
+      const result = await tool.getLocalBranches();
+
+      expect(result).toEqual(["release/1.0/hotfix", "feature1"]);
+      expect(tool.protectedBranches.get("release/1.0")).toBe(
+        "matches protected pattern release/*",
+      );
+    });
+
+    it("should apply --include and --exclude after protection", async () => {
+      process.argv = [
+        "node",
+        "script.js",
+        "--include",
+        "feature/*",
+        "--include",
+        "dependabot/**",
+        "--exclude",
+        "feature/spike-*",
+      ];
+      tool.parseArguments();
+      tool.execCommand.mockResolvedValue(
+        "main\nfeature/login\nfeature/spike-db\ndependabot/npm/jest\nspike/x",
+      );
+
+      const result = await tool.getLocalBranches();
+
+      expect(result).toEqual(["feature/login", "dependabot/npm/jest"]);
+      expect([...tool.filteredBranches]).toEqual([
+        "feature/spike-db",
+        "spike/x",
+      ]);
+      expect(tool.protectedBranches.has("main")).toBe(true);
+    });
+
+    it("should only count filtered branches of the requested mode", async () => {
+      tool.excludeMatchers = compilePatterns(["spike/*"]);
+      tool.execCommand.mockResolvedValue(
+        "spike/local \nspike/tracked origin/spike/tracked \nfeature origin/feature ",
+      );
+
+      const result = await tool.getTrackedBranches();
+
+      expect(result).toEqual(["feature"]);
+      expect([...tool.filteredBranches]).toEqual(["spike/tracked"]);
     });
 
     it("should return empty array when command fails", async () => {
@@ -407,6 +720,7 @@ describe("GitCleanupTool", () => {
       expect(tool.spinner.error).toHaveBeenCalledWith(
         "Failed to get all branches (timeout)",
       );
+      expect(tool.exitCode).toBe(EXIT_CODES.ERROR);
     });
 
     it("should handle empty branch list", async () => {
@@ -551,6 +865,60 @@ describe("GitCleanupTool", () => {
     });
   });
 
+  describe("getGoneBranches method", () => {
+    beforeEach(() => {
+      tool.execCommand = jest.fn();
+      tool.currentBranch = "main";
+    });
+
+    it("should return only branches whose upstream is gone", async () => {
+      tool.execCommand.mockResolvedValueOnce(
+        [
+          "merged origin/merged [gone]",
+          "ahead origin/ahead [ahead 1, behind 2]",
+          "synced origin/synced ",
+          "local  ",
+          "main origin/main",
+        ].join("\n"),
+      );
+
+      const result = await tool.getGoneBranches();
+
+      expect(result).toEqual(["merged"]);
+    });
+
+    it("should exclude gone branches from tracked branches", async () => {
+      tool.execCommand.mockResolvedValueOnce(
+        "merged origin/merged [gone]\nsynced origin/synced",
+      );
+
+      const result = await tool.getTrackedBranches();
+
+      expect(result).toEqual(["synced"]);
+    });
+
+    it("should record upstream and track info for each branch", async () => {
+      tool.execCommand.mockResolvedValueOnce(
+        "merged origin/merged [gone]\nahead origin/ahead [ahead 1]\nlocal",
+      );
+
+      await tool.getLocalBranches();
+
+      expect(tool.branchInfo.get("merged")).toEqual({
+        upstream: "origin/merged",
+        track: "[gone]",
+      });
+      expect(tool.branchInfo.get("ahead")).toEqual({
+        upstream: "origin/ahead",
+        track: "[ahead 1]",
+      });
+      expect(tool.branchInfo.get("local")).toEqual({
+        upstream: "",
+        track: "",
+      });
+    });
+  });
+
   describe("getUntrackedBranches method", () => {
     beforeEach(() => {
       tool.execCommand = jest.fn();
@@ -612,10 +980,55 @@ describe("GitCleanupTool", () => {
   describe("countBranches method", () => {
     beforeEach(() => {
       tool.getTrackedBranches = jest.fn();
+      tool.getGoneBranches = jest.fn().mockResolvedValue([]);
       tool.getUntrackedBranches = jest.fn();
       tool.sleep = jest.fn();
     });
 
+    it("should include gone branches in the summary", async () => {
+      tool.getTrackedBranches.mockResolvedValue(["feature1"]);
+      tool.getGoneBranches.mockResolvedValue(["old1", "old2"]);
+      tool.getUntrackedBranches.mockResolvedValue(["local1"]);
+
+      await tool.countBranches();
+
+      expect(console.log).toHaveBeenCalledWith("  Total branches: 4");
+      expect(console.log).toHaveBeenCalledWith("  Gone (upstream deleted): 2");
+    });
+
+    it("should report protected branches separately", async () => {
+      tool.getTrackedBranches.mockResolvedValue(["feature1"]);
+      tool.getUntrackedBranches.mockResolvedValue([]);
+      tool.protectedBranches.set("main", "matches protected pattern main");
+      tool.protectedBranches.set("develop", "current branch");
+
+      await tool.countBranches();
+
+      expect(console.log).toHaveBeenCalledWith("  Total branches: 1");
+      expect(console.log).toHaveBeenCalledWith("  Protected (not counted): 2");
+      expect(console.log).not.toHaveBeenCalledWith(
+        expect.stringContaining("Filtered out"),
+      );
+    });
+
+    it("should report filtered branches separately", async () => {
+      tool.getTrackedBranches.mockImplementation(async () => {
+        tool.filteredBranches.add("spike/a");
+        return ["feature1"];
+      });
+      tool.getUntrackedBranches.mockImplementation(async () => {
+        tool.filteredBranches.add("spike/b");
+        return [];
+      });
+
+      await tool.countBranches();
+
+      expect(console.log).toHaveBeenCalledWith("  Total branches: 1");
+      expect(console.log).toHaveBeenCalledWith(
+        "  Filtered out by --include/--exclude (not counted): 2",
+      );
+    });
+
     it("should count branches and display summary", async () => {
       tool.getTrackedBranches.mockResolvedValue(["feature1", "feature2"]);
       tool.getUntrackedBranches.mockResolvedValue(["local1"]);
@@ -677,12 +1090,39 @@ describe("GitCleanupTool", () => {
     });
 
     it("should get PR status successfully", async () => {
-      tool.execCommand.mockResolvedValue("MERGED");
+      tool.execCommand.mockResolvedValue(
+        '{"number":7,"state":"MERGED","headRefOid":"abc123"}',
+      );
+
+      const result = await tool.getPRStatus("feature1");
+
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        ["gh", "pr", "view", "feature1", "--json", "number,state,headRefOid"],
+        { silent: true, timeout: 10000 },
+      );
+      expect(result).toBe("MERGED");
+      expect(tool.prHeads.get("feature1")).toEqual({
+        number: 7,
+        state: "MERGED",
+        headOid: "abc123",
+      });
+    });
+
+    it("should pass timeouts through without recording a PR head", async () => {
+      tool.execCommand.mockResolvedValue("__TIMEOUT__");
+
+      expect(await tool.getPRStatus("feature1")).toBe("__TIMEOUT__");
+      expect(tool.prHeads.size).toBe(0);
+    });
+
+    it("should use the GitLab provider when selected", async () => {
+      tool.providerName = "gitlab";
+      tool.execCommand.mockResolvedValue('{"state":"merged"}');
 
       const result = await tool.getPRStatus("feature1");
 
       expect(tool.execCommand).toHaveBeenCalledWith(
-        'gh pr view "feature1" --json state --jq .state',
+        ["glab", "mr", "view", "feature1", "--output", "json"],
         { silent: true, timeout: 10000 },
       );
       expect(result).toBe("MERGED");
@@ -695,15 +1135,225 @@ describe("GitCleanupTool", () => {
 
       expect(result).toBeNull();
     });
-  });
 
-  describe("checkBranches method", () => {
-    beforeEach(() => {
-      tool.getTrackedBranches = jest.fn();
+    it("should resolve branches from the PR index without calling gh", async () => {
+      const pr = { branch: "feature1", state: "MERGED", number: 1 };
+      tool.prIndexes.set("github", {
+        statuses: new Map([["feature1", "MERGED"]]),
+        pullRequests: new Map([["feature1", pr]]),
+        complete: true,
+      });
+
+      expect(await tool.getPRStatus("feature1")).toBe("MERGED");
+      expect(await tool.getPRStatus("no-pr")).toBeNull();
+      expect(tool.execCommand).not.toHaveBeenCalled();
+    });
+
+    it("should fall back to a per-branch lookup when the index is truncated", async () => {
+      tool.prIndexes.set("github", {
+        statuses: new Map([["feature1", "OPEN"]]),
+        pullRequests: new Map([["feature1", { state: "OPEN", number: 2 }]]),
+        complete: false,
+      });
+      tool.execCommand.mockResolvedValue('{"number":1,"state":"CLOSED"}');
+
+      expect(await tool.getPRStatus("feature1")).toBe("OPEN");
+      expect(await tool.getPRStatus("old-branch")).toBe("CLOSED");
+      expect(tool.execCommand).toHaveBeenCalledTimes(1);
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        ["gh", "pr", "view", "old-branch", "--json", "number,state,headRefOid"],
+        { silent: true, timeout: 10000 },
+      );
+    });
+  });
+
+  describe("loadPRIndexes method", () => {
+    let github;
+    let gitlab;
+
+    beforeEach(() => {
+      github = {
+        name: "github",
+        displayName: "GitHub",
+        listStatuses: jest.fn().mockResolvedValue({
+          statuses: new Map([["a", "MERGED"]]),
+          complete: true,
+        }),
+      };
+      gitlab = {
+        name: "gitlab",
+        displayName: "GitLab",
+        listStatuses: jest.fn().mockResolvedValue(null),
+      };
+      tool.getProviderForBranch = jest.fn((branch) =>
+        branch.startsWith("lab-") ? gitlab : github,
+      );
+      tool.verbose = true;
+    });
+
+    it("should list PRs once per provider in use", async () => {
+      await tool.loadPRIndexes(["a", "b", "lab-c"]);
+
+      expect(github.listStatuses).toHaveBeenCalledTimes(1);
+      expect(gitlab.listStatuses).toHaveBeenCalledTimes(1);
+      expect(tool.prIndexes.get("github").statuses.get("a")).toBe("MERGED");
+      expect(tool.spinner.debug).toHaveBeenCalledWith(
+        "Indexed PRs for 1 GitHub branches",
+        true,
+      );
+    });
+
+    it("should keep per-branch lookups when listing fails", async () => {
+      gitlab.listStatuses.mockRejectedValueOnce(new Error("boom"));
+
+      await tool.loadPRIndexes(["lab-c"]);
+
+      expect(tool.prIndexes.has("gitlab")).toBe(false);
+      expect(tool.spinner.debug).toHaveBeenCalledWith(
+        "Could not list GitLab PRs, checking branches individually",
+        true,
+      );
+    });
+
+    it("should mention a truncated listing", async () => {
+      github.listStatuses.mockResolvedValue({
+        statuses: new Map(),
+        complete: false,
+      });
+
+      await tool.loadPRIndexes(["a"]);
+
+      expect(tool.spinner.debug).toHaveBeenCalledWith(
+        "Indexed PRs for 0 GitHub branches (truncated, older PRs are looked up per branch)",
+        true,
+      );
+    });
+
+    it("should skip providers without a batch listing and reuse loaded indexes", async () => {
+      delete gitlab.listStatuses;
+
+      await tool.loadPRIndexes(["a", "lab-c"]);
+      await tool.loadPRIndexes(["a"]);
+
+      expect(github.listStatuses).toHaveBeenCalledTimes(1);
+      expect(tool.prIndexes.has("gitlab")).toBe(false);
+    });
+  });
+
+  describe("checkBranches method", () => {
+    beforeEach(() => {
+      tool.getTrackedBranches = jest.fn();
+      tool.getGoneBranches = jest.fn().mockResolvedValue([]);
       tool.getPRStatus = jest.fn();
+      tool.loadPRIndexes = jest.fn();
+      tool.verifyPRHeads = jest.fn();
+      tool.verifyMergedBranches = jest.fn();
       tool.sleep = jest.fn();
     });
 
+    it("should keep diverged branches out of the deletion list", async () => {
+      tool.getTrackedBranches.mockResolvedValue(["reused", "merged"]);
+      tool.getPRStatus.mockResolvedValue("MERGED");
+      tool.verifyPRHeads = jest.fn(async (branches, resultsMap) => {
+        resultsMap.set("reused", {
+          branch: "reused",
+          icon: "⚠️",
+          label: "Merged (diverged)",
+          reason: "1 commit(s) after the head of PR #3 (abc1234)",
+        });
+      });
+
+      await tool.checkBranches();
+
+      expect(tool.verifyPRHeads).toHaveBeenCalledWith(
+        ["reused", "merged"],
+        expect.any(Map),
+      );
+      // Only branches still marked Merged are checked for squash merges
+      expect(tool.verifyMergedBranches).toHaveBeenCalledWith(
+        ["merged"],
+        expect.any(Map),
+      );
+      expect(tool.branchesToDelete).toEqual(["merged"]);
+      expect(tool.prResults[0].label).toBe("Merged (diverged)");
+    });
+
+    it("should not look up PRs of filtered-out branches", async () => {
+      tool.getTrackedBranches = GitCleanupTool.prototype.getTrackedBranches;
+      tool.execCommand = jest
+        .fn()
+        .mockResolvedValue(
+          "feature origin/feature \nspike/db origin/spike/db ",
+        );
+      tool.excludeMatchers = compilePatterns(["spike/*"]);
+      tool.getPRStatus.mockResolvedValue("OPEN");
+
+      await tool.checkBranches();
+
+      expect(tool.getPRStatus).toHaveBeenCalledTimes(1);
+      expect(tool.getPRStatus).toHaveBeenCalledWith("feature");
+      expect(tool.loadPRIndexes).toHaveBeenCalledWith(["feature"]);
+    });
+
+    it("should delete diverged branches with --allow-diverged", async () => {
+      tool.allowDiverged = true;
+      tool.getTrackedBranches.mockResolvedValue(["reused"]);
+      tool.getPRStatus.mockResolvedValue("MERGED");
+      tool.verifyPRHeads = jest.fn(async (branches, resultsMap) => {
+        resultsMap.set("reused", {
+          branch: "reused",
+          icon: "⚠️",
+          label: "Merged (diverged)",
+        });
+      });
+
+      await tool.checkBranches();
+
+      expect(tool.branchesToDelete).toEqual(["reused"]);
+    });
+
+    it("should load the PR index before checking branches", async () => {
+      tool.getTrackedBranches.mockResolvedValue(["feature1", "feature2"]);
+      tool.getPRStatus.mockResolvedValue("OPEN");
+
+      await tool.checkBranches();
+
+      expect(tool.loadPRIndexes).toHaveBeenCalledWith(["feature1", "feature2"]);
+    });
+
+    it("should verify merged branches for squash or rebase merges", async () => {
+      tool.getTrackedBranches.mockResolvedValue(["merged", "open"]);
+      tool.getPRStatus
+        .mockResolvedValueOnce("MERGED")
+        .mockResolvedValueOnce("OPEN");
+
+      await tool.checkBranches();
+
+      expect(tool.verifyMergedBranches).toHaveBeenCalledWith(
+        ["merged"],
+        expect.any(Map),
+      );
+    });
+
+    it("should use results replaced during verification", async () => {
+      tool.getTrackedBranches.mockResolvedValue(["squashed"]);
+      tool.getPRStatus.mockResolvedValue("MERGED");
+      const squashed = {
+        branch: "squashed",
+        icon: "📦",
+        label: "Squashed",
+        reason: "squashed diff matches a commit in main",
+      };
+      tool.verifyMergedBranches.mockImplementation(async (_, resultsMap) => {
+        resultsMap.set("squashed", squashed);
+      });
+
+      await tool.checkBranches();
+
+      expect(tool.prResults).toEqual([squashed]);
+      expect(tool.branchesToDelete).toEqual(["squashed"]);
+    });
+
     it("should check branches successfully", async () => {
       tool.getTrackedBranches.mockResolvedValue(["feature1", "feature2"]);
       tool.getPRStatus
@@ -723,6 +1373,35 @@ describe("GitCleanupTool", () => {
       );
     });
 
+    it("should list gone branches without looking them up", async () => {
+      tool.getTrackedBranches.mockResolvedValue(["feature1"]);
+      tool.getGoneBranches.mockResolvedValue(["old"]);
+      tool.getPRStatus.mockResolvedValue("OPEN");
+
+      await tool.checkBranches();
+
+      expect(tool.getPRStatus).toHaveBeenCalledTimes(1);
+      expect(tool.prResults).toEqual([
+        { branch: "feature1", icon: "⏳", label: "Open" },
+        { branch: "old", icon: "👻", label: "Gone" },
+      ]);
+      expect(tool.branchesToDelete).toEqual([]);
+      expect(tool.spinner.info).toHaveBeenCalledWith(
+        "1 branch(es) have a deleted upstream. Run with --gone to clean them up.",
+      );
+    });
+
+    it("should still list gone branches when nothing is tracked", async () => {
+      tool.getTrackedBranches.mockResolvedValue([]);
+      tool.getGoneBranches.mockResolvedValue(["old"]);
+
+      await tool.checkBranches();
+
+      expect(tool.prResults).toEqual([
+        { branch: "old", icon: "👻", label: "Gone" },
+      ]);
+    });
+
     it("should handle no branches to check", async () => {
       tool.getTrackedBranches.mockResolvedValue([]);
 
@@ -763,7 +1442,11 @@ describe("GitCleanupTool", () => {
 
       await tool.checkBranches();
 
-      expect(tool.branchesToDelete).toEqual(["merged", "closed"]);
+      expect(tool.branchesToDelete).toEqual(["merged"]);
+      expect(tool.closedBranchesToDelete).toEqual([]);
+      expect(tool.spinner.info).toHaveBeenCalledWith(
+        "1 branch(es) have closed, unmerged PRs. Run with --include-closed to delete them.",
+      );
       expect(tool.prResults).toEqual([
         { branch: "merged", icon: "✅", label: "Merged" },
         { branch: "closed", icon: "🔒", label: "Closed" },
@@ -773,6 +1456,28 @@ describe("GitCleanupTool", () => {
       ]);
     });
 
+    it("should queue closed branches separately with --include-closed", async () => {
+      tool.includeClosed = true;
+      tool.getTrackedBranches.mockResolvedValue(["closed", "merged", "gone"]);
+      tool.getPRStatus
+        .mockResolvedValueOnce("CLOSED")
+        .mockResolvedValueOnce("MERGED")
+        .mockResolvedValueOnce("CLOSED");
+      tool.getBranchTip = jest.fn(async (branch) =>
+        branch === "gone" ? null : `${branch}-sha`,
+      );
+
+      await tool.checkBranches();
+
+      expect(tool.branchesToDelete).toEqual(["merged"]);
+      // A branch that vanished since the check is not queued
+      expect(tool.closedBranchesToDelete).toEqual(["closed"]);
+      expect(tool.forceDeleteTips.get("closed")).toBe("closed-sha");
+      expect(tool.spinner.info).not.toHaveBeenCalledWith(
+        expect.stringContaining("--include-closed"),
+      );
+    });
+
     it("should handle unknown PR status", async () => {
       tool.getTrackedBranches.mockResolvedValue(["unknown-status"]);
       tool.getPRStatus.mockResolvedValue("DRAFT"); // Unknown status
@@ -896,171 +1601,1390 @@ describe("GitCleanupTool", () => {
     });
   });
 
-  describe("checkUntrackedBranches method", () => {
+  describe("getBaseBranch method", () => {
+    let outputs;
+
     beforeEach(() => {
-      tool.getUntrackedBranches = jest.fn();
-      tool.sleep = jest.fn();
+      // Command line -> output; anything else fails like git would
+      outputs = {};
+      tool.execCommand = jest.fn((args) =>
+        Promise.resolve(outputs[args.join(" ")] ?? null),
+      );
+      tool.usesProvider = jest.fn().mockReturnValue(false);
     });
 
-    it("should check untracked branches successfully", async () => {
-      tool.getUntrackedBranches.mockResolvedValue(["feature1", "feature2"]);
+    const exists = (...branches) => {
+      for (const branch of branches) {
+        outputs[`git rev-parse --verify --quiet refs/heads/${branch}`] = "abc";
+      }
+    };
 
-      await tool.checkUntrackedBranches();
+    it("should prefer main when it exists", async () => {
+      exists("main", "master");
 
-      expect(tool.spinner.updateMessage).toHaveBeenCalledWith(
-        "Fetching untracked local branches...",
-      );
-      expect(tool.spinner.start).toHaveBeenCalled();
-      expect(tool.branchesToDelete).toEqual(["feature1", "feature2"]);
-      expect(tool.prResults).toHaveLength(2);
-      expect(tool.spinner.success).toHaveBeenCalledWith(
-        "Finished processing 2 untracked branches",
+      const result = await tool.getBaseBranch();
+
+      expect(result).toBe("main");
+      expect(tool.defaultBranchSource).toBe("fallback");
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        ["git", "rev-parse", "--verify", "--quiet", "refs/heads/main"],
+        { silent: true },
       );
     });
 
-    it("should handle no untracked branches", async () => {
-      tool.getUntrackedBranches.mockResolvedValue([]);
+    it("should fall back to master", async () => {
+      exists("master");
 
-      await tool.checkUntrackedBranches();
+      const result = await tool.getBaseBranch();
 
-      expect(tool.spinner.warning).toHaveBeenCalledWith(
-        "No untracked local branches found.",
-      );
+      expect(result).toBe("master");
     });
 
-    it("should handle verbose mode", async () => {
-      tool.verbose = true;
-      tool.getUntrackedBranches.mockResolvedValue(["feature1"]);
+    it("should return null when neither exists", async () => {
+      outputs["git rev-parse --verify --quiet refs/heads/master"] =
+        "__TIMEOUT__";
 
-      await tool.checkUntrackedBranches();
+      const result = await tool.getBaseBranch();
 
-      expect(tool.spinner.debug).toHaveBeenCalled();
+      expect(result).toBeNull();
+      expect(tool.defaultBranchSource).toBeNull();
     });
-  });
 
-  describe("displayResults method", () => {
-    beforeEach(() => {
-      tool.prResults = [
-        { branch: "feature1", icon: "✅", label: "Merged" },
-        { branch: "feature2", icon: "⏳", label: "Open" },
-      ];
+    it("should use the remote HEAD, trying origin first", async () => {
+      exists("main", "trunk", "develop");
+      outputs["git remote"] = "upstream\norigin";
+      outputs["git symbolic-ref --quiet refs/remotes/upstream/HEAD"] =
+        "refs/remotes/upstream/develop";
+      outputs["git symbolic-ref --quiet refs/remotes/origin/HEAD"] =
+        "refs/remotes/origin/trunk";
+
+      const result = await tool.getBaseBranch();
+
+      expect(result).toBe("trunk");
+      expect(tool.defaultBranchSource).toBe("refs/remotes/origin/HEAD");
     });
 
-    it("should display results correctly", () => {
-      tool.displayResults();
+    it("should skip a remote HEAD without a local branch", async () => {
+      exists("main", "develop");
+      outputs["git remote"] = "origin\nupstream";
+      outputs["git symbolic-ref --quiet refs/remotes/origin/HEAD"] =
+        "refs/remotes/origin/trunk";
+      outputs["git symbolic-ref --quiet refs/remotes/upstream/HEAD"] =
+        "refs/remotes/upstream/develop";
 
-      expect(tool.spinner.log).toHaveBeenCalledWith("─".repeat(60));
-      expect(tool.spinner.log).toHaveBeenCalledWith(
-        `${"Branch".padEnd(40)} ${"Icon".padEnd(6)} ${"Status".padEnd(10)}`,
-      );
+      const result = await tool.getBaseBranch();
+
+      expect(result).toBe("develop");
+      expect(tool.defaultBranchSource).toBe("refs/remotes/upstream/HEAD");
     });
-  });
 
-  describe("deleteBranches method", () => {
-    beforeEach(() => {
-      tool.execCommand = jest.fn();
-      tool.askConfirmation = jest.fn();
-      tool.sleep = jest.fn();
+    it("should ask the provider when PR status is looked up", async () => {
+      exists("main", "trunk");
+      outputs["git remote"] = "origin";
+      tool.usesProvider.mockReturnValue(true);
+      tool.remoteProviders.set("origin", "gitlab");
+      const provider = {
+        displayName: "GitLab",
+        getDefaultBranch: jest.fn().mockResolvedValue("trunk"),
+      };
+      tool.getProvider = jest.fn().mockReturnValue(provider);
+
+      const result = await tool.getBaseBranch();
+
+      expect(result).toBe("trunk");
+      expect(tool.defaultBranchSource).toBe("GitLab");
+      expect(tool.getProvider).toHaveBeenCalledWith("gitlab");
     });
 
-    it("should handle no branches to delete", async () => {
-      tool.branchesToDelete = [];
+    it("should not ask the provider in offline modes", async () => {
+      exists("main");
+      outputs["git remote"] = "origin";
+      tool.getProvider = jest.fn();
 
-      await tool.deleteBranches();
+      await tool.getBaseBranch();
 
-      expect(tool.spinner.warning).toHaveBeenCalledWith(
-        "No branches with merged or closed PRs found.",
-      );
+      expect(tool.getProvider).not.toHaveBeenCalled();
     });
 
-    it("should handle no untracked branches to delete", async () => {
-      tool.untrackedOnly = true;
-      tool.branchesToDelete = [];
+    it("should use init.defaultBranch before main/master", async () => {
+      exists("main", "trunk");
+      outputs["git config --get init.defaultBranch"] = "trunk";
 
-      await tool.deleteBranches();
+      const result = await tool.getBaseBranch();
 
-      expect(tool.spinner.warning).toHaveBeenCalledWith(
-        "No untracked local branches found.",
-      );
+      expect(result).toBe("trunk");
+      expect(tool.defaultBranchSource).toBe("init.defaultBranch");
     });
 
-    it("should handle dry run mode", async () => {
-      tool.dryRun = true;
-      tool.branchesToDelete = ["feature1", "feature2"];
+    it("should use --default-branch without detecting", async () => {
+      exists("main", "develop");
+      tool.defaultBranchOverride = "develop";
 
-      await tool.deleteBranches();
+      const result = await tool.getBaseBranch();
 
-      expect(tool.spinner.warning).toHaveBeenCalledWith(
-        "DRY RUN — branches eligible for deletion:",
-      );
-      expect(tool.spinner.info).toHaveBeenCalledWith(
-        "Run without --dry-run to actually delete them.",
-      );
+      expect(result).toBe("develop");
+      expect(tool.defaultBranchSource).toBe("--default-branch");
+      expect(tool.execCommand).toHaveBeenCalledTimes(1);
     });
 
-    it("should delete branches when confirmed", async () => {
-      tool.branchesToDelete = ["feature1", "feature2"];
-      tool.askConfirmation.mockResolvedValue(true);
-      tool.execCommand.mockResolvedValue("");
+    it("should not fall back when --default-branch does not exist", async () => {
+      exists("main");
+      tool.defaultBranchOverride = "develop";
 
-      await tool.deleteBranches();
+      expect(await tool.getBaseBranch()).toBeNull();
+    });
 
-      expect(tool.spinner.error).toHaveBeenCalledWith(
-        "The following branches have merged or closed PRs and will be deleted:",
-      );
-      expect(tool.askConfirmation).toHaveBeenCalledWith(
-        "Proceed with deletion? (y/N): ",
-      );
-      expect(tool.execCommand).toHaveBeenCalledWith(
-        'git branch -d "feature1"',
-        { silent: true },
-      );
-      expect(tool.execCommand).toHaveBeenCalledWith(
-        'git branch -d "feature2"',
-        { silent: true },
-      );
-      expect(tool.spinner.success).toHaveBeenCalledWith(
-        "Successfully deleted 2 branches",
-      );
+    it("should only detect once", async () => {
+      exists("main");
+
+      await tool.getBaseBranch();
+      const calls = tool.execCommand.mock.calls.length;
+      await tool.getBaseBranch();
+
+      expect(tool.execCommand).toHaveBeenCalledTimes(calls);
     });
+  });
 
-    it("should handle failed branch deletions", async () => {
-      tool.branchesToDelete = ["feature1", "feature2"];
-      tool.askConfirmation.mockResolvedValue(true);
-      tool.execCommand
-        .mockResolvedValueOnce("") // feature1 succeeds
-        .mockRejectedValueOnce(new Error("Failed")); // feature2 fails
+  describe("showDefaultBranch method", () => {
+    it("should show the branch and where it came from", async () => {
+      tool.getBaseBranch = jest.fn().mockResolvedValue("trunk");
+      tool.defaultBranchSource = "refs/remotes/origin/HEAD";
 
-      await tool.deleteBranches();
+      await tool.showDefaultBranch();
 
-      expect(tool.spinner.warning).toHaveBeenCalledWith(
-        "Deleted 1 branches, 1 failed",
+      expect(tool.spinner.success).toHaveBeenCalledWith(
+        "Default branch: trunk (from refs/remotes/origin/HEAD)",
       );
     });
 
-    it("should use the branch icon from prResults", async () => {
-      tool.branchesToDelete = ["feature1"];
-      tool.prResults = [{ branch: "feature1", icon: "✅", label: "Merged" }];
-      tool.askConfirmation.mockResolvedValue(false);
+    it("should warn when no default branch is found", async () => {
+      tool.getBaseBranch = jest.fn().mockResolvedValue(null);
 
-      await tool.deleteBranches();
+      await tool.showDefaultBranch();
 
-      expect(tool.spinner.log).toHaveBeenCalledWith(
-        expect.stringContaining("✅ feature1"),
-        expect.anything(),
+      expect(tool.spinner.warning).toHaveBeenCalledWith(
+        "Default branch: not found (use --default-branch <name>)",
       );
+      expect(process.exit).not.toHaveBeenCalled();
     });
 
-    it("should use a fallback icon if branch is not in prResults", async () => {
-      tool.branchesToDelete = ["unknown-branch"];
-      tool.prResults = [{ branch: "other-branch", icon: "✅", label: "Merged" }]; // Branch not in results
-      tool.askConfirmation.mockResolvedValue(false);
+    it("should stop when --default-branch does not exist", async () => {
+      tool.getBaseBranch = jest.fn().mockResolvedValue(null);
+      tool.defaultBranchOverride = "develop";
 
-      await tool.deleteBranches();
+      await tool.showDefaultBranch();
 
-      expect(tool.spinner.log).toHaveBeenCalledWith(
-        expect.stringContaining("🗑️ unknown-branch"),
-        expect.anything(),
+      expect(tool.spinner.error).toHaveBeenCalledWith(
+        "Branch given with --default-branch does not exist locally: develop",
+      );
+      expect(process.exit).toHaveBeenCalledWith(EXIT_CODES.ERROR);
+    });
+  });
+
+  describe("getBranchTip method", () => {
+    beforeEach(() => {
+      tool.execCommand = jest.fn();
+    });
+
+    it("should resolve the branch tip", async () => {
+      tool.execCommand.mockResolvedValue("abc123");
+
+      const result = await tool.getBranchTip("feature");
+
+      expect(result).toBe("abc123");
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        ["git", "rev-parse", "--verify", "--quiet", "refs/heads/feature"],
+        { silent: true },
+      );
+    });
+
+    it("should return null when the branch cannot be resolved", async () => {
+      tool.execCommand.mockResolvedValueOnce(null);
+      expect(await tool.getBranchTip("gone")).toBeNull();
+
+      tool.execCommand.mockResolvedValueOnce("__TIMEOUT__");
+      expect(await tool.getBranchTip("slow")).toBeNull();
+    });
+  });
+
+  describe("detectSquashOrRebase method", () => {
+    beforeEach(() => {
+      tool.execCommand = jest.fn();
+    });
+
+    it("should detect a rebase merge when every commit is patch-equivalent", async () => {
+      tool.execCommand.mockResolvedValueOnce("- aaa\n- bbb");
+
+      const result = await tool.detectSquashOrRebase("feature", "main");
+
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        ["git", "cherry", "main", "refs/heads/feature"],
+        { silent: true },
+      );
+      expect(result).toEqual({
+        type: "rebased",
+        reason: "all 2 commit(s) have patch-equivalent commits in main",
+      });
+    });
+
+    it("should detect a squash merge through a synthetic squash commit", async () => {
+      tool.execCommand
+        .mockResolvedValueOnce("+ aaa\n- bbb") // git cherry
+        .mockResolvedValueOnce("base123") // git merge-base
+        .mockResolvedValueOnce("tree123") // git rev-parse ^{tree}
+        .mockResolvedValueOnce("squash123") // git commit-tree
+        .mockResolvedValueOnce("- squash123"); // git cherry on squash commit
+
+      const result = await tool.detectSquashOrRebase("feature", "main");
+
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        expect.arrayContaining(["commit-tree", "tree123", "-p", "base123"]),
+        { silent: true },
+      );
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        ["git", "cherry", "main", "squash123"],
+        { silent: true },
+      );
+      expect(result).toEqual({
+        type: "squashed",
+        reason: "squashed diff matches a commit in main",
+      });
+    });
+
+    it("should detect a squash merge when base already contains the branch tree", async () => {
+      tool.execCommand
+        .mockResolvedValueOnce("+ aaa") // git cherry
+        .mockResolvedValueOnce("base123") // git merge-base
+        .mockResolvedValueOnce("tree123") // git rev-parse ^{tree}
+        .mockResolvedValueOnce("squash123") // git commit-tree
+        .mockResolvedValueOnce("+ squash123") // no equivalent commit
+        .mockResolvedValueOnce("maintree\n") // git merge-tree --write-tree
+        .mockResolvedValueOnce("maintree"); // git rev-parse main^{tree}
+
+      const result = await tool.detectSquashOrRebase("feature", "main");
+
+      expect(result).toEqual({
+        type: "squashed",
+        reason: "branch changes are already in the main tree",
+      });
+    });
+
+    it("should return null for branches with unmerged changes", async () => {
+      tool.execCommand
+        .mockResolvedValueOnce("+ aaa") // git cherry
+        .mockResolvedValueOnce(null) // git merge-base fails
+        .mockResolvedValueOnce("tree123")
+        .mockResolvedValueOnce("othertree") // git merge-tree
+        .mockResolvedValueOnce("maintree"); // git rev-parse main^{tree}
+
+      const result = await tool.detectSquashOrRebase("feature", "main");
+
+      expect(result).toBeNull();
+    });
+
+    it("should skip the patch-id check when commit-tree fails", async () => {
+      tool.execCommand
+        .mockResolvedValueOnce("+ aaa")
+        .mockResolvedValueOnce("base123")
+        .mockResolvedValueOnce("tree123")
+        .mockResolvedValueOnce(null) // git commit-tree fails
+        .mockResolvedValueOnce(null) // git merge-tree unsupported
+        .mockResolvedValueOnce("maintree");
+
+      const result = await tool.detectSquashOrRebase("feature", "main");
+
+      expect(result).toBeNull();
+      expect(tool.execCommand).toHaveBeenCalledTimes(6);
+    });
+
+    it("should return null when git cherry fails", async () => {
+      tool.execCommand.mockResolvedValueOnce("__TIMEOUT__");
+
+      const result = await tool.detectSquashOrRebase("feature", "main");
+
+      expect(result).toBeNull();
+      expect(tool.execCommand).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("recordSquashOrRebase method", () => {
+    beforeEach(() => {
+      tool.getBranchTip = jest.fn();
+    });
+
+    it("should remember the tip and build a squashed result", async () => {
+      tool.getBranchTip.mockResolvedValue("abc123");
+
+      const result = await tool.recordSquashOrRebase("feature", {
+        type: "squashed",
+        reason: "why",
+      });
+
+      expect(result).toEqual({
+        branch: "feature",
+        icon: "📦",
+        label: "Squashed",
+        reason: "why",
+      });
+      expect(tool.forceDeleteTips.get("feature")).toBe("abc123");
+    });
+
+    it("should build a rebased result", async () => {
+      tool.getBranchTip.mockResolvedValue("abc123");
+
+      const result = await tool.recordSquashOrRebase("feature", {
+        type: "rebased",
+        reason: "why",
+      });
+
+      expect(result).toMatchObject({ icon: "🔁", label: "Rebased" });
+    });
+
+    it("should return false when the tip cannot be resolved", async () => {
+      tool.getBranchTip.mockResolvedValue(null);
+
+      const result = await tool.recordSquashOrRebase("feature", {
+        type: "squashed",
+        reason: "why",
+      });
+
+      expect(result).toBe(false);
+      expect(tool.forceDeleteTips.has("feature")).toBe(false);
+    });
+  });
+
+  describe("verifyMergedBranches method", () => {
+    let resultsMap;
+
+    beforeEach(() => {
+      tool.execCommand = jest.fn();
+      tool.getBaseBranch = jest.fn().mockResolvedValue("main");
+      tool.detectSquashOrRebase = jest.fn();
+      tool.getBranchTip = jest.fn().mockResolvedValue("abc123");
+      resultsMap = new Map([
+        ["ff", { branch: "ff", icon: "✅", label: "Merged" }],
+        ["squashed", { branch: "squashed", icon: "✅", label: "Merged" }],
+        ["diverged", { branch: "diverged", icon: "✅", label: "Merged" }],
+      ]);
+    });
+
+    it("should do nothing without merged branches", async () => {
+      await tool.verifyMergedBranches([], resultsMap);
+
+      expect(tool.getBaseBranch).not.toHaveBeenCalled();
+    });
+
+    it("should do nothing when no base branch exists", async () => {
+      tool.getBaseBranch.mockResolvedValue(null);
+
+      await tool.verifyMergedBranches(["ff"], resultsMap);
+
+      expect(tool.execCommand).not.toHaveBeenCalled();
+    });
+
+    it("should relabel squash-merged branches and keep reachable ones", async () => {
+      tool.verbose = true;
+      tool.execCommand
+        .mockResolvedValueOnce("") // ff is an ancestor of main
+        .mockResolvedValueOnce(null) // squashed is not
+        .mockResolvedValueOnce(null); // diverged is not
+      tool.detectSquashOrRebase
+        .mockResolvedValueOnce({ type: "squashed", reason: "why" })
+        .mockResolvedValueOnce(null);
+
+      await tool.verifyMergedBranches(
+        ["ff", "squashed", "diverged"],
+        resultsMap,
+      );
+
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        ["git", "merge-base", "--is-ancestor", "refs/heads/ff", "main"],
+        { silent: true },
+      );
+      expect(tool.detectSquashOrRebase).toHaveBeenCalledTimes(2);
+      expect(resultsMap.get("ff").label).toBe("Merged");
+      expect(resultsMap.get("squashed")).toEqual({
+        branch: "squashed",
+        icon: "📦",
+        label: "Squashed",
+        reason: "why",
+      });
+      expect(resultsMap.get("diverged").label).toBe("Merged");
+      expect(tool.forceDeleteTips.get("squashed")).toBe("abc123");
+      expect(tool.spinner.debug).toHaveBeenCalledWith("squashed -> why", true);
+    });
+  });
+
+  describe("checkLocalBranches method", () => {
+    beforeEach(() => {
+      tool.getLocalBranches = jest.fn();
+      tool.getBaseBranch = jest.fn().mockResolvedValue("main");
+      tool.detectSquashOrRebase = jest.fn().mockResolvedValue(null);
+      tool.execCommand = jest.fn();
+    });
+
+    it("should mark squash- and rebase-merged branches for deletion", async () => {
+      tool.verbose = true;
+      tool.getLocalBranches.mockResolvedValue(["squashed", "rebased", "wip"]);
+      tool.execCommand.mockResolvedValue("main");
+      tool.getBranchTip = jest.fn().mockResolvedValue("abc123");
+      tool.detectSquashOrRebase
+        .mockResolvedValueOnce({ type: "squashed", reason: "squash reason" })
+        .mockResolvedValueOnce({ type: "rebased", reason: "rebase reason" })
+        .mockResolvedValueOnce(null);
+
+      await tool.checkLocalBranches();
+
+      expect(tool.detectSquashOrRebase).toHaveBeenCalledWith(
+        "squashed",
+        "main",
+      );
+      expect(tool.branchesToDelete).toEqual(["squashed", "rebased"]);
+      expect(tool.prResults).toEqual([
+        {
+          branch: "squashed",
+          icon: "📦",
+          label: "Squashed",
+          reason: "squash reason",
+        },
+        {
+          branch: "rebased",
+          icon: "🔁",
+          label: "Rebased",
+          reason: "rebase reason",
+        },
+        { branch: "wip", icon: "❌", label: "Not merged" },
+      ]);
+      expect([...tool.forceDeleteTips.keys()]).toEqual(["squashed", "rebased"]);
+      expect(tool.spinner.debug).toHaveBeenCalledWith(
+        "squashed -> squash reason",
+        true,
+      );
+    });
+
+    it("should classify branches by reachability from the base branch", async () => {
+      tool.getLocalBranches.mockResolvedValue(["done", "wip", "local-done"]);
+      tool.execCommand.mockResolvedValue("main\ndone\nlocal-done\n");
+
+      await tool.checkLocalBranches();
+
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        ["git", "branch", "--merged", "main", "--format=%(refname:short)"],
+        { silent: true },
+      );
+      expect(tool.baseBranch).toBe("main");
+      expect(tool.branchesToDelete).toEqual(["done", "local-done"]);
+      expect(tool.prResults).toEqual([
+        { branch: "done", icon: "✅", label: "Merged" },
+        { branch: "wip", icon: "❌", label: "Not merged" },
+        { branch: "local-done", icon: "✅", label: "Merged" },
+      ]);
+      expect(tool.spinner.success).toHaveBeenCalledWith(
+        "Finished checking 3 local branches against main",
+      );
+    });
+
+    it("should warn when there are no local branches", async () => {
+      tool.getLocalBranches.mockResolvedValue([]);
+
+      await tool.checkLocalBranches();
+
+      expect(tool.spinner.warning).toHaveBeenCalledWith(
+        "No local branches found to check.",
+      );
+      expect(tool.execCommand).not.toHaveBeenCalled();
+    });
+
+    it("should report a missing base branch", async () => {
+      tool.getLocalBranches.mockResolvedValue(["feature"]);
+      tool.getBaseBranch.mockResolvedValue(null);
+
+      await tool.checkLocalBranches();
+
+      expect(tool.spinner.error).toHaveBeenCalledWith(
+        "Could not find a default branch to compare against. Use --default-branch <name>.",
+      );
+      expect(tool.prResults).toEqual([]);
+      expect(tool.exitCode).toBe(EXIT_CODES.ERROR);
+    });
+
+    it("should exit with an error instead of nothing to do", async () => {
+      tool.getLocalBranches.mockResolvedValue(["feature"]);
+      tool.getBaseBranch.mockResolvedValue(null);
+
+      await tool.checkLocalBranches();
+      await tool.deleteBranches();
+
+      expect(tool.exitCode).toBe(EXIT_CODES.ERROR);
+      expect(tool.spinner.warning).not.toHaveBeenCalledWith(
+        "No branches merged into the default branch found.",
+      );
+    });
+
+    it("should report a failed merged-branch listing", async () => {
+      tool.getLocalBranches.mockResolvedValue(["feature"]);
+      tool.execCommand.mockResolvedValue(null);
+
+      await tool.checkLocalBranches();
+
+      expect(tool.spinner.error).toHaveBeenCalledWith(
+        "Failed to list merged branches",
+      );
+      expect(tool.branchesToDelete).toEqual([]);
+      expect(tool.scanFailed).toBe(true);
+    });
+
+    it("should report a timed out merged-branch listing", async () => {
+      tool.getLocalBranches.mockResolvedValue(["feature"]);
+      tool.execCommand.mockResolvedValue("__TIMEOUT__");
+
+      await tool.checkLocalBranches();
+
+      expect(tool.spinner.error).toHaveBeenCalledWith(
+        "Failed to list merged branches (timeout)",
+      );
+    });
+
+    it("should log reachability in verbose mode", async () => {
+      tool.verbose = true;
+      tool.getLocalBranches.mockResolvedValue(["done", "wip"]);
+      tool.execCommand.mockResolvedValue("done");
+
+      await tool.checkLocalBranches();
+
+      expect(tool.spinner.debug).toHaveBeenCalledWith(
+        "done -> reachable from main",
+        true,
+      );
+      expect(tool.spinner.debug).toHaveBeenCalledWith(
+        "wip -> not reachable from main",
+        true,
+      );
+    });
+  });
+
+  describe("fetchAndPrune method", () => {
+    beforeEach(() => {
+      tool.execCommand = jest.fn();
+    });
+
+    it("should fetch and prune all remotes", async () => {
+      tool.execCommand.mockResolvedValue("");
+
+      const result = await tool.fetchAndPrune();
+
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        ["git", "fetch", "--all", "--prune"],
+        { silent: true, timeout: 60000 },
+      );
+      expect(result).toBe(true);
+    });
+
+    it("should warn and continue when fetching fails", async () => {
+      tool.execCommand.mockResolvedValue(null);
+
+      const result = await tool.fetchAndPrune();
+
+      expect(result).toBe(false);
+      expect(tool.spinner.warning).toHaveBeenCalledWith(
+        "Could not fetch from remotes; using existing tracking information.",
+      );
+    });
+
+    it("should mention a timeout when fetching times out", async () => {
+      tool.execCommand.mockResolvedValue("__TIMEOUT__");
+
+      await tool.fetchAndPrune();
+
+      expect(tool.spinner.warning).toHaveBeenCalledWith(
+        "Could not fetch from remotes (timeout); using existing tracking information.",
+      );
+    });
+  });
+
+  describe("checkGoneBranches method", () => {
+    beforeEach(() => {
+      tool.fetchAndPrune = jest.fn().mockResolvedValue(true);
+      tool.getGoneBranches = jest.fn();
+      tool.getBaseBranch = jest.fn().mockResolvedValue("main");
+      tool.detectSquashOrRebase = jest.fn().mockResolvedValue(null);
+      tool.getBranchTip = jest.fn().mockResolvedValue("abc123");
+      tool.execCommand = jest.fn();
+    });
+
+    it("should queue gone branches with their deleted upstream as reason", async () => {
+      tool.getGoneBranches.mockResolvedValue(["merged"]);
+      tool.branchInfo.set("merged", {
+        upstream: "origin/merged",
+        track: "[gone]",
+      });
+      tool.execCommand.mockResolvedValue(""); // ancestor of main
+
+      await tool.checkGoneBranches();
+
+      expect(tool.fetchAndPrune).toHaveBeenCalled();
+      expect(tool.branchesToDelete).toEqual(["merged"]);
+      expect(tool.prResults).toEqual([
+        {
+          branch: "merged",
+          icon: "👻",
+          label: "Gone",
+          reason: "upstream origin/merged no longer exists",
+        },
+      ]);
+      expect(tool.detectSquashOrRebase).not.toHaveBeenCalled();
+      expect(tool.spinner.success).toHaveBeenCalledWith(
+        "Found 1 branches with a deleted upstream",
+      );
+    });
+
+    it("should verify squash merges so gone branches can be force-deleted", async () => {
+      tool.verbose = true;
+      tool.getGoneBranches.mockResolvedValue(["squashed"]);
+      tool.branchInfo.set("squashed", {
+        upstream: "origin/squashed",
+        track: "[gone]",
+      });
+      tool.execCommand.mockResolvedValue(null); // not an ancestor
+      tool.detectSquashOrRebase.mockResolvedValue({
+        type: "squashed",
+        reason: "squashed diff matches a commit in main",
+      });
+
+      await tool.checkGoneBranches();
+
+      expect(tool.forceDeleteTips.get("squashed")).toBe("abc123");
+      expect(tool.prResults[0].reason).toBe(
+        "upstream origin/squashed no longer exists; squashed diff matches a commit in main",
+      );
+      expect(tool.spinner.debug).toHaveBeenCalled();
+    });
+
+    it("should skip ancestry checks without a base branch", async () => {
+      tool.getBaseBranch.mockResolvedValue(null);
+      tool.getGoneBranches.mockResolvedValue(["orphan"]);
+
+      await tool.checkGoneBranches();
+
+      expect(tool.execCommand).not.toHaveBeenCalled();
+      expect(tool.branchesToDelete).toEqual(["orphan"]);
+      expect(tool.prResults[0].reason).toBe(
+        "upstream undefined no longer exists",
+      );
+    });
+
+    it("should warn when no branches are gone", async () => {
+      tool.getGoneBranches.mockResolvedValue([]);
+
+      await tool.checkGoneBranches();
+
+      expect(tool.spinner.warning).toHaveBeenCalledWith(
+        "No branches with a deleted upstream found.",
+      );
+    });
+  });
+
+  describe("checkUntrackedBranches method", () => {
+    beforeEach(() => {
+      tool.getUntrackedBranches = jest.fn();
+      tool.sleep = jest.fn();
+    });
+
+    it("should check untracked branches successfully", async () => {
+      tool.getUntrackedBranches.mockResolvedValue(["feature1", "feature2"]);
+
+      await tool.checkUntrackedBranches();
+
+      expect(tool.spinner.updateMessage).toHaveBeenCalledWith(
+        "Fetching untracked local branches...",
+      );
+      expect(tool.spinner.start).toHaveBeenCalled();
+      expect(tool.branchesToDelete).toEqual(["feature1", "feature2"]);
+      expect(tool.prResults).toHaveLength(2);
+      expect(tool.spinner.success).toHaveBeenCalledWith(
+        "Finished processing 2 untracked branches",
+      );
+    });
+
+    it("should handle no untracked branches", async () => {
+      tool.getUntrackedBranches.mockResolvedValue([]);
+
+      await tool.checkUntrackedBranches();
+
+      expect(tool.spinner.warning).toHaveBeenCalledWith(
+        "No untracked local branches found.",
+      );
+    });
+
+    it("should handle verbose mode", async () => {
+      tool.verbose = true;
+      tool.getUntrackedBranches.mockResolvedValue(["feature1"]);
+
+      await tool.checkUntrackedBranches();
+
+      expect(tool.spinner.debug).toHaveBeenCalled();
+    });
+  });
+
+  describe("displayResults method", () => {
+    beforeEach(() => {
+      tool.prResults = [
+        { branch: "feature1", icon: "✅", label: "Merged" },
+        { branch: "feature2", icon: "⏳", label: "Open" },
+      ];
+    });
+
+    it("should display results correctly", () => {
+      tool.displayResults();
+
+      expect(tool.spinner.log).toHaveBeenCalledWith("─".repeat(60));
+      expect(tool.spinner.log).toHaveBeenCalledWith(
+        `${"Branch".padEnd(40)} ${"Icon".padEnd(6)} ${"Status".padEnd(10)}`,
+      );
+    });
+
+    it("should show the reason under a result that has one", () => {
+      tool.prResults = [
+        {
+          branch: "feature3",
+          icon: "📦",
+          label: "Squashed",
+          reason: "squashed diff matches a commit in main",
+        },
+      ];
+
+      tool.displayResults();
+
+      expect(tool.spinner.log).toHaveBeenCalledWith(
+        "  ↳ squashed diff matches a commit in main",
+      );
+    });
+
+    it("should report branches filtered out by --include/--exclude", () => {
+      tool.verbose = true;
+      tool.filteredBranches = new Set(["spike/a", "spike/b"]);
+
+      tool.displayResults();
+
+      expect(tool.spinner.log).toHaveBeenCalledWith(
+        "2 branch(es) filtered out by --include/--exclude",
+      );
+      expect(tool.spinner.debug).toHaveBeenCalledWith(
+        "Filtered out: spike/a, spike/b",
+        true,
+      );
+    });
+
+    it("should report branches left out by --author", () => {
+      tool.authorEmail = "me@example.com";
+      tool.otherAuthorBranches = new Set(["theirs"]);
+
+      tool.displayResults();
+
+      expect(tool.spinner.log).toHaveBeenCalledWith(
+        "1 branch(es) by other authors left out (--author me@example.com)",
+      );
+    });
+
+    it("should print tab-separated lines with --format plain", () => {
+      tool.format = "plain";
+      tool.prResults[0].reason = "PR #1 merged";
+
+      tool.displayResults();
+
+      expect(console.log).toHaveBeenCalledWith(
+        "feature1\tMerged\tPR #1 merged",
+      );
+      expect(console.log).toHaveBeenCalledWith("feature2\tOpen\t");
+      expect(tool.spinner.log).not.toHaveBeenCalled();
+    });
+
+    it("should not mention filters when nothing was filtered out", () => {
+      tool.displayResults();
+
+      expect(tool.spinner.log).not.toHaveBeenCalledWith(
+        expect.stringContaining("filtered out"),
+      );
+    });
+  });
+
+  describe("getAheadBehind method", () => {
+    it("should parse the left/right counts", async () => {
+      tool.execCommand = jest.fn().mockResolvedValue("3\t1");
+
+      expect(
+        await tool.getAheadBehind("refs/heads/a", "refs/heads/main"),
+      ).toEqual({ ahead: 3, behind: 1 });
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        [
+          "git",
+          "rev-list",
+          "--left-right",
+          "--count",
+          "refs/heads/a...refs/heads/main",
+        ],
+        { silent: true },
+      );
+    });
+
+    it("should return null when a side does not resolve", async () => {
+      tool.execCommand = jest
+        .fn()
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce("__TIMEOUT__");
+
+      expect(await tool.getAheadBehind("a", "b")).toBeNull();
+      expect(await tool.getAheadBehind("a", "b")).toBeNull();
+    });
+  });
+
+  describe("applyStale method", () => {
+    it("should do nothing without --stale", async () => {
+      tool.getBranchActivity = jest.fn();
+      tool.prResults = [{ branch: "a", icon: "❌", label: "No PR" }];
+
+      await tool.applyStale();
+
+      expect(tool.getBranchActivity).not.toHaveBeenCalled();
+      expect(tool.prResults[0]).toEqual({
+        branch: "a",
+        icon: "❌",
+        label: "No PR",
+      });
+    });
+
+    it("should only mark branches that would otherwise be kept", async () => {
+      const old = Date.now() - 100 * 86400000;
+      tool.staleMs = 30 * 86400000;
+      tool.getBranchActivity = jest.fn().mockResolvedValue(
+        new Map([
+          ["no-pr", { committed: old, checkedOut: null }],
+          ["open", { committed: old, checkedOut: null }],
+          ["gone", { committed: old, checkedOut: null }],
+        ]),
+      );
+      tool.getBranchTip = jest.fn().mockResolvedValue("abc123");
+      tool.prResults = [
+        { branch: "no-pr", icon: "❌", label: "No PR" },
+        { branch: "open", icon: "⏳", label: "Open" },
+        { branch: "unknown", icon: "❌", label: "No PR" },
+      ];
+
+      await tool.applyStale();
+
+      expect(tool.staleBranchesToDelete).toEqual(["no-pr"]);
+      expect(tool.forceDeleteTips.get("no-pr")).toBe("abc123");
+      expect(tool.prResults[0]).toMatchObject({
+        icon: "💤",
+        label: "Stale",
+        reason: "No PR; last commit 100d ago, no checkout in the reflog",
+      });
+      expect(tool.prResults[1].label).toBe("Open");
+      expect(tool.prResults[1].age).toBeGreaterThan(tool.staleMs);
+      expect(tool.prResults[2].age).toBeUndefined();
+    });
+
+    it("should skip branches whose tip cannot be resolved", async () => {
+      tool.staleMs = 1;
+      tool.getBranchActivity = jest
+        .fn()
+        .mockResolvedValue(new Map([["a", { committed: 0, checkedOut: 0 }]]));
+      tool.getBranchTip = jest.fn().mockResolvedValue(null);
+      tool.prResults = [{ branch: "a", icon: "❌", label: "Not merged" }];
+
+      await tool.applyStale();
+
+      expect(tool.staleBranchesToDelete).toEqual([]);
+      expect(tool.prResults[0].label).toBe("Not merged");
+    });
+  });
+
+  describe("filterByAuthor method", () => {
+    beforeEach(() => {
+      tool.author = "me";
+      tool.authorEmail = "me@example.com";
+      tool.getBaseBranch = jest.fn().mockResolvedValue("main");
+      tool.getBranchAuthorEmails = jest.fn(async (branch) =>
+        branch === "mine" ? ["me@example.com"] : ["other@example.com"],
+      );
+      tool.getProviderForBranch = jest.fn().mockReturnValue({
+        name: "github",
+        getCurrentUser: jest.fn().mockResolvedValue("octocat"),
+      });
+      tool.loadPRIndexes = jest.fn(async () => {
+        tool.prIndexes.set("github", {
+          pullRequests: new Map([
+            ["my-pr", { author: "octocat" }],
+            ["their-pr", { author: "hubot" }],
+          ]),
+        });
+      });
+    });
+
+    it("should also match PRs opened by the logged-in user", async () => {
+      const result = await tool.filterByAuthor([
+        "mine",
+        "my-pr",
+        "their-pr",
+        "no-pr",
+      ]);
+
+      expect(result).toEqual(["mine", "my-pr"]);
+      expect(tool.loadPRIndexes).toHaveBeenCalledWith([
+        "my-pr",
+        "their-pr",
+        "no-pr",
+      ]);
+      expect([...tool.otherAuthorBranches]).toEqual(["their-pr", "no-pr"]);
+    });
+
+    it("should not look at PRs for an explicit email or offline", async () => {
+      tool.author = "me@example.com";
+      expect(await tool.filterByAuthor(["my-pr"])).toEqual([]);
+
+      tool.author = "me";
+      tool.localMode = true;
+      tool.authoredBranches.clear();
+      expect(await tool.filterByAuthor(["my-pr"])).toEqual([]);
+
+      expect(tool.loadPRIndexes).not.toHaveBeenCalled();
+    });
+
+    it("should check each branch only once", async () => {
+      await tool.filterByAuthor(["mine", "my-pr"]);
+      await tool.filterByAuthor(["mine", "my-pr"]);
+
+      expect(tool.getBranchAuthorEmails).toHaveBeenCalledTimes(2);
+      expect(tool.loadPRIndexes).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("getBranchActivity method", () => {
+    it("should return an empty map when refs cannot be listed", async () => {
+      tool.execCommand = jest.fn().mockResolvedValue("__TIMEOUT__");
+
+      expect((await tool.getBranchActivity()).size).toBe(0);
+      expect(tool.execCommand).toHaveBeenCalledTimes(1);
+    });
+
+    it("should ignore reflog entries of other branches and operations", async () => {
+      tool.execCommand = jest
+        .fn()
+        .mockResolvedValueOnce("a\t100\nb\t200")
+        .mockResolvedValueOnce(
+          [
+            "HEAD@{300}\tcheckout: moving from a to main",
+            "HEAD@{250}\tcheckout: moving from main to a",
+            "HEAD@{240}\tcheckout: moving from b to a",
+            "HEAD@{230}\tcommit: on b",
+            "HEAD@{220}\tcheckout: moving from main to gone",
+          ].join("\n"),
+        );
+
+      const activity = await tool.getBranchActivity();
+
+      expect(Object.fromEntries(activity)).toEqual({
+        a: { committed: 100000, checkedOut: 250000 },
+        b: { committed: 200000, checkedOut: null },
+      });
+    });
+  });
+
+  describe("applyUnpushedCommits method", () => {
+    it("should keep a branch whose commits could not be counted", async () => {
+      tool.branchesToDelete = ["feature1"];
+      tool.baseBranch = "main";
+      tool.getCommitStats = jest
+        .fn()
+        .mockResolvedValue({ upstream: null, base: null, unpushed: null });
+
+      await tool.applyUnpushedCommits();
+
+      expect(tool.branchesToDelete).toEqual([]);
+      expect(tool.prResults).toEqual([
+        {
+          branch: "feature1",
+          icon: "📤",
+          label: "Unpushed",
+          atRisk: null,
+          reason:
+            "could not check for unpushed commits (use --allow-unpushed to delete anyway)",
+        },
+      ]);
+    });
+
+    it("should do nothing without candidates", async () => {
+      tool.getCommitStats = jest.fn();
+
+      await tool.applyUnpushedCommits();
+
+      expect(tool.getCommitStats).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("deleteBranches method", () => {
+    beforeEach(() => {
+      tool.execCommand = jest.fn();
+      tool.askConfirmation = jest.fn();
+      tool.sleep = jest.fn();
+      tool.recordDeletions = jest.fn().mockResolvedValue(true);
+      tool.recordFailedDeletion = jest.fn().mockResolvedValue();
+    });
+
+    it("should record branches in the journal before deleting them", async () => {
+      tool.branchesToDelete = ["feature1"];
+      tool.askConfirmation.mockResolvedValue(true);
+      const order = [];
+      tool.recordDeletions.mockImplementation(async () => {
+        order.push("journal");
+        return true;
+      });
+      tool.execCommand.mockImplementation(async () => {
+        order.push("delete");
+        return "Deleted";
+      });
+
+      await tool.deleteBranches();
+
+      expect(tool.recordDeletions).toHaveBeenCalledWith(["feature1"]);
+      expect(order).toEqual(["journal", "delete"]);
+    });
+
+    it("should not delete a branch when the journal cannot be written", async () => {
+      tool.branchesToDelete = ["feature1"];
+      tool.askConfirmation.mockResolvedValue(true);
+      tool.recordDeletions.mockResolvedValue(false);
+
+      await tool.deleteBranches();
+
+      expect(tool.execCommand).not.toHaveBeenCalled();
+      expect(tool.spinner.log).toHaveBeenCalledWith(
+        "❌ Could not write the undo journal, feature1 not deleted",
+        expect.anything(),
+      );
+    });
+
+    it("should only journal branches that get as far as their delete", async () => {
+      tool.archive = true;
+      tool.archiveBranch = jest.fn().mockResolvedValue(null);
+      tool.branchesToDelete = ["feature1"];
+      tool.askConfirmation.mockResolvedValue(true);
+
+      await tool.deleteBranches();
+
+      expect(tool.recordDeletions).not.toHaveBeenCalled();
+    });
+
+    it("should mark the journal entry when the delete fails", async () => {
+      tool.branchesToDelete = ["feature1", "feature2"];
+      tool.askConfirmation.mockResolvedValue(true);
+      tool.execCommand
+        .mockResolvedValueOnce(null)
+        .mockRejectedValueOnce(new Error("boom"));
+
+      await tool.deleteBranches();
+
+      expect(tool.recordDeletions).toHaveBeenCalledTimes(2);
+      expect(tool.recordFailedDeletion).toHaveBeenCalledWith("feature1");
+      expect(tool.recordFailedDeletion).toHaveBeenCalledWith("feature2");
+    });
+
+    it("should handle no branches to delete", async () => {
+      tool.branchesToDelete = [];
+
+      await tool.deleteBranches();
+
+      expect(tool.spinner.warning).toHaveBeenCalledWith(
+        "No branches with merged PRs found.",
+      );
+    });
+
+    it("should handle no untracked branches to delete", async () => {
+      tool.untrackedOnly = true;
+      tool.branchesToDelete = [];
+
+      await tool.deleteBranches();
+
+      expect(tool.spinner.warning).toHaveBeenCalledWith(
+        "No untracked local branches found.",
+      );
+    });
+
+    it("should handle no gone branches to delete", async () => {
+      tool.goneOnly = true;
+      tool.branchesToDelete = [];
+
+      await tool.deleteBranches();
+
+      expect(tool.spinner.warning).toHaveBeenCalledWith(
+        "No branches with a deleted upstream found.",
+      );
+    });
+
+    it("should describe and confirm gone-branch deletions", async () => {
+      tool.goneOnly = true;
+      tool.branchesToDelete = ["old"];
+      tool.askConfirmation.mockResolvedValue(false);
+
+      await tool.deleteBranches();
+
+      expect(tool.spinner.error).toHaveBeenCalledWith(
+        "The following branches have a deleted upstream and will be deleted:",
+      );
+      expect(tool.askConfirmation).toHaveBeenCalledWith(
+        "Proceed with deletion of gone branches? (y/N): ",
+      );
+    });
+
+    it("should handle no merged branches in local mode", async () => {
+      tool.localMode = true;
+      tool.baseBranch = "main";
+      tool.branchesToDelete = [];
+
+      await tool.deleteBranches();
+
+      expect(tool.spinner.warning).toHaveBeenCalledWith(
+        "No branches merged into main found.",
+      );
+    });
+
+    it("should fall back to a generic name when local mode has no base branch", async () => {
+      tool.localMode = true;
+      tool.branchesToDelete = [];
+
+      await tool.deleteBranches();
+
+      expect(tool.spinner.warning).toHaveBeenCalledWith(
+        "No branches merged into the default branch found.",
+      );
+    });
+
+    it("should describe local-mode deletions against the base branch", async () => {
+      tool.localMode = true;
+      tool.baseBranch = "master";
+      tool.branchesToDelete = ["feature1"];
+      tool.askConfirmation.mockResolvedValue(false);
+
+      await tool.deleteBranches();
+
+      expect(tool.spinner.error).toHaveBeenCalledWith(
+        "The following branches are merged into master and will be deleted:",
+      );
+    });
+
+    it("should handle dry run mode", async () => {
+      tool.dryRun = true;
+      tool.branchesToDelete = ["feature1", "feature2"];
+
+      await tool.deleteBranches();
+
+      expect(tool.spinner.warning).toHaveBeenCalledWith(
+        "DRY RUN — branches eligible for deletion:",
+      );
+      expect(tool.spinner.info).toHaveBeenCalledWith(
+        "Run without --dry-run to actually delete them.",
+      );
+    });
+
+    it("should delete branches when confirmed", async () => {
+      tool.branchesToDelete = ["feature1", "feature2"];
+      tool.askConfirmation.mockResolvedValue(true);
+      tool.execCommand.mockResolvedValue("");
+
+      await tool.deleteBranches();
+
+      expect(tool.spinner.error).toHaveBeenCalledWith(
+        "The following branches have merged PRs and will be deleted:",
+      );
+      expect(tool.askConfirmation).toHaveBeenCalledWith(
+        "Proceed with deletion? (y/N): ",
+      );
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        ["git", "branch", "-d", "feature1"],
+        { silent: true },
+      );
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        ["git", "branch", "-d", "feature2"],
+        { silent: true },
+      );
+      expect(tool.spinner.success).toHaveBeenCalledWith(
+        "Successfully deleted 2 branches",
+      );
+    });
+
+    it("should list and confirm closed branches separately", async () => {
+      tool.branchesToDelete = ["merged"];
+      tool.closedBranchesToDelete = ["closed"];
+      tool.forceDeleteTips.set("closed", "abc123");
+      tool.getBranchTip = jest.fn().mockResolvedValue("abc123");
+      tool.askConfirmation
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(true);
+      tool.execCommand.mockResolvedValue("Deleted");
+
+      await tool.deleteBranches();
+
+      expect(tool.askConfirmation).toHaveBeenNthCalledWith(
+        1,
+        "Proceed with deletion? (y/N): ",
+      );
+      expect(tool.spinner.error).toHaveBeenCalledWith(
+        "The following branches have closed PRs that were never merged; their commits will be lost:",
+      );
+      expect(tool.spinner.log).toHaveBeenCalledWith(
+        "  🔒 closed",
+        expect.anything(),
+      );
+      expect(tool.askConfirmation).toHaveBeenNthCalledWith(
+        2,
+        "Also delete these unmerged branches? (y/N): ",
+      );
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        ["git", "branch", "-d", "merged"],
+        { silent: true },
+      );
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        ["git", "branch", "-D", "closed"],
+        { silent: true },
+      );
+    });
+
+    it("should keep closed branches when their confirmation is declined", async () => {
+      tool.branchesToDelete = ["merged"];
+      tool.closedBranchesToDelete = ["closed"];
+      tool.askConfirmation
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(false);
+      tool.execCommand.mockResolvedValue("Deleted");
+
+      await tool.deleteBranches();
+
+      expect(tool.execCommand).toHaveBeenCalledTimes(1);
+      expect(tool.spinner.info).toHaveBeenCalledWith(
+        "Kept branches with closed PRs.",
+      );
+    });
+
+    it("should offer closed branches when nothing else is merged", async () => {
+      tool.closedBranchesToDelete = ["closed"];
+      tool.askConfirmation.mockResolvedValue(false);
+
+      await tool.deleteBranches();
+
+      expect(tool.spinner.warning).toHaveBeenCalledWith(
+        "No branches with merged PRs found.",
+      );
+      expect(tool.askConfirmation).toHaveBeenCalledWith(
+        "Also delete these unmerged branches? (y/N): ",
+      );
+    });
+
+    it("should only preview closed branches in dry-run mode", async () => {
+      tool.dryRun = true;
+      tool.closedBranchesToDelete = ["closed"];
+
+      await tool.deleteBranches();
+
+      expect(tool.spinner.warning).toHaveBeenCalledWith(
+        "DRY RUN — branches with closed, unmerged PRs eligible for deletion:",
+      );
+      expect(tool.askConfirmation).not.toHaveBeenCalled();
+    });
+
+    it("should only preview stale branches in dry-run mode", async () => {
+      tool.dryRun = true;
+      tool.staleThreshold = "90d";
+      tool.staleBranchesToDelete = ["old"];
+      tool.prResults = [
+        { branch: "old", icon: "💤", label: "Stale", age: 120 * 86400000 },
+      ];
+
+      await tool.deleteBranches();
+
+      expect(tool.spinner.warning).toHaveBeenCalledWith(
+        "DRY RUN — unmerged branches without activity for 90d eligible for deletion:",
+      );
+      expect(tool.spinner.log).toHaveBeenCalledWith(
+        "  💤 old (120d)",
+        expect.anything(),
+      );
+      expect(tool.askConfirmation).not.toHaveBeenCalled();
+      expect(tool.exitCode).toBe(EXIT_CODES.OK);
+    });
+
+    it("should pick stale branches in interactive mode", async () => {
+      tool.interactive = true;
+      tool.staleThreshold = "90d";
+      tool.staleBranchesToDelete = ["old1", "old2"];
+      tool.pickBranches = jest.fn(async () => {
+        // The warning is shown before the choice is made
+        expect(tool.spinner.error).toHaveBeenCalledWith(
+          "The following branches have had no activity for 90d and were never merged; their commits will be lost:",
+        );
+        return ["old2"];
+      });
+      tool.removeBranches = jest.fn();
+
+      await tool.deleteBranches();
+
+      expect(tool.pickBranches).toHaveBeenCalledWith(
+        ["old1", "old2"],
+        "Select the stale branches to delete",
+        false,
+      );
+      expect(tool.askConfirmation).not.toHaveBeenCalled();
+      expect(tool.removeBranches).toHaveBeenCalledWith(["old2"]);
+    });
+
+    it("should keep stale branches when the picker is cancelled", async () => {
+      tool.interactive = true;
+      tool.staleBranchesToDelete = ["old"];
+      tool.pickBranches = jest.fn().mockResolvedValue(null);
+      tool.removeBranches = jest.fn();
+
+      await tool.deleteBranches();
+
+      expect(tool.spinner.info).toHaveBeenCalledWith("Kept stale branches.");
+      expect(tool.removeBranches).not.toHaveBeenCalled();
+    });
+
+    it("should handle failed branch deletions", async () => {
+      tool.branchesToDelete = ["feature1", "feature2"];
+      tool.askConfirmation.mockResolvedValue(true);
+      tool.execCommand
+        .mockResolvedValueOnce("") // feature1 succeeds
+        .mockRejectedValueOnce(new Error("Failed")); // feature2 fails
+
+      await tool.deleteBranches();
+
+      expect(tool.spinner.warning).toHaveBeenCalledWith(
+        "Deleted 1 branches, 1 failed",
+      );
+    });
+
+    it("should use the branch icon from prResults", async () => {
+      tool.branchesToDelete = ["feature1"];
+      tool.prResults = [{ branch: "feature1", icon: "✅", label: "Merged" }];
+      tool.askConfirmation.mockResolvedValue(false);
+
+      await tool.deleteBranches();
+
+      expect(tool.spinner.log).toHaveBeenCalledWith(
+        expect.stringContaining("✅ feature1"),
+        expect.anything(),
+      );
+    });
+
+    it("should use a fallback icon if branch is not in prResults", async () => {
+      tool.branchesToDelete = ["unknown-branch"];
+      tool.prResults = [{ branch: "other-branch", icon: "✅", label: "Merged" }]; // Branch not in results
+      tool.askConfirmation.mockResolvedValue(false);
+
+      await tool.deleteBranches();
+
+      expect(tool.spinner.log).toHaveBeenCalledWith(
+        expect.stringContaining("🗑️ unknown-branch"),
+        expect.anything(),
       );
     });
 
@@ -1074,6 +2998,272 @@ describe("GitCleanupTool", () => {
       expect(tool.execCommand).not.toHaveBeenCalled();
     });
 
+    describe("exit codes", () => {
+      it("should report nothing to do without eligible branches", async () => {
+        tool.branchesToDelete = [];
+
+        await tool.deleteBranches();
+
+        expect(tool.exitCode).toBe(EXIT_CODES.NOTHING_TO_DO);
+      });
+
+      it("should report nothing to do when deletion is declined", async () => {
+        tool.branchesToDelete = ["feature1"];
+        tool.askConfirmation.mockResolvedValue(false);
+
+        await tool.deleteBranches();
+
+        expect(tool.exitCode).toBe(EXIT_CODES.NOTHING_TO_DO);
+      });
+
+      it("should report success when every branch was deleted", async () => {
+        tool.branchesToDelete = ["feature1", "feature2"];
+        tool.askConfirmation.mockResolvedValue(true);
+        tool.execCommand.mockResolvedValue("Deleted");
+
+        await tool.deleteBranches();
+
+        expect(tool.exitCode).toBe(EXIT_CODES.OK);
+      });
+
+      it("should report success for a dry run with eligible branches", async () => {
+        tool.dryRun = true;
+        tool.branchesToDelete = ["feature1"];
+
+        await tool.deleteBranches();
+
+        expect(tool.exitCode).toBe(EXIT_CODES.OK);
+      });
+
+      it("should report failures when some branches were not deleted", async () => {
+        tool.branchesToDelete = ["feature1", "feature2"];
+        tool.askConfirmation.mockResolvedValue(true);
+        tool.execCommand
+          .mockResolvedValueOnce("Deleted")
+          .mockResolvedValueOnce(null);
+
+        await tool.deleteBranches();
+
+        expect(tool.exitCode).toBe(EXIT_CODES.SOME_FAILED);
+      });
+
+      it("should report failures when the journal cannot be written", async () => {
+        tool.branchesToDelete = ["feature1"];
+        tool.askConfirmation.mockResolvedValue(true);
+        tool.recordDeletions.mockResolvedValue(false);
+
+        await tool.deleteBranches();
+
+        expect(tool.exitCode).toBe(EXIT_CODES.SOME_FAILED);
+      });
+
+      it("should report failures of remote deletions", async () => {
+        tool.deleteRemote = true;
+        tool.branchesToDelete = ["feature1"];
+        tool.getRemoteBranches = jest.fn().mockResolvedValue([
+          {
+            branch: "feature1",
+            remote: "origin",
+            ref: "refs/heads/feature1",
+            name: "origin/feature1",
+          },
+        ]);
+        tool.askConfirmation.mockResolvedValue(true);
+        tool.execCommand
+          .mockResolvedValueOnce("Deleted")
+          .mockResolvedValueOnce(null);
+
+        await tool.deleteBranches();
+
+        expect(tool.exitCode).toBe(EXIT_CODES.SOME_FAILED);
+      });
+
+      it("should keep a success when closed branches are declined", async () => {
+        tool.branchesToDelete = ["merged"];
+        tool.closedBranchesToDelete = ["closed"];
+        tool.askConfirmation
+          .mockResolvedValueOnce(true)
+          .mockResolvedValueOnce(false);
+        tool.execCommand.mockResolvedValue("Deleted");
+
+        await tool.deleteBranches();
+
+        expect(tool.exitCode).toBe(EXIT_CODES.OK);
+      });
+
+      it("should require confirmation without a terminal", async () => {
+        process.stdin = { isTTY: false };
+        tool.askConfirmation = GitCleanupTool.prototype.askConfirmation;
+        tool.branchesToDelete = ["feature1"];
+
+        await tool.deleteBranches();
+
+        expect(tool.execCommand).not.toHaveBeenCalled();
+        expect(tool.exitCode).toBe(EXIT_CODES.CONFIRMATION_REQUIRED);
+      });
+
+      it("should delete without a terminal with --yes", async () => {
+        process.stdin = { isTTY: false };
+        tool.askConfirmation = GitCleanupTool.prototype.askConfirmation;
+        tool.yes = true;
+        tool.branchesToDelete = ["feature1"];
+        tool.execCommand.mockResolvedValue("Deleted");
+
+        await tool.deleteBranches();
+
+        expect(tool.execCommand).toHaveBeenCalledWith(
+          ["git", "branch", "-d", "feature1"],
+          { silent: true },
+        );
+        expect(tool.exitCode).toBe(EXIT_CODES.OK);
+      });
+    });
+
+    it("should only delete the branches picked in interactive mode", async () => {
+      tool.interactive = true;
+      tool.branchesToDelete = ["feature1", "feature2", "feature3"];
+      tool.pickBranches = jest.fn().mockResolvedValue(["feature1", "feature3"]);
+      tool.execCommand.mockResolvedValue("Deleted");
+
+      await tool.deleteBranches();
+
+      expect(tool.pickBranches).toHaveBeenCalledWith(
+        ["feature1", "feature2", "feature3"],
+        "Select the branches to delete",
+      );
+      expect(tool.askConfirmation).not.toHaveBeenCalled();
+      expect(tool.recordDeletions.mock.calls).toEqual([
+        [["feature1"]],
+        [["feature3"]],
+      ]);
+      expect(tool.execCommand).toHaveBeenCalledTimes(2);
+      expect(tool.execCommand).not.toHaveBeenCalledWith(
+        ["git", "branch", "-d", "feature2"],
+        { silent: true },
+      );
+      expect(tool.spinner.success).toHaveBeenCalledWith(
+        "Successfully deleted 2 branches",
+      );
+    });
+
+    it("should still confirm remote deletions after the picker", async () => {
+      tool.interactive = true;
+      tool.deleteRemote = true;
+      tool.branchesToDelete = ["feature1"];
+      tool.pickBranches = jest.fn().mockResolvedValue(["feature1"]);
+      tool.getRemoteBranches = jest.fn().mockResolvedValue([
+        {
+          branch: "feature1",
+          remote: "origin",
+          ref: "refs/heads/feature1",
+          name: "origin/feature1",
+        },
+      ]);
+      tool.askConfirmation.mockResolvedValue(false);
+
+      await tool.deleteBranches();
+
+      expect(tool.spinner.log).toHaveBeenCalledWith(
+        "  🌐 origin/feature1",
+        expect.anything(),
+      );
+      expect(tool.askConfirmation).toHaveBeenCalledWith(
+        "Proceed with deletion? (y/N): ",
+      );
+      expect(tool.execCommand).not.toHaveBeenCalled();
+      expect(tool.spinner.info).toHaveBeenCalledWith("Cancelled.");
+    });
+
+    it("should still confirm worktree removals after the picker", async () => {
+      tool.interactive = true;
+      tool.branchesToDelete = ["feature1"];
+      tool.worktreesToRemove.set("feature1", "/work/feature1");
+      tool.pickBranches = jest.fn().mockResolvedValue(["feature1"]);
+      tool.removeWorktree = jest.fn().mockResolvedValue(true);
+      tool.askConfirmation.mockResolvedValue(true);
+      tool.execCommand.mockResolvedValue("Deleted");
+
+      await tool.deleteBranches();
+
+      expect(tool.askConfirmation).toHaveBeenCalled();
+      expect(tool.askConfirmation.mock.invocationCallOrder[0]).toBeLessThan(
+        tool.removeWorktree.mock.invocationCallOrder[0],
+      );
+      expect(tool.removeWorktree).toHaveBeenCalledWith("/work/feature1");
+    });
+
+    it("should delete nothing when the picker is cancelled", async () => {
+      tool.interactive = true;
+      tool.branchesToDelete = ["feature1"];
+      tool.pickBranches = jest.fn().mockResolvedValue(null);
+
+      await tool.deleteBranches();
+
+      expect(tool.spinner.info).toHaveBeenCalledWith("Cancelled.");
+      expect(tool.execCommand).not.toHaveBeenCalled();
+    });
+
+    it("should delete nothing when no branch is picked", async () => {
+      tool.interactive = true;
+      tool.branchesToDelete = ["feature1"];
+      tool.pickBranches = jest.fn().mockResolvedValue([]);
+
+      await tool.deleteBranches();
+
+      expect(tool.spinner.info).toHaveBeenCalledWith("No branches selected.");
+      expect(tool.execCommand).not.toHaveBeenCalled();
+    });
+
+    it("should pick closed branches separately in interactive mode", async () => {
+      tool.interactive = true;
+      tool.branchesToDelete = ["merged"];
+      tool.closedBranchesToDelete = ["closed1", "closed2"];
+      tool.forceDeleteTips.set("closed2", "abc123");
+      tool.getBranchTip = jest.fn().mockResolvedValue("abc123");
+      tool.pickBranches = jest
+        .fn()
+        .mockResolvedValueOnce(["merged"])
+        .mockResolvedValueOnce(["closed2"]);
+      tool.execCommand.mockResolvedValue("Deleted");
+
+      await tool.deleteBranches();
+
+      expect(tool.pickBranches).toHaveBeenNthCalledWith(
+        2,
+        ["closed1", "closed2"],
+        "Select the branches with closed, unmerged PRs to delete",
+        false,
+      );
+      expect(tool.spinner.error.mock.invocationCallOrder[0]).toBeLessThan(
+        tool.pickBranches.mock.invocationCallOrder[1],
+      );
+      expect(tool.spinner.log).not.toHaveBeenCalledWith(
+        "  🔒 closed1",
+        expect.anything(),
+      );
+      expect(tool.askConfirmation).not.toHaveBeenCalled();
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        ["git", "branch", "-D", "closed2"],
+        { silent: true },
+      );
+      expect(tool.execCommand).not.toHaveBeenCalledWith(
+        ["git", "branch", "-D", "closed1"],
+        { silent: true },
+      );
+    });
+
+    it("should not open the picker in dry-run mode", async () => {
+      tool.interactive = true;
+      tool.dryRun = true;
+      tool.branchesToDelete = ["feature1"];
+      tool.pickBranches = jest.fn();
+
+      await tool.deleteBranches();
+
+      expect(tool.pickBranches).not.toHaveBeenCalled();
+      expect(tool.execCommand).not.toHaveBeenCalled();
+    });
+
     it("should handle untracked-only mode", async () => {
       tool.untrackedOnly = true;
       tool.branchesToDelete = ["feature1"];
@@ -1119,6 +3309,26 @@ describe("GitCleanupTool", () => {
       );
     });
 
+    it("should force-delete verified squash-merged branches", async () => {
+      tool.branchesToDelete = ["squashed", "merged"];
+      tool.forceDeleteTips.set("squashed", "abc123");
+      tool.forceDeleteBranch = jest.fn().mockResolvedValue("");
+      tool.askConfirmation.mockResolvedValue(true);
+      tool.execCommand.mockResolvedValue("");
+
+      await tool.deleteBranches();
+
+      expect(tool.forceDeleteBranch).toHaveBeenCalledWith("squashed");
+      expect(tool.execCommand).toHaveBeenCalledTimes(1);
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        ["git", "branch", "-d", "merged"],
+        { silent: true },
+      );
+      expect(tool.spinner.success).toHaveBeenCalledWith(
+        "Successfully deleted 2 branches",
+      );
+    });
+
     it("should treat timeout as failure when deleting branches", async () => {
       tool.branchesToDelete = ["branch1", "branch2"];
       tool.askConfirmation.mockResolvedValue(true);
@@ -1174,6 +3384,85 @@ describe("GitCleanupTool", () => {
     });
   });
 
+  describe("forceDeleteBranch method", () => {
+    beforeEach(() => {
+      tool.execCommand = jest.fn();
+      tool.getBranchTip = jest.fn();
+      tool.forceDeleteTips.set("squashed", "abc123");
+    });
+
+    it("should force-delete when the tip is unchanged", async () => {
+      tool.getBranchTip.mockResolvedValue("abc123");
+      tool.execCommand.mockResolvedValue("Deleted branch squashed");
+
+      const result = await tool.forceDeleteBranch("squashed");
+
+      expect(tool.execCommand).toHaveBeenCalledWith(
+        ["git", "branch", "-D", "squashed"],
+        { silent: true },
+      );
+      expect(result).toBe("Deleted branch squashed");
+    });
+
+    it("should refuse when the tip moved since detection", async () => {
+      tool.getBranchTip.mockResolvedValue("def456");
+
+      const result = await tool.forceDeleteBranch("squashed");
+
+      expect(result).toBeNull();
+      expect(tool.execCommand).not.toHaveBeenCalled();
+      expect(tool.spinner.debug).toHaveBeenCalledWith(
+        "Refusing to force-delete 'squashed': tip changed since it was checked",
+        false,
+      );
+    });
+  });
+
+  describe("pickBranches method", () => {
+    it("should refuse to run without a terminal", async () => {
+      process.stdin = { isTTY: false };
+
+      const result = await tool.pickBranches(["feature1"], "Pick");
+
+      expect(result).toBeNull();
+      expect(tool.spinner.error).toHaveBeenCalledWith(
+        "--interactive needs an interactive terminal.",
+      );
+    });
+
+    it("should label branches with their status", async () => {
+      process.stdin = { isTTY: true };
+      tool.prResults = [{ branch: "feature1", icon: "✅", label: "Merged" }];
+      const prompt = jest
+        .spyOn(Picker.prototype, "prompt")
+        .mockResolvedValue(["feature1"]);
+
+      const result = await tool.pickBranches(["feature1", "other"], "Pick");
+
+      expect(result).toEqual(["feature1"]);
+      expect(prompt.mock.instances[0].title).toBe("Pick");
+      expect(prompt.mock.instances[0].items).toEqual([
+        { value: "feature1", label: "✅ feature1  Merged" },
+        { value: "other", label: "🗑️ other" },
+      ]);
+      expect([...prompt.mock.instances[0].selected]).toEqual([
+        "feature1",
+        "other",
+      ]);
+    });
+
+    it("should start with nothing selected when asked", async () => {
+      process.stdin = { isTTY: true };
+      const prompt = jest
+        .spyOn(Picker.prototype, "prompt")
+        .mockResolvedValue([]);
+
+      await tool.pickBranches(["feature1"], "Pick", false);
+
+      expect(prompt.mock.instances[0].selected.size).toBe(0);
+    });
+  });
+
   describe("askConfirmation method", () => {
     it("should return true for yes answers", async () => {
       const mockRl = {
@@ -1203,110 +3492,572 @@ describe("GitCleanupTool", () => {
 
       const promise = tool.askConfirmation("Test question?");
 
-      const questionCallback = mockRl.question.mock.calls[0][1];
-      questionCallback("YES");
+      const questionCallback = mockRl.question.mock.calls[0][1];
+      questionCallback("YES");
+
+      const result = await promise;
+
+      expect(result).toBe(true);
+    });
+
+    it("should return false for no answers", async () => {
+      const mockRl = {
+        question: jest.fn(),
+        close: jest.fn(),
+      };
+      readline.createInterface.mockReturnValue(mockRl);
+
+      const promise = tool.askConfirmation("Test question?");
+
+      const questionCallback = mockRl.question.mock.calls[0][1];
+      questionCallback("n");
+
+      const result = await promise;
+
+      expect(result).toBe(false);
+    });
+
+    it("should not prompt with --yes", async () => {
+      tool.yes = true;
+      process.stdin = { isTTY: false };
+
+      const result = await tool.askConfirmation("Test question?");
+
+      expect(result).toBe(true);
+      expect(readline.createInterface).not.toHaveBeenCalled();
+    });
+
+    it("should refuse without a terminal", async () => {
+      process.stdin = { isTTY: false };
+
+      const result = await tool.askConfirmation("Test question?");
+
+      expect(result).toBe(false);
+      expect(readline.createInterface).not.toHaveBeenCalled();
+      expect(tool.spinner.error).toHaveBeenCalledWith(
+        "Not a terminal, so confirmation cannot be asked. Run with --yes to proceed without it.",
+      );
+      expect(tool.exitCode).toBe(EXIT_CODES.CONFIRMATION_REQUIRED);
+    });
+  });
+
+  describe("recordOutcome method", () => {
+    it("should keep the most important outcome", () => {
+      tool.exitCode = EXIT_CODES.NOTHING_TO_DO;
+
+      tool.recordOutcome(EXIT_CODES.OK);
+      expect(tool.exitCode).toBe(EXIT_CODES.OK);
+
+      tool.recordOutcome(EXIT_CODES.SOME_FAILED);
+      tool.recordOutcome(EXIT_CODES.OK);
+      tool.recordOutcome(EXIT_CODES.NOTHING_TO_DO);
+      expect(tool.exitCode).toBe(EXIT_CODES.SOME_FAILED);
+    });
+  });
+
+  describe("showHelp method", () => {
+    it("should display help information", () => {
+      tool.showHelp();
+
+      expect(console.log).toHaveBeenCalled();
+    });
+  });
+
+  describe("showCommandHelp method", () => {
+    it("should only list the options of the command", () => {
+      tool.showCommandHelp("count");
+
+      const help = console.log.mock.calls[0][0];
+      expect(help).toContain("git-cleanup-merged count [OPTIONS] [DIRECTORY]");
+      expect(help).toContain("--exclude <glob>");
+      expect(help).toContain("-h, --help");
+      expect(help).not.toContain("--dry-run");
+      expect(help).not.toContain("--untracked-only");
+    });
+  });
+
+  describe("parseArguments method", () => {
+    beforeEach(() => {
+      tool.showHelp = jest.fn();
+      process.exit = jest.fn(); // Ensure it's a jest.fn, not a spy
+      process.chdir = jest.fn();
+    });
+
+    it("should parse dry-run flag", () => {
+      process.argv = ["node", "script.js", "--dry-run"];
+
+      tool.parseArguments();
+
+      expect(tool.dryRun).toBe(true);
+    });
+
+    it("should parse dry-run short flag", () => {
+      process.argv = ["node", "script.js", "-n"];
+
+      tool.parseArguments();
+
+      expect(tool.dryRun).toBe(true);
+    });
+
+    it("should parse verbose flag", () => {
+      process.argv = ["node", "script.js", "--verbose"];
+
+      tool.parseArguments();
+
+      expect(tool.verbose).toBe(true);
+    });
+
+    it("should parse verbose short flag", () => {
+      process.argv = ["node", "script.js", "-v"];
+
+      tool.parseArguments();
+
+      expect(tool.verbose).toBe(true);
+    });
+
+    it("should parse untracked-only flag", () => {
+      process.argv = ["node", "script.js", "--untracked-only"];
+
+      tool.parseArguments();
+
+      expect(tool.untrackedOnly).toBe(true);
+    });
+
+    it("should parse untracked-only flag with verbose", () => {
+      process.argv = ["node", "script.js", "--untracked-only", "--verbose"];
+
+      tool.parseArguments();
+
+      expect(tool.untrackedOnly).toBe(true);
+      expect(tool.verbose).toBe(true);
+    });
+
+    it("should parse count flag", () => {
+      process.argv = ["node", "script.js", "--count"];
+
+      tool.parseArguments();
+
+      expect(tool.countOnly).toBe(true);
+    });
+
+    it("should parse count short flag", () => {
+      process.argv = ["node", "script.js", "-c"];
+
+      tool.parseArguments();
+
+      expect(tool.countOnly).toBe(true);
+    });
+
+    it("should parse gone flag", () => {
+      process.argv = ["node", "script.js", "--gone"];
+
+      tool.parseArguments();
+
+      expect(tool.goneOnly).toBe(true);
+    });
+
+    it.each([
+      [["--restore"], { branch: null, lastRun: false }],
+      [["--restore", "--last-run"], { branch: null, lastRun: true }],
+      [["--restore", "feature/x"], { branch: "feature/x", lastRun: false }],
+      [["--restore", "-v"], { branch: null, lastRun: false }],
+    ])("should parse %p", (args, expected) => {
+      process.argv = ["node", "script.js", ...args];
+
+      tool.parseArguments();
+
+      expect(tool.restore).toEqual(expected);
+    });
+
+    it("should parse repeatable protect patterns", () => {
+      process.argv = [
+        "node",
+        "script.js",
+        "--protect",
+        "develop",
+        "--protect",
+        "/^release-\\d+$/",
+      ];
+
+      tool.parseArguments();
+
+      expect(tool.protectedPatterns).toEqual([
+        "main",
+        "master",
+        "develop",
+        "/^release-\\d+$/",
+      ]);
+      expect(tool.getProtection("release-12")).toBe(
+        "matches protected pattern /^release-\\d+$/",
+      );
+    });
+
+    it.each([
+      [["--protect"], "Option --protect needs a value (<pattern>)"],
+      [
+        ["--protect", "/[/"],
+        expect.stringMatching(
+          /^Invalid protected branch pattern: invalid regular expression/,
+        ),
+      ],
+    ])("should reject %p", (args, message) => {
+      process.argv = ["node", "script.js", ...args];
+
+      expect(tool.parseArguments()).toBe(EXIT_CODES.ERROR);
+
+      expect(tool.spinner.error).toHaveBeenCalledWith(message);
+      expect(tool.protectedPatterns).toEqual(["main", "master"]);
+    });
+
+    it.each([["--include"], ["--exclude"]])(
+      "should reject %s without a valid pattern",
+      (flag) => {
+        process.argv = ["node", "script.js", flag];
+        expect(tool.parseArguments()).toBe(EXIT_CODES.ERROR);
+        expect(tool.spinner.error).toHaveBeenCalledWith(
+          `Option ${flag} needs a value (<glob>)`,
+        );
+
+        process.argv = ["node", "script.js", flag, "/[/"];
+        expect(tool.parseArguments()).toBe(EXIT_CODES.ERROR);
+        expect(tool.spinner.error).toHaveBeenCalledWith(
+          expect.stringMatching(
+            new RegExp(`^Invalid ${flag} pattern: invalid regular expression`),
+          ),
+        );
+        expect(tool.includeMatchers).toEqual([]);
+        expect(tool.excludeMatchers).toEqual([]);
+      },
+    );
+
+    it("should parse default branch override", () => {
+      process.argv = ["node", "script.js", "--default-branch", "trunk"];
+
+      tool.parseArguments();
+
+      expect(tool.defaultBranchOverride).toBe("trunk");
+    });
+
+    it.each([[["--default-branch"]], [["--default-branch", "--local"]]])(
+      "should reject %p",
+      (args) => {
+        process.argv = ["node", "script.js", ...args];
+
+        expect(tool.parseArguments()).toBe(EXIT_CODES.ERROR);
+
+        expect(tool.spinner.error).toHaveBeenCalledWith(
+          "Option --default-branch needs a value (<name>)",
+        );
+        expect(tool.localMode).toBe(false);
+      },
+    );
+
+    it("should parse the author filter", () => {
+      process.argv = ["node", "script.js", "--author", "me"];
+
+      tool.parseArguments();
+
+      expect(tool.author).toBe("me");
+    });
+
+    it.each([[["--author"]], [["--author", "--local"]], [["--author="]]])(
+      "should reject %p",
+      (args) => {
+        process.argv = ["node", "script.js", ...args];
+
+        expect(tool.parseArguments()).toBe(EXIT_CODES.ERROR);
+
+        expect(tool.spinner.error).toHaveBeenCalledWith(
+          "Option --author needs a value (<email|me>)",
+        );
+      },
+    );
+
+    it("should parse stale durations", () => {
+      process.argv = ["node", "script.js", "--stale", "12w"];
+
+      tool.parseArguments();
+
+      expect(tool.staleThreshold).toBe("12w");
+      expect(tool.staleMs).toBe(84 * 86400000);
+    });
+
+    it.each([
+      [["--stale"], "Option --stale needs a value (<duration>)"],
+      [
+        ["--stale", "90"],
+        "Invalid duration for --stale: invalid duration 90: use a number followed by h, d, w or y (e.g. 90d)",
+      ],
+    ])("should reject %p", (args, message) => {
+      process.argv = ["node", "script.js", ...args];
+
+      expect(tool.parseArguments()).toBe(EXIT_CODES.ERROR);
+
+      expect(tool.spinner.error).toHaveBeenCalledWith(message);
+      expect(tool.staleMs).toBeNull();
+    });
+
+    it("should parse configuration options", () => {
+      process.argv = [
+        "node",
+        "script.js",
+        "--concurrency",
+        "10",
+        "--timeout",
+        "60",
+        "--format",
+        "plain",
+        "--print-config",
+      ];
+
+      tool.parseArguments();
+
+      expect(tool.cliConfig.values).toEqual({
+        concurrency: 10,
+        timeout: 60,
+        format: "plain",
+      });
+      expect(tool.cliConfig.sources.timeout).toBe("command line (--timeout)");
+      expect(tool.printConfig).toBe(true);
+    });
+
+    it.each([
+      [
+        ["--concurrency", "0"],
+        "--concurrency: must be a whole number from 1 to 50",
+      ],
+      [
+        ["--timeout", "soon"],
+        "--timeout: must be a whole number from 1 to 3600",
+      ],
+      [["--format", "json"], "--format: must be one of table, plain"],
+    ])("should reject %p", (args, message) => {
+      process.argv = ["node", "script.js", ...args];
+
+      expect(tool.parseArguments()).toBe(EXIT_CODES.ERROR);
+
+      expect(tool.spinner.error).toHaveBeenCalledWith(
+        `Invalid value for ${message}`,
+      );
+    });
+
+    it("should parse allow-unpushed flag", () => {
+      process.argv = ["node", "script.js", "--allow-unpushed"];
+
+      tool.parseArguments();
+
+      expect(tool.allowUnpushed).toBe(true);
+    });
+
+    it.each([["--yes"], ["-y"]])("should parse %s", (flag) => {
+      process.argv = ["node", "script.js", flag];
+
+      tool.parseArguments();
+
+      expect(tool.yes).toBe(true);
+    });
+
+    it.each([["--interactive"], ["-i"]])("should parse %s", (flag) => {
+      process.argv = ["node", "script.js", flag];
+
+      tool.parseArguments();
+
+      expect(tool.interactive).toBe(true);
+    });
+
+    it("should parse remove-worktrees flag", () => {
+      process.argv = ["node", "script.js", "--remove-worktrees"];
+
+      tool.parseArguments();
+
+      expect(tool.removeWorktrees).toBe(true);
+    });
+
+    it("should parse archive options", () => {
+      process.argv = [
+        "node",
+        "script.js",
+        "--archive",
+        "--archive-ref",
+        "archive/{date}-{branch}",
+      ];
+
+      tool.parseArguments();
+
+      expect(tool.archive).toBe(true);
+      expect(tool.archiveRef).toBe("archive/{date}-{branch}");
+    });
+
+    it.each([
+      ["refs/{branch}"],
+      ["refs/heads/old/{branch}"],
+      ["refs/remotes/origin/{branch}"],
+      ["refs/tags/{branch}"],
+      ["{branch}"],
+      ["refs/archive/{date}"],
+    ])("should reject the archive ref template %s", (template) => {
+      process.argv = ["node", "script.js", "--archive-ref", template];
+
+      expect(tool.parseArguments()).toBe(EXIT_CODES.ERROR);
+
+      expect(tool.spinner.error).toHaveBeenCalledWith(
+        `Invalid archive ref template: ${template}. Expected e.g. refs/archive/{date}/{branch} or archive/{branch}`,
+      );
+    });
+
+    it("should parse archive listing and pruning", () => {
+      process.argv = [
+        "node",
+        "script.js",
+        "--list-archives",
+        "--prune-archives",
+        "30",
+      ];
 
-      const result = await promise;
+      tool.parseArguments();
 
-      expect(result).toBe(true);
+      expect(tool.listArchivesOnly).toBe(true);
+      expect(tool.pruneArchivesDays).toBe(30);
     });
 
-    it("should return false for no answers", async () => {
-      const mockRl = {
-        question: jest.fn(),
-        close: jest.fn(),
-      };
-      readline.createInterface.mockReturnValue(mockRl);
+    it.each([["abc"], ["-1"], [undefined]])(
+      "should reject %p days for --prune-archives",
+      (days) => {
+        process.argv = [
+          "node",
+          "script.js",
+          days === undefined ? "--prune-archives" : `--prune-archives=${days}`,
+        ];
 
-      const promise = tool.askConfirmation("Test question?");
+        expect(tool.parseArguments()).toBe(EXIT_CODES.ERROR);
 
-      const questionCallback = mockRl.question.mock.calls[0][1];
-      questionCallback("n");
+        expect(tool.spinner.error).toHaveBeenCalledWith(
+          days === undefined
+            ? "Option --prune-archives needs a value (<days>)"
+            : `Invalid number of days for --prune-archives: ${days}`,
+        );
+      },
+    );
 
-      const result = await promise;
+    it("should parse remote flag", () => {
+      process.argv = ["node", "script.js", "--remote"];
 
-      expect(result).toBe(false);
+      tool.parseArguments();
+
+      expect(tool.deleteRemote).toBe(true);
     });
-  });
 
-  describe("showHelp method", () => {
-    it("should display help information", () => {
-      tool.showHelp();
+    it("should parse include-closed flag", () => {
+      process.argv = ["node", "script.js", "--include-closed"];
 
-      expect(console.log).toHaveBeenCalled();
+      tool.parseArguments();
+
+      expect(tool.includeClosed).toBe(true);
     });
-  });
 
-  describe("parseArguments method", () => {
-    beforeEach(() => {
-      tool.showHelp = jest.fn();
-      process.exit = jest.fn(); // Ensure it's a jest.fn, not a spy
-      process.chdir = jest.fn();
+    it("should parse allow-diverged flag", () => {
+      process.argv = ["node", "script.js", "--allow-diverged"];
+
+      tool.parseArguments();
+
+      expect(tool.allowDiverged).toBe(true);
     });
 
-    it("should parse dry-run flag", () => {
-      process.argv = ["node", "script.js", "--dry-run"];
+    it("should parse gone short flag", () => {
+      process.argv = ["node", "script.js", "-g"];
 
       tool.parseArguments();
 
-      expect(tool.dryRun).toBe(true);
+      expect(tool.goneOnly).toBe(true);
     });
 
-    it("should parse dry-run short flag", () => {
-      process.argv = ["node", "script.js", "-n"];
+    it("should parse provider option", () => {
+      process.argv = ["node", "script.js", "--provider", "gitlab", "-n"];
 
       tool.parseArguments();
 
+      expect(tool.providerName).toBe("gitlab");
+      expect(tool.providerExplicit).toBe(true);
+      expect(tool.getProvider().name).toBe("gitlab");
       expect(tool.dryRun).toBe(true);
     });
 
-    it("should parse verbose flag", () => {
-      process.argv = ["node", "script.js", "--verbose"];
+    it("should parse repeatable provider host overrides", () => {
+      process.argv = [
+        "node",
+        "script.js",
+        "--provider-host",
+        "Git.Corp.Example=gitlab",
+        "--provider-host",
+        "code.acme:8443=github",
+      ];
 
       tool.parseArguments();
 
-      expect(tool.verbose).toBe(true);
+      expect(tool.providerHosts).toEqual({
+        "git.corp.example": "gitlab",
+        "code.acme:8443": "github",
+      });
+      expect(tool.providerExplicit).toBe(false);
     });
 
-    it("should parse verbose short flag", () => {
-      process.argv = ["node", "script.js", "-v"];
+    it.each([["nohost"], ["=gitlab"], ["host=bitbucket"]])(
+      "should reject the invalid provider host mapping %s",
+      (mapping) => {
+        process.argv = ["node", "script.js", "--provider-host", mapping];
 
-      tool.parseArguments();
+        expect(tool.parseArguments()).toBe(EXIT_CODES.ERROR);
 
-      expect(tool.verbose).toBe(true);
+        expect(tool.spinner.error).toHaveBeenCalledWith(
+          `Invalid provider host mapping: ${mapping}. Expected <host>=<github|gitlab>`,
+        );
+      },
+    );
+
+    it("should reject a missing provider host mapping", () => {
+      process.argv = ["node", "script.js", "--provider-host"];
+
+      expect(tool.parseArguments()).toBe(EXIT_CODES.ERROR);
+
+      expect(tool.spinner.error).toHaveBeenCalledWith(
+        "Option --provider-host needs a value (<host>=<name>)",
+      );
     });
 
-    it("should parse untracked-only flag", () => {
-      process.argv = ["node", "script.js", "--untracked-only"];
+    it("should reject an unknown provider", () => {
+      process.argv = ["node", "script.js", "--provider", "bitbucket"];
 
-      tool.parseArguments();
+      expect(tool.parseArguments()).toBe(EXIT_CODES.ERROR);
 
-      expect(tool.untrackedOnly).toBe(true);
+      expect(tool.spinner.error).toHaveBeenCalledWith(
+        "Unknown provider: bitbucket. Expected one of: auto, github, gitlab",
+      );
     });
 
-    it("should parse untracked-only flag with verbose", () => {
-      process.argv = ["node", "script.js", "--untracked-only", "--verbose"];
+    it("should reject a missing provider name", () => {
+      process.argv = ["node", "script.js", "--provider"];
 
-      tool.parseArguments();
+      expect(tool.parseArguments()).toBe(EXIT_CODES.ERROR);
 
-      expect(tool.untrackedOnly).toBe(true);
-      expect(tool.verbose).toBe(true);
+      expect(tool.spinner.error).toHaveBeenCalledWith(
+        "Option --provider needs a value (<name>)",
+      );
     });
 
-    it("should parse count flag", () => {
-      process.argv = ["node", "script.js", "--count"];
+    it("should parse local flag", () => {
+      process.argv = ["node", "script.js", "--local"];
 
       tool.parseArguments();
 
-      expect(tool.countOnly).toBe(true);
+      expect(tool.localMode).toBe(true);
     });
 
-    it("should parse count short flag", () => {
-      process.argv = ["node", "script.js", "-c"];
+    it("should parse local short flag", () => {
+      process.argv = ["node", "script.js", "-l"];
 
       tool.parseArguments();
 
-      expect(tool.countOnly).toBe(true);
+      expect(tool.localMode).toBe(true);
     });
 
     it("should parse untracked-only short flag", () => {
@@ -1371,7 +4122,7 @@ describe("GitCleanupTool", () => {
     it("should handle unknown option", () => {
       process.argv = ["node", "script.js", "--unknown"];
 
-      tool.parseArguments();
+      expect(tool.parseArguments()).toBe(EXIT_CODES.ERROR);
 
       expect(tool.spinner.error).toHaveBeenCalledWith(
         "Unknown option: --unknown",
@@ -1379,7 +4130,6 @@ describe("GitCleanupTool", () => {
       expect(tool.spinner.info).toHaveBeenCalledWith(
         "Use --help for usage information.",
       );
-      expect(process.exit).toHaveBeenCalledWith(1);
     });
 
     it("should change directory if first argument is a directory", () => {
@@ -1395,11 +4145,10 @@ describe("GitCleanupTool", () => {
         throw new Error("fail");
       });
       tool.spinner.error = jest.fn();
-      tool.parseArguments();
+      expect(tool.parseArguments()).toBe(EXIT_CODES.ERROR);
       expect(tool.spinner.error).toHaveBeenCalledWith(
         "Failed to change directory to: /invalid/dir",
       );
-      expect(process.exit).toHaveBeenCalledWith(1);
     });
 
     it("should not call process.chdir if no directory argument is given", () => {
@@ -1408,6 +4157,206 @@ describe("GitCleanupTool", () => {
       expect(process.chdir).not.toHaveBeenCalled();
       expect(tool.dryRun).toBe(true);
     });
+
+    it("should accept the directory anywhere on the command line", () => {
+      process.argv = ["node", "script.js", "-n", "../some/dir", "--local"];
+
+      expect(tool.parseArguments()).toBeUndefined();
+
+      expect(process.chdir).toHaveBeenCalledWith("../some/dir");
+      expect(tool.dryRun).toBe(true);
+      expect(tool.localMode).toBe(true);
+      expect(tool.argumentsParsed).toBe(true);
+    });
+
+    it("should take a directory that looks like an option after --", () => {
+      process.argv = ["node", "script.js", "-n", "--", "-odd-dir"];
+
+      tool.parseArguments();
+
+      expect(process.chdir).toHaveBeenCalledWith("-odd-dir");
+    });
+
+    it("should reject a second positional argument", () => {
+      process.argv = ["node", "script.js", "one", "two"];
+
+      expect(tool.parseArguments()).toBe(EXIT_CODES.ERROR);
+
+      expect(tool.spinner.error).toHaveBeenCalledWith(
+        "Unexpected argument: two",
+      );
+      expect(process.chdir).not.toHaveBeenCalled();
+    });
+
+    it("should parse combined short flags", () => {
+      process.argv = ["node", "script.js", "-nuvy"];
+
+      tool.parseArguments();
+
+      expect(tool.dryRun).toBe(true);
+      expect(tool.untrackedOnly).toBe(true);
+      expect(tool.verbose).toBe(true);
+      expect(tool.yes).toBe(true);
+    });
+
+    it("should parse --option=value", () => {
+      process.argv = [
+        "node",
+        "script.js",
+        "--format=plain",
+        "--protect=release/*",
+        "--stale=90d",
+      ];
+
+      tool.parseArguments();
+
+      expect(tool.cliConfig.values.format).toBe("plain");
+      expect(tool.protectedPatterns).toContain("release/*");
+      expect(tool.staleThreshold).toBe("90d");
+    });
+
+    it("should turn flags off with --no-<flag>", () => {
+      process.argv = ["node", "script.js", "-nv", "--no-dry-run"];
+
+      tool.parseArguments();
+
+      expect(tool.dryRun).toBe(false);
+      expect(tool.verbose).toBe(true);
+    });
+
+    it("should collect repeated --include patterns", () => {
+      process.argv = [
+        "node",
+        "script.js",
+        "--include",
+        "feature/*",
+        "--include=fix/*",
+      ];
+
+      tool.parseArguments();
+
+      expect(tool.includeMatchers.map((m) => m.pattern)).toEqual([
+        "feature/*",
+        "fix/*",
+      ]);
+    });
+
+    it("should accept --last-run before --restore", () => {
+      process.argv = ["node", "script.js", "--last-run", "--restore"];
+
+      tool.parseArguments();
+
+      expect(tool.restore).toEqual({ branch: null, lastRun: true });
+    });
+
+    it.each([["list"], ["clean"], ["doctor"]])(
+      "should parse the %s command",
+      (command) => {
+        process.argv = ["node", "script.js", command, "-v", "../repo"];
+
+        expect(tool.parseArguments()).toBeUndefined();
+
+        expect(tool.command).toBe(command);
+        expect(tool.verbose).toBe(true);
+        expect(process.chdir).toHaveBeenCalledWith("../repo");
+      },
+    );
+
+    it("should count with the count command", () => {
+      process.argv = ["node", "script.js", "count", "--exclude", "wip/*"];
+
+      tool.parseArguments();
+
+      expect(tool.command).toBe("count");
+      expect(tool.countOnly).toBe(true);
+      expect(tool.excludeMatchers.map((m) => m.pattern)).toEqual(["wip/*"]);
+    });
+
+    it.each([
+      [["restore"], { branch: null, lastRun: false }],
+      [["restore", "feature"], { branch: "feature", lastRun: false }],
+      [["restore", "--last-run"], { branch: null, lastRun: true }],
+    ])("should parse %p", (args, restore) => {
+      process.argv = ["node", "script.js", ...args];
+
+      tool.parseArguments();
+
+      expect(tool.restore).toEqual(restore);
+      expect(process.chdir).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [["count", "-u"], "Unknown option: -u", "count"],
+      [["list", "--dry-run"], "Unknown option: --dry-run", "list"],
+      [["restore", "a", "b"], "Unexpected argument: b", "restore"],
+      [["doctor", "--version"], "Unknown option: --version", "doctor"],
+    ])("should reject %p", (args, message, command) => {
+      process.argv = ["node", "script.js", ...args];
+
+      expect(tool.parseArguments()).toBe(EXIT_CODES.ERROR);
+
+      expect(tool.spinner.error).toHaveBeenCalledWith(message);
+      expect(tool.spinner.info).toHaveBeenCalledWith(
+        `Use ${command} --help for usage information.`,
+      );
+      expect(tool.countOnly).toBe(false);
+    });
+
+    it("should show the help of a command", () => {
+      tool.showCommandHelp = jest.fn();
+      process.argv = ["node", "script.js", "clean", "--help"];
+
+      expect(tool.parseArguments()).toBe(0);
+
+      expect(tool.showCommandHelp).toHaveBeenCalledWith("clean");
+      expect(tool.showHelp).not.toHaveBeenCalled();
+    });
+
+    it("should treat a command name after -- as the directory", () => {
+      process.argv = ["node", "script.js", "-n", "--", "list"];
+
+      tool.parseArguments();
+
+      expect(tool.command).toBeNull();
+      expect(process.chdir).toHaveBeenCalledWith("list");
+    });
+
+    it("should reject --last-run without --restore", () => {
+      process.argv = ["node", "script.js", "--last-run"];
+
+      expect(tool.parseArguments()).toBe(EXIT_CODES.ERROR);
+
+      expect(tool.spinner.error).toHaveBeenCalledWith(
+        "--last-run only works with --restore",
+      );
+    });
+
+    it("should reject --prune-archives with a template without {date}", () => {
+      process.argv = [
+        "node",
+        "script.js",
+        "--archive-ref",
+        "archive/{branch}",
+        "--prune-archives",
+        "30",
+      ];
+
+      expect(tool.parseArguments()).toBe(EXIT_CODES.ERROR);
+
+      expect(tool.spinner.error).toHaveBeenCalledWith(
+        "--prune-archives needs {date} in the archive ref template: archive/{branch}",
+      );
+      expect(tool.pruneArchivesDays).toBeNull();
+    });
+
+    it("should not apply any option when one is invalid", () => {
+      process.argv = ["node", "script.js", "-n", "repo", "--format", "json"];
+
+      expect(tool.parseArguments()).toBe(EXIT_CODES.ERROR);
+
+      expect(tool.dryRun).toBe(false);
+      expect(process.chdir).not.toHaveBeenCalled();
+    });
   });
 
   describe("run method", () => {
@@ -1416,9 +4365,16 @@ describe("GitCleanupTool", () => {
       tool.parseArguments = jest.fn();
       tool.checkDependencies = jest.fn();
       tool.getCurrentBranch = jest.fn();
+      tool.showDefaultBranch = jest.fn();
       tool.checkBranches = jest.fn();
       tool.displayResults = jest.fn();
       tool.deleteBranches = jest.fn();
+      tool.loadConfig = jest.fn();
+      tool.loadAuthorFilter = jest.fn();
+      tool.addProtectedResults = jest.fn();
+      tool.applyStale = jest.fn();
+      tool.applyUnpushedCommits = jest.fn();
+      tool.applyWorktrees = jest.fn();
       tool.spinner.log = jest.fn();
       originalCwd = process.cwd;
       process.cwd = jest.fn(() => "/mock/path");
@@ -1434,11 +4390,104 @@ describe("GitCleanupTool", () => {
       expect(tool.parseArguments).toHaveBeenCalled();
       expect(tool.checkDependencies).toHaveBeenCalled();
       expect(tool.getCurrentBranch).toHaveBeenCalled();
+      expect(tool.showDefaultBranch).toHaveBeenCalled();
+      expect(tool.loadConfig).toHaveBeenCalled();
+      expect(tool.loadAuthorFilter).toHaveBeenCalled();
       expect(tool.checkBranches).toHaveBeenCalled();
+      expect(tool.addProtectedResults).toHaveBeenCalled();
+      expect(tool.applyStale).toHaveBeenCalled();
+      expect(tool.applyUnpushedCommits).toHaveBeenCalled();
+      expect(tool.applyWorktrees).toHaveBeenCalled();
       expect(tool.displayResults).toHaveBeenCalled();
       expect(tool.deleteBranches).toHaveBeenCalled();
     });
 
+    it("should set the process exit code from the outcome", async () => {
+      tool.deleteBranches = jest.fn(async () => {
+        tool.exitCode = EXIT_CODES.SOME_FAILED;
+      });
+
+      await tool.run();
+
+      expect(process.exitCode).toBe(EXIT_CODES.SOME_FAILED);
+      expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    it("should exit with success for read-only modes", async () => {
+      tool.countOnly = true;
+      tool.countBranches = jest.fn();
+
+      await tool.run();
+
+      expect(process.exitCode).toBe(EXIT_CODES.OK);
+    });
+
+    it("should restore branches instead of cleaning up with --restore", async () => {
+      tool.restore = { branch: null, lastRun: true };
+      tool.restoreBranches = jest.fn();
+
+      await tool.run();
+
+      expect(tool.restoreBranches).toHaveBeenCalled();
+      expect(tool.getCurrentBranch).not.toHaveBeenCalled();
+      expect(tool.checkBranches).not.toHaveBeenCalled();
+      expect(tool.deleteBranches).not.toHaveBeenCalled();
+    });
+
+    it("should only print the configuration with --print-config", async () => {
+      tool.printConfig = true;
+      tool.showConfig = jest.fn();
+
+      await tool.run();
+
+      expect(tool.loadConfig).toHaveBeenCalled();
+      expect(tool.showConfig).toHaveBeenCalled();
+      expect(tool.checkDependencies).not.toHaveBeenCalled();
+      expect(tool.checkBranches).not.toHaveBeenCalled();
+    });
+
+    it("should only show the results with the list command", async () => {
+      tool.command = "list";
+
+      await tool.run();
+
+      expect(tool.checkBranches).toHaveBeenCalled();
+      expect(tool.displayResults).toHaveBeenCalled();
+      expect(tool.deleteBranches).not.toHaveBeenCalled();
+      expect(process.exitCode).toBe(EXIT_CODES.OK);
+    });
+
+    it("should check the setup with the doctor command", async () => {
+      tool.command = "doctor";
+      tool.doctor = jest.fn();
+
+      await tool.run();
+
+      expect(tool.doctor).toHaveBeenCalled();
+      expect(tool.checkDependencies).not.toHaveBeenCalled();
+      expect(tool.checkBranches).not.toHaveBeenCalled();
+    });
+
+    it("should list archives with --list-archives", async () => {
+      tool.listArchivesOnly = true;
+      tool.listArchives = jest.fn();
+
+      await tool.run();
+
+      expect(tool.listArchives).toHaveBeenCalled();
+      expect(tool.checkBranches).not.toHaveBeenCalled();
+    });
+
+    it("should prune archives with --prune-archives", async () => {
+      tool.pruneArchivesDays = 7;
+      tool.pruneArchives = jest.fn();
+
+      await tool.run();
+
+      expect(tool.pruneArchives).toHaveBeenCalled();
+      expect(tool.deleteBranches).not.toHaveBeenCalled();
+    });
+
     it("should handle errors", async () => {
       const error = new Error("Test error");
       tool.checkDependencies.mockRejectedValue(error);
@@ -1479,6 +4528,29 @@ describe("GitCleanupTool", () => {
       expect(tool.checkBranches).not.toHaveBeenCalled();
     });
 
+    it("should run in gone mode", async () => {
+      tool.goneOnly = true;
+      tool.checkGoneBranches = jest.fn();
+
+      await tool.run();
+
+      expect(tool.checkGoneBranches).toHaveBeenCalled();
+      expect(tool.checkBranches).not.toHaveBeenCalled();
+      expect(tool.deleteBranches).toHaveBeenCalled();
+    });
+
+    it("should run in local mode", async () => {
+      tool.localMode = true;
+      tool.checkLocalBranches = jest.fn();
+
+      await tool.run();
+
+      expect(tool.checkLocalBranches).toHaveBeenCalled();
+      expect(tool.checkBranches).not.toHaveBeenCalled();
+      expect(tool.displayResults).toHaveBeenCalled();
+      expect(tool.deleteBranches).toHaveBeenCalled();
+    });
+
     it("should run in count-only mode and exit early", async () => {
       tool.countOnly = true;
       tool.countBranches = jest.fn();
@@ -1517,6 +4589,24 @@ describe("GitCleanupTool", () => {
       expect(tool.deleteBranches).not.toHaveBeenCalled();
     });
 
+    it("should stop with the error code for invalid arguments", async () => {
+      tool.parseArguments.mockReturnValue(EXIT_CODES.ERROR);
+
+      await tool.run();
+
+      expect(process.exitCode).toBe(EXIT_CODES.ERROR);
+      expect(tool.loadConfig).not.toHaveBeenCalled();
+    });
+
+    it("should not parse again when the arguments were already parsed", async () => {
+      tool.argumentsParsed = true;
+
+      await tool.run();
+
+      expect(tool.parseArguments).not.toHaveBeenCalled();
+      expect(tool.checkBranches).toHaveBeenCalled();
+    });
+
     it("should handle errors from getCurrentBranch", async () => {
       const error = new Error("Branch error");
       tool.getCurrentBranch.mockRejectedValue(error);
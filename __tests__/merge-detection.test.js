@@ -0,0 +1,123 @@
+// Integration tests: squash and rebase merges in a real repository must be
+// recognised offline and removed with a verified force delete.
+const fs = require("fs");
+const path = require("path");
+const GitCleanupTool = require("../src/index");
+const { git, makeTempDir, initRepo, createSpinner } = require("./helpers/repo");
+
+const commitFile = (cwd, file, content, message) => {
+  fs.writeFileSync(path.join(cwd, file), content);
+  git(cwd, "add", file);
+  git(cwd, "commit", "-q", "-m", message);
+};
+
+describe("squash and rebase merge detection", () => {
+  let originalCwd;
+  let repoDir;
+  let tool;
+
+  beforeEach(() => {
+    originalCwd = process.cwd();
+    repoDir = makeTempDir("merge");
+    initRepo(repoDir, { commit: false });
+    commitFile(repoDir, "README", "base\n", "initial");
+
+    // Fast-forward merged branch
+    git(repoDir, "checkout", "-q", "-b", "merged");
+    commitFile(repoDir, "merged.txt", "merged\n", "merged work");
+    git(repoDir, "checkout", "-q", "main");
+    git(repoDir, "merge", "-q", "--ff-only", "merged");
+
+    // Squash-merged branch with two commits
+    git(repoDir, "checkout", "-q", "-b", "squashed");
+    commitFile(repoDir, "squash.txt", "one\n", "squash part 1");
+    commitFile(repoDir, "squash.txt", "one\ntwo\n", "squash part 2");
+    git(repoDir, "checkout", "-q", "main");
+    git(repoDir, "merge", "-q", "--squash", "squashed");
+    git(repoDir, "commit", "-q", "-m", "Squashed feature (#1)");
+
+    // Rebase-merged branch: its commits were replayed onto main
+    git(repoDir, "checkout", "-q", "-b", "rebased", "HEAD~2");
+    commitFile(repoDir, "rebase.txt", "rebased\n", "rebased work");
+    git(repoDir, "checkout", "-q", "main");
+    git(repoDir, "cherry-pick", "rebased");
+
+    // Unmerged work
+    git(repoDir, "checkout", "-q", "-b", "wip");
+    commitFile(repoDir, "wip.txt", "wip\n", "work in progress");
+    git(repoDir, "checkout", "-q", "main");
+
+    process.chdir(repoDir);
+
+    tool = new GitCleanupTool();
+    tool.spinner = createSpinner();
+    tool.sleep = jest.fn(() => Promise.resolve());
+    tool.currentBranch = "main";
+    tool.localMode = true;
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(repoDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it("should classify merged, squashed, rebased and unmerged branches", async () => {
+    await tool.checkLocalBranches();
+
+    const byBranch = Object.fromEntries(
+      tool.prResults.map((result) => [result.branch, result]),
+    );
+    expect(byBranch.merged.label).toBe("Merged");
+    expect(byBranch.squashed).toEqual({
+      branch: "squashed",
+      icon: "📦",
+      label: "Squashed",
+      reason: "squashed diff matches a commit in main",
+    });
+    expect(byBranch.rebased).toEqual({
+      branch: "rebased",
+      icon: "🔁",
+      label: "Rebased",
+      reason: "all 1 commit(s) have patch-equivalent commits in main",
+    });
+    expect(byBranch.wip.label).toBe("Not merged");
+    expect(tool.branchesToDelete.sort()).toEqual([
+      "merged",
+      "rebased",
+      "squashed",
+    ]);
+  });
+
+  it("should delete squashed and rebased branches that git branch -d refuses", async () => {
+    await tool.checkLocalBranches();
+    tool.askConfirmation = jest.fn().mockResolvedValue(true);
+
+    await tool.deleteBranches();
+
+    expect(tool.spinner.success).toHaveBeenCalledWith(
+      "Successfully deleted 3 branches",
+    );
+    expect(git(repoDir, "branch", "--format=%(refname:short)")).toBe(
+      "main\nwip",
+    );
+  });
+
+  it("should keep a squashed branch whose tip moved after detection", async () => {
+    await tool.checkLocalBranches();
+    git(repoDir, "checkout", "-q", "squashed");
+    commitFile(repoDir, "late.txt", "late\n", "late work");
+    git(repoDir, "checkout", "-q", "main");
+    tool.askConfirmation = jest.fn().mockResolvedValue(true);
+
+    await tool.deleteBranches();
+
+    expect(tool.spinner.warning).toHaveBeenCalledWith(
+      "Deleted 2 branches, 1 failed",
+    );
+    expect(git(repoDir, "branch", "--format=%(refname:short)")).toContain(
+      "squashed",
+    );
+  });
+});
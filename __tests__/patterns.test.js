@@ -0,0 +1,75 @@
+const {
+  compilePattern,
+  compilePatterns,
+  findMatchingPattern,
+} = require("../src/utils/patterns");
+
+describe("compilePattern", () => {
+  it.each([
+    ["develop", "develop", true],
+    ["develop", "develop-2", false],
+    ["release/*", "release/1.0", true],
+    ["release/*", "release/1.0/hotfix", false],
+    ["release/*", "release", false],
+    ["release/**", "release/1.0/hotfix", true],
+    ["**/keep", "team/a/keep", true],
+    ["v?.x", "v1.x", true],
+    ["v?.x", "v10.x", false],
+    ["v?.x", "v1/x", false],
+    ["hotfix.1", "hotfixx1", false],
+    ["(staging)", "(staging)", true],
+  ])("should match glob %s against %s: %s", (pattern, name, expected) => {
+    expect(compilePattern(pattern).test(name)).toBe(expected);
+  });
+
+  it.each([
+    ["/^release-\\d+$/", "release-12", true],
+    ["/^release-\\d+$/", "release-x", false],
+    ["/staging/", "pre-staging-2", true],
+    ["/^STAGING$/i", "staging", true],
+  ])("should match regex %s against %s: %s", (pattern, name, expected) => {
+    expect(compilePattern(pattern).test(name)).toBe(expected);
+  });
+
+  it("should reject invalid and empty patterns", () => {
+    expect(() => compilePattern("/[/")).toThrow(
+      /^invalid regular expression \/\[\/: /,
+    );
+    expect(() => compilePattern("/a/z")).toThrow(/invalid regular expression/);
+    expect(() => compilePattern("")).toThrow("empty pattern");
+    expect(() => compilePattern(42)).toThrow("empty pattern");
+  });
+
+  it.each([
+    ["/^release/g", "g"],
+    ["/^release/iy", "y"],
+  ])("should reject the stateful flags of %s", (pattern, flag) => {
+    expect(() => compilePattern(pattern)).toThrow(
+      `invalid regular expression ${pattern}: the ${flag} flag is not supported`,
+    );
+  });
+
+  it("should match several names in a row", () => {
+    const regex = compilePattern("/^release/i");
+
+    expect(
+      ["release-1", "release-2", "Release-3"].map((name) => regex.test(name)),
+    ).toEqual([true, true, true]);
+  });
+});
+
+describe("findMatchingPattern", () => {
+  it("should return the first matching pattern", () => {
+    const compiled = compilePatterns(["main", "release/*", "/^rel/"]);
+
+    expect(findMatchingPattern(compiled, "release/2.0")).toBe("release/*");
+    expect(findMatchingPattern(compiled, "relaunch")).toBe("/^rel/");
+    expect(findMatchingPattern(compiled, "feature")).toBeNull();
+  });
+
+  it("should fail on the first invalid pattern", () => {
+    expect(() => compilePatterns(["main", "/(/"])).toThrow(
+      /invalid regular expression/,
+    );
+  });
+});
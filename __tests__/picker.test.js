@@ -0,0 +1,173 @@
+const { PassThrough } = require("stream");
+const Picker = require("../src/utils/picker");
+
+const UP = "\x1b[A";
+const DOWN = "\x1b[B";
+const ESC = "\x1b";
+const CTRL_A = "\x01";
+const CTRL_C = "\x03";
+const CTRL_N = "\x0e";
+const BACKSPACE = "\x7f";
+
+// A PassThrough posing as a raw-mode TTY; keys are written as the bytes a
+// terminal would send
+const createTerminal = () => {
+  const input = new PassThrough();
+  input.isTTY = true;
+  input.isRaw = false;
+  input.setRawMode = jest.fn((mode) => {
+    input.isRaw = mode;
+  });
+  const output = new PassThrough();
+  let written = "";
+  output.on("data", (chunk) => {
+    written += chunk.toString();
+  });
+  return { input, output, getOutput: () => written };
+};
+
+const items = [
+  { value: "feature/login", label: "✅ feature/login  Merged" },
+  { value: "feature/search", label: "✅ feature/search  Merged" },
+  { value: "bugfix/crash", label: "⚠️ bugfix/crash  Merged (diverged)" },
+];
+
+describe("Picker", () => {
+  let terminal;
+
+  const pick = (...keys) => {
+    const picker = new Picker(items, {
+      title: "Select the branches to delete",
+      input: terminal.input,
+      output: terminal.output,
+    });
+    const result = picker.prompt();
+    // Written separately, as a terminal would send each key
+    keys.forEach((key) => terminal.input.write(key));
+    return result;
+  };
+
+  beforeEach(() => {
+    terminal = createTerminal();
+  });
+
+  it("should start with every item selected", async () => {
+    expect(await pick("\r")).toEqual([
+      "feature/login",
+      "feature/search",
+      "bugfix/crash",
+    ]);
+  });
+
+  it("should start with only the given items selected", async () => {
+    const picker = new Picker(items, {
+      input: terminal.input,
+      output: terminal.output,
+      selected: [],
+    });
+    const result = picker.prompt();
+    terminal.input.write(DOWN);
+    terminal.input.write(" ");
+    terminal.input.write("\r");
+
+    expect(await result).toEqual(["feature/search"]);
+  });
+
+  it("should toggle the item under the cursor", async () => {
+    expect(await pick(DOWN, " ", "\r")).toEqual([
+      "feature/login",
+      "bugfix/crash",
+    ]);
+    expect(await pick(DOWN, DOWN, UP, UP, " ", " ", " ", "\r")).toEqual([
+      "feature/search",
+      "bugfix/crash",
+    ]);
+  });
+
+  it("should keep the cursor within the list", async () => {
+    expect(await pick(UP, DOWN, DOWN, DOWN, DOWN, " ", "\r")).toEqual([
+      "feature/login",
+      "feature/search",
+    ]);
+  });
+
+  it("should select all or none", async () => {
+    expect(await pick(CTRL_N, "\r")).toEqual([]);
+    expect(await pick(CTRL_N, CTRL_A, "\r")).toEqual([
+      "feature/login",
+      "feature/search",
+      "bugfix/crash",
+    ]);
+  });
+
+  it("should filter by typed text and only act on visible items", async () => {
+    expect(await pick("feat", CTRL_N, "\r")).toEqual(["bugfix/crash"]);
+    expect(await pick(CTRL_N, "search", " ", "\r")).toEqual(["feature/search"]);
+  });
+
+  it("should edit and clear the filter", async () => {
+    // "crashx" matches nothing, backspace brings the crash branch back
+    expect(await pick("crashx", BACKSPACE, " ", "\r")).toEqual([
+      "feature/login",
+      "feature/search",
+    ]);
+  });
+
+  it("should clear a non-empty filter on esc instead of cancelling", () => {
+    const picker = new Picker(items, terminal);
+    picker.handleKey("crash", {});
+
+    expect(picker.getVisibleItems()).toHaveLength(1);
+    expect(picker.handleKey(ESC, { name: "escape" })).toBeNull();
+    expect(picker.getVisibleItems()).toHaveLength(3);
+    expect(picker.handleKey(ESC, { name: "escape" })).toBe("cancel");
+  });
+
+  it("should resolve null when cancelled", async () => {
+    expect(await pick(ESC)).toBeNull();
+    expect(await pick(" ", CTRL_C)).toBeNull();
+  });
+
+  it("should restore the terminal when done", async () => {
+    await pick("\r");
+
+    expect(terminal.input.setRawMode).toHaveBeenNthCalledWith(1, true);
+    expect(terminal.input.setRawMode).toHaveBeenLastCalledWith(false);
+    expect(terminal.input.listenerCount("keypress")).toBe(0);
+    expect(terminal.getOutput()).toContain("\x1b[?25h");
+  });
+
+  it("should render the title, the selection and the counter", async () => {
+    await pick(DOWN, " ", "zzz", "\r");
+
+    const output = terminal.getOutput();
+    expect(output).toContain("? Select the branches to delete");
+    expect(output).toContain("✅ feature/login  Merged");
+    expect(output).toContain("◯");
+    expect(output).toContain("2 of 3 selected");
+    expect(output).toContain("Filter: zzz");
+    expect(output).toContain("No branches match the filter");
+  });
+
+  it("should only render a page of items at a time", () => {
+    const many = Array.from({ length: 30 }, (_, i) => ({
+      value: `b${i}`,
+      label: `branch-${i}`,
+    }));
+    const picker = new Picker(many, {
+      input: terminal.input,
+      output: terminal.output,
+      pageSize: 5,
+    });
+    for (let i = 0; i < 20; i++) {
+      picker.handleKey(undefined, { name: "down" });
+    }
+
+    picker.render();
+
+    const output = terminal.getOutput();
+    expect(output).toContain("branch-20");
+    expect(output).not.toContain("branch-10");
+    expect(output).not.toContain("branch-25");
+  });
+});
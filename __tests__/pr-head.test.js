@@ -0,0 +1,134 @@
+// Integration tests: a merged PR only vouches for the commits it contained.
+// A reused branch name with newer local work must be kept.
+const fs = require("fs");
+const path = require("path");
+const GitCleanupTool = require("../src/index");
+const { git, makeTempDir, initRepo, createSpinner } = require("./helpers/repo");
+
+const commitFile = (cwd, file, content, message) => {
+  fs.writeFileSync(path.join(cwd, file), content);
+  git(cwd, "add", file);
+  git(cwd, "commit", "-q", "-m", message);
+  return git(cwd, "rev-parse", "HEAD");
+};
+
+describe("PR head verification", () => {
+  let originalCwd;
+  let repoDir;
+  let tool;
+  let provider;
+  let prHead;
+  let resultsMap;
+
+  beforeEach(() => {
+    originalCwd = process.cwd();
+    repoDir = makeTempDir("prhead");
+    initRepo(repoDir, { commit: false });
+    commitFile(repoDir, "README", "base\n", "initial");
+
+    // fix-login was merged through PR #12, then reused for new work
+    git(repoDir, "checkout", "-q", "-b", "fix-login");
+    prHead = commitFile(repoDir, "login.txt", "v1\n", "fix login");
+    git(repoDir, "checkout", "-q", "main");
+    git(repoDir, "merge", "-q", "--no-ff", "-m", "Merge PR #12", "fix-login");
+    git(repoDir, "checkout", "-q", "fix-login");
+    commitFile(repoDir, "login.txt", "v2\n", "more login work");
+    commitFile(repoDir, "login.txt", "v3\n", "even more login work");
+    git(repoDir, "checkout", "-q", "main");
+
+    process.chdir(repoDir);
+
+    provider = {
+      name: "github",
+      displayName: "GitHub",
+      getCommits: jest.fn().mockResolvedValue([]),
+    };
+    tool = new GitCleanupTool();
+    tool.spinner = createSpinner();
+    tool.getProviderForBranch = () => provider;
+    tool.prHeads.set("fix-login", {
+      number: 12,
+      state: "MERGED",
+      headOid: prHead,
+    });
+    resultsMap = new Map([
+      ["fix-login", { branch: "fix-login", icon: "✅", label: "Merged" }],
+    ]);
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(repoDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it("should mark a branch with commits after the PR head as diverged", async () => {
+    await tool.verifyPRHeads(["fix-login"], resultsMap);
+
+    expect(resultsMap.get("fix-login")).toEqual({
+      branch: "fix-login",
+      icon: "⚠️",
+      label: "Merged (diverged)",
+      reason: `2 commit(s) after the head of PR #12 (${prHead.slice(0, 7)})`,
+    });
+    expect(tool.forceDeleteTips.has("fix-login")).toBe(false);
+    expect(tool.verifiedMerged.has("fix-login")).toBe(false);
+  });
+
+  it("should keep the Merged status when the tip is the PR head", async () => {
+    git(repoDir, "branch", "-f", "fix-login", prHead);
+
+    await tool.verifyPRHeads(["fix-login"], resultsMap);
+
+    expect(resultsMap.get("fix-login").label).toBe("Merged");
+    expect(provider.getCommits).not.toHaveBeenCalled();
+    // Its commits are on the provider even if the remote branch is gone
+    expect(tool.verifiedMerged.has("fix-login")).toBe(true);
+  });
+
+  it("should accept a local tip that the PR later built on", async () => {
+    git(repoDir, "branch", "-f", "fix-login", "fix-login~1");
+    tool.prHeads.get("fix-login").headOid = git(
+      repoDir,
+      "rev-parse",
+      "refs/heads/fix-login@{1}",
+    );
+
+    await tool.verifyPRHeads(["fix-login"], resultsMap);
+
+    expect(resultsMap.get("fix-login").label).toBe("Merged");
+  });
+
+  it("should consult the PR's commits when the head is not available locally", async () => {
+    const tip = git(repoDir, "rev-parse", "refs/heads/fix-login");
+    tool.prHeads.get("fix-login").headOid = "f".repeat(40);
+    provider.getCommits.mockResolvedValue([prHead, tip]);
+
+    await tool.verifyPRHeads(["fix-login"], resultsMap);
+
+    expect(provider.getCommits).toHaveBeenCalledWith(12);
+    expect(resultsMap.get("fix-login").label).toBe("Merged");
+  });
+
+  it("should treat an unknown PR head with unmatched commits as diverged", async () => {
+    tool.prHeads.get("fix-login").headOid = "f".repeat(40);
+
+    await tool.verifyPRHeads(["fix-login"], resultsMap);
+
+    expect(resultsMap.get("fix-login").reason).toBe(
+      "commits after the head of PR #12 (fffffff)",
+    );
+  });
+
+  it("should force-delete a diverged branch only with --allow-diverged", async () => {
+    tool.allowDiverged = true;
+    tool.askConfirmation = jest.fn().mockResolvedValue(true);
+
+    await tool.verifyPRHeads(["fix-login"], resultsMap);
+    tool.branchesToDelete = ["fix-login"];
+    await tool.deleteBranches();
+
+    expect(git(repoDir, "branch", "--format=%(refname:short)")).toBe("main");
+  });
+});
@@ -0,0 +1,183 @@
+// Integration tests: protected branch patterns from the repository config
+// file, git config and --protect, against a real repository.
+const fs = require("fs");
+const path = require("path");
+const GitCleanupTool = require("../src/index");
+const { readConfigFile } = require("../src/utils/config");
+const { git, makeTempDir, initRepo, createSpinner } = require("./helpers/repo");
+
+describe("readConfigFile", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = makeTempDir("config");
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("should parse a JSON object", async () => {
+    const file = path.join(tmpDir, "config.json");
+    fs.writeFileSync(file, '{"protected": ["develop"]}');
+
+    expect(await readConfigFile(file)).toEqual({ protected: ["develop"] });
+  });
+
+  it("should return an empty object when the file is missing", async () => {
+    expect(await readConfigFile(path.join(tmpDir, "missing.json"))).toEqual({});
+  });
+
+  it("should reject invalid JSON and non-objects", async () => {
+    const file = path.join(tmpDir, "config.json");
+    fs.writeFileSync(file, "{protected: develop}");
+    await expect(readConfigFile(file)).rejects.toThrow(
+      `${file} is not valid JSON`,
+    );
+
+    fs.writeFileSync(file, '["develop"]');
+    await expect(readConfigFile(file)).rejects.toThrow(
+      `${file} must contain a JSON object`,
+    );
+  });
+
+  it("should pass on other read errors", async () => {
+    await expect(readConfigFile(tmpDir)).rejects.toThrow(/EISDIR/);
+  });
+});
+
+describe("protected branches", () => {
+  let originalCwd;
+  let originalArgv;
+  let repoDir;
+  let tool;
+
+  beforeEach(() => {
+    originalCwd = process.cwd();
+    originalArgv = process.argv;
+    repoDir = makeTempDir("protected");
+    initRepo(repoDir);
+    for (const branch of [
+      "develop",
+      "staging",
+      "release/1.0",
+      "release-7",
+      "feature/login",
+    ]) {
+      git(repoDir, "branch", branch);
+    }
+    git(repoDir, "checkout", "-q", "-b", "current");
+
+    process.chdir(repoDir);
+    tool = new GitCleanupTool();
+    tool.currentBranch = "current";
+    tool.spinner = createSpinner();
+    jest.spyOn(process, "exit").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    process.argv = originalArgv;
+    fs.rmSync(repoDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it("should only protect main, master and the current branch by default", async () => {
+    await tool.loadConfig();
+
+    expect(await tool.getLocalBranches()).toEqual([
+      "develop",
+      "feature/login",
+      "release-7",
+      "release/1.0",
+      "staging",
+    ]);
+    expect(Object.fromEntries(tool.protectedBranches)).toEqual({
+      main: "matches protected pattern main",
+      current: "current branch",
+    });
+  });
+
+  it("should combine the config file, git config and --protect", async () => {
+    fs.writeFileSync(
+      path.join(repoDir, ".git-cleanup-merged.json"),
+      JSON.stringify({ protected: ["release/*"] }),
+    );
+    git(repoDir, "config", "--add", "cleanup-merged.protected", "develop");
+    git(
+      repoDir,
+      "config",
+      "--add",
+      "cleanup-merged.protected",
+      "/^release-\\d+$/",
+    );
+    process.argv = ["node", "script.js", "--protect", "staging"];
+    tool.parseArguments();
+
+    await tool.loadConfig();
+
+    expect(await tool.getLocalBranches()).toEqual(["feature/login"]);
+    expect(Object.fromEntries(tool.protectedBranches)).toMatchObject({
+      develop: "matches protected pattern develop",
+      staging: "matches protected pattern staging",
+      "release/1.0": "matches protected pattern release/*",
+      "release-7": "matches protected pattern /^release-\\d+$/",
+    });
+  });
+
+  it("should show protected branches in the results", async () => {
+    git(repoDir, "config", "cleanup-merged.protected", "develop");
+    await tool.loadConfig();
+    await tool.getLocalBranches();
+    tool.prResults = [{ branch: "staging", icon: "✅", label: "Merged" }];
+
+    tool.addProtectedResults();
+
+    expect(tool.prResults).toEqual([
+      { branch: "staging", icon: "✅", label: "Merged" },
+      {
+        branch: "current",
+        icon: "🛡️",
+        label: "Protected",
+        reason: "current branch",
+      },
+      {
+        branch: "develop",
+        icon: "🛡️",
+        label: "Protected",
+        reason: "matches protected pattern develop",
+      },
+      {
+        branch: "main",
+        icon: "🛡️",
+        label: "Protected",
+        reason: "matches protected pattern main",
+      },
+    ]);
+  });
+
+  it("should stop on an invalid pattern in git config", async () => {
+    git(repoDir, "config", "cleanup-merged.protected", "/(/");
+
+    await tool.loadConfig();
+
+    expect(tool.spinner.error).toHaveBeenCalledWith(
+      expect.stringMatching(
+        /^Invalid configuration: git config \(cleanup-merged\.protected\): protected contains an invalid regular expression \/\(\/: /,
+      ),
+    );
+    expect(process.exit).toHaveBeenCalledWith(GitCleanupTool.EXIT_CODES.ERROR);
+  });
+
+  it("should stop on a malformed config file", async () => {
+    const file = path.join(repoDir, ".git-cleanup-merged.json");
+    fs.writeFileSync(file, JSON.stringify({ protected: "develop" }));
+
+    await tool.loadConfig();
+
+    expect(tool.spinner.error).toHaveBeenCalledWith(
+      `Invalid configuration: repo config (${fs.realpathSync(file)}): protected must be a list of patterns`,
+    );
+    expect(process.exit).toHaveBeenCalledWith(GitCleanupTool.EXIT_CODES.ERROR);
+  });
+});
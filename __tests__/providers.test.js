@@ -0,0 +1,355 @@
+// Providers run against fake `gh` / `glab` executables placed first on PATH,
+// so the real command layer (spawn, argv, exit codes) is exercised.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execCommand } = require("../src/utils/exec");
+const {
+  createProvider,
+  PROVIDER_NAMES,
+  PR_STATES,
+  GitHubProvider,
+  GitLabProvider,
+} = require("../src/providers");
+
+const FAKE_GH = `#!/bin/sh
+case "$1" in
+  --version) echo "gh version 2.40.0" ;;
+  auth) [ -n "$FAKE_AUTH_FAIL" ] && exit 1; echo "Logged in" ;;
+  repo) [ -n "$FAKE_REPO_FAIL" ] && exit 1; echo "trunk" ;;
+  api) [ -n "$FAKE_REPO_FAIL" ] && exit 1; echo "octocat" ;;
+  pr)
+    if [ "$2" = list ]; then
+      [ -n "$FAKE_LIST_FAIL" ] && exit 1
+      if [ "$6" = 2 ]; then
+        echo '[{"headRefName":"a","state":"OPEN","number":3},{"headRefName":"b","state":"MERGED","number":2}]'
+      else
+        echo '[{"headRefName":"a","state":"CLOSED","number":1},{"headRefName":"a","state":"MERGED","number":2,"headRefOid":"aaa111","author":{"login":"octocat"}},{"headRefName":"b","state":"CLOSED","number":4}]'
+      fi
+      exit 0
+    fi
+    case "$3" in
+      merged) echo '{"number":1,"state":"MERGED","headRefOid":"aaa111"}' ;;
+      closed) echo '{"number":2,"state":"CLOSED","headRefOid":"bbb222"}' ;;
+      open) echo '{"number":3,"state":"OPEN","headRefOid":"ccc333"}' ;;
+      garbage) echo 'not json' ;;
+      7) printf 'c1\\nc2\\n' ;;
+      *) echo "no pull requests found for branch \\"$3\\"" >&2; exit 1 ;;
+    esac ;;
+esac
+`;
+
+const FAKE_GLAB = `#!/bin/sh
+case "$1" in
+  --version) echo "glab 1.36.0" ;;
+  auth) [ -n "$FAKE_AUTH_FAIL" ] && exit 1; echo "Logged in" ;;
+  repo) [ -n "$FAKE_REPO_FAIL" ] && exit 1; echo '{"id": 9, "default_branch": "develop"}' ;;
+  mr)
+    if [ "$2" = list ]; then
+      [ -n "$FAKE_LIST_FAIL" ] && exit 1
+      if [ "$5" = 1 ] && [ -n "$FAKE_FULL_PAGE" ]; then
+        i=0; printf '['
+        while [ $i -lt 100 ]; do
+          [ $i -gt 0 ] && printf ','
+          printf '{"source_branch":"mr-%s","state":"merged"}' $i
+          i=$((i + 1))
+        done
+        echo ']'
+      else
+        echo '[{"source_branch":"x","state":"opened","author":{"username":"gl-user"}},{"source_branch":"y","state":"closed"},{"source_branch":"z","state":"archived"}]'
+      fi
+      exit 0
+    fi
+    case "$3" in
+      merged) echo '{"iid": 1, "state": "merged", "sha": "ddd444"}' ;;
+      closed) echo '{"iid": 2, "state": "closed"}' ;;
+      opened) echo '{"iid": 3, "state": "opened"}' ;;
+      locked) echo '{"iid": 4, "state": "locked"}' ;;
+      weird) echo '{"iid": 5, "state": "archived"}' ;;
+      garbage) echo 'not json' ;;
+      *) echo "no open merge request available" >&2; exit 1 ;;
+    esac ;;
+  api)
+    case "$2" in
+      */merge_requests/5/*) echo '[{"id": "c1"}, {"id": "c2"}]' ;;
+      */merge_requests/6/*) echo 'not json' ;;
+      user) [ -n "$FAKE_REPO_FAIL" ] && exit 1; echo '{"id": 7, "username": "gl-user"}' ;;
+      *) exit 1 ;;
+    esac ;;
+esac
+`;
+
+describe("hosting providers", () => {
+  let binDir;
+  let originalPath;
+
+  const exec = (argv, options) => execCommand(argv, options);
+
+  beforeAll(() => {
+    originalPath = process.env.PATH;
+    binDir = fs.mkdtempSync(path.join(os.tmpdir(), "gcm-providers-"));
+    for (const [name, script] of [
+      ["gh", FAKE_GH],
+      ["glab", FAKE_GLAB],
+    ]) {
+      fs.writeFileSync(path.join(binDir, name), script);
+      fs.chmodSync(path.join(binDir, name), 0o755);
+    }
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+  });
+
+  afterAll(() => {
+    process.env.PATH = originalPath;
+    fs.rmSync(binDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    delete process.env.FAKE_AUTH_FAIL;
+    delete process.env.FAKE_LIST_FAIL;
+    delete process.env.FAKE_FULL_PAGE;
+    delete process.env.FAKE_REPO_FAIL;
+  });
+
+  describe("createProvider", () => {
+    it("should create providers by name", () => {
+      expect(createProvider("github", exec)).toBeInstanceOf(GitHubProvider);
+      expect(createProvider("gitlab", exec)).toBeInstanceOf(GitLabProvider);
+      expect(PROVIDER_NAMES).toEqual(["github", "gitlab"]);
+    });
+
+    it("should return null for unknown providers", () => {
+      expect(createProvider("bitbucket", exec)).toBeNull();
+    });
+  });
+
+  describe("GitHubProvider", () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = new GitHubProvider(exec);
+    });
+
+    it("should describe itself", () => {
+      expect(provider).toMatchObject({
+        name: "github",
+        displayName: "GitHub",
+        cli: "gh",
+        installUrl: "https://cli.github.com/",
+        loginCommand: "gh auth login",
+      });
+    });
+
+    it("should report the installed CLI version", async () => {
+      expect(await provider.checkInstalled()).toBe("gh version 2.40.0");
+    });
+
+    it("should report authentication status", async () => {
+      expect(await provider.checkAuth()).toBe("Logged in");
+
+      process.env.FAKE_AUTH_FAIL = "1";
+      expect(await provider.checkAuth()).toBeNull();
+    });
+
+    it("should return null when the branch has no PR", async () => {
+      expect(await provider.getPullRequest("no-pr")).toBeNull();
+    });
+
+    it("should return the PR number and head commit", async () => {
+      expect(await provider.getPullRequest("merged")).toEqual({
+        number: 1,
+        state: PR_STATES.MERGED,
+        headOid: "aaa111",
+      });
+      expect(await provider.getPullRequest("garbage")).toBeNull();
+    });
+
+    it("should list the commits of a PR", async () => {
+      expect(await provider.getCommits(7)).toEqual(["c1", "c2"]);
+      expect(await provider.getCommits(8)).toBeNull();
+    });
+
+    it("should index every PR of the repository in one call", async () => {
+      const index = await provider.listStatuses();
+
+      expect(index.complete).toBe(true);
+      expect(index.pullRequests.get("a")).toEqual({
+        branch: "a",
+        state: PR_STATES.MERGED,
+        number: 2,
+        headOid: "aaa111",
+        author: "octocat",
+      });
+      expect(index.pullRequests.get("b").author).toBeNull();
+      // A merged PR wins over a closed one for the same branch
+      expect(Object.fromEntries(index.statuses)).toEqual({
+        a: "MERGED",
+        b: "CLOSED",
+      });
+    });
+
+    it("should mark the index incomplete when the limit is reached", async () => {
+      const index = await provider.listStatuses(2);
+
+      expect(index.complete).toBe(false);
+      expect(Object.fromEntries(index.statuses)).toEqual({
+        a: "OPEN",
+        b: "MERGED",
+      });
+    });
+
+    it("should return null when listing fails", async () => {
+      process.env.FAKE_LIST_FAIL = "1";
+      expect(await provider.listStatuses()).toBeNull();
+
+      const garbage = new GitHubProvider(async () => "not json");
+      expect(await garbage.listStatuses()).toBeNull();
+    });
+
+    it("should report the authenticated user", async () => {
+      expect(await provider.getCurrentUser()).toBe("octocat");
+
+      process.env.FAKE_REPO_FAIL = "1";
+      expect(await provider.getCurrentUser()).toBeNull();
+    });
+
+    it("should report the default branch", async () => {
+      expect(await provider.getDefaultBranch()).toBe("trunk");
+
+      process.env.FAKE_REPO_FAIL = "1";
+      expect(await provider.getDefaultBranch()).toBeNull();
+    });
+
+    it("should return null when the CLI is missing", async () => {
+      const missing = new GitHubProvider((argv, options) =>
+        execCommand(argv, { ...options, env: { PATH: "/nonexistent" } }),
+      );
+
+      expect(await missing.checkInstalled()).toBeNull();
+    });
+  });
+
+  describe("GitLabProvider", () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = new GitLabProvider(exec);
+    });
+
+    it("should describe itself", () => {
+      expect(provider).toMatchObject({
+        name: "gitlab",
+        displayName: "GitLab",
+        cli: "glab",
+        loginCommand: "glab auth login",
+      });
+    });
+
+    it("should report the installed CLI version", async () => {
+      expect(await provider.checkInstalled()).toBe("glab 1.36.0");
+    });
+
+    it("should report authentication status", async () => {
+      expect(await provider.checkAuth()).toBe("Logged in");
+
+      process.env.FAKE_AUTH_FAIL = "1";
+      expect(await provider.checkAuth()).toBeNull();
+    });
+
+    it("should normalize merge request states", async () => {
+      const state = async (branch) =>
+        (await provider.getPullRequest(branch)).state;
+
+      expect(await state("merged")).toBe(PR_STATES.MERGED);
+      expect(await state("closed")).toBe(PR_STATES.CLOSED);
+      expect(await state("opened")).toBe(PR_STATES.OPEN);
+      expect(await state("locked")).toBe(PR_STATES.OPEN);
+    });
+
+    it("should return null for unknown states and unparsable output", async () => {
+      expect(await provider.getPullRequest("weird")).toBeNull();
+      expect(await provider.getPullRequest("garbage")).toBeNull();
+    });
+
+    it("should return null when the branch has no merge request", async () => {
+      expect(await provider.getPullRequest("no-mr")).toBeNull();
+    });
+
+    it("should return the merge request iid and head commit", async () => {
+      expect(await provider.getPullRequest("merged")).toEqual({
+        number: 1,
+        state: PR_STATES.MERGED,
+        headOid: "ddd444",
+      });
+    });
+
+    it("should list the commits of a merge request", async () => {
+      expect(await provider.getCommits(5)).toEqual(["c1", "c2"]);
+      expect(await provider.getCommits(6)).toBeNull();
+      expect(await provider.getCommits(9)).toBeNull();
+    });
+
+    it("should index merge requests page by page", async () => {
+      const index = await provider.listStatuses();
+
+      expect(index.complete).toBe(true);
+      expect(Object.fromEntries(index.statuses)).toEqual({
+        x: "OPEN",
+        y: "CLOSED",
+      });
+      expect(index.pullRequests.get("x").author).toBe("gl-user");
+      expect(index.pullRequests.get("y").author).toBeNull();
+    });
+
+    it("should request further pages until a short page", async () => {
+      process.env.FAKE_FULL_PAGE = "1";
+
+      const index = await provider.listStatuses();
+
+      expect(index.complete).toBe(true);
+      expect(index.statuses.size).toBe(102);
+    });
+
+    it("should stop at the limit and mark the index incomplete", async () => {
+      process.env.FAKE_FULL_PAGE = "1";
+
+      const index = await provider.listStatuses(100);
+
+      expect(index.complete).toBe(false);
+      expect(index.statuses.size).toBe(100);
+    });
+
+    it("should return null when listing fails", async () => {
+      process.env.FAKE_LIST_FAIL = "1";
+      expect(await provider.listStatuses()).toBeNull();
+
+      const garbage = new GitLabProvider(async () => "not json");
+      expect(await garbage.listStatuses()).toBeNull();
+    });
+
+    it("should report the authenticated user", async () => {
+      expect(await provider.getCurrentUser()).toBe("gl-user");
+
+      process.env.FAKE_REPO_FAIL = "1";
+      expect(await provider.getCurrentUser()).toBeNull();
+
+      const garbage = new GitLabProvider(async () => "not json");
+      expect(await garbage.getCurrentUser()).toBeNull();
+    });
+
+    it("should report the default branch", async () => {
+      expect(await provider.getDefaultBranch()).toBe("develop");
+
+      process.env.FAKE_REPO_FAIL = "1";
+      expect(await provider.getDefaultBranch()).toBeNull();
+
+      const garbage = new GitLabProvider(async () => "not json");
+      expect(await garbage.getDefaultBranch()).toBeNull();
+    });
+
+    it("should pass timeouts through", async () => {
+      const slow = new GitLabProvider(async () => "__TIMEOUT__");
+
+      expect(await slow.getPullRequest("anything")).toBe("__TIMEOUT__");
+    });
+  });
+});
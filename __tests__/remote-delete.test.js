@@ -0,0 +1,237 @@
+// Integration tests: --remote deletes the upstream branches of deleted local
+// branches in a real bare repository acting as the remote.
+const fs = require("fs");
+const path = require("path");
+const GitCleanupTool = require("../src/index");
+const { compilePatterns } = require("../src/utils/patterns");
+const {
+  git,
+  makeTempDir,
+  initRepo,
+  initBareRepo,
+  createSpinner,
+} = require("./helpers/repo");
+
+const remoteBranches = (cwd) =>
+  git(cwd, "for-each-ref", "--format=%(refname:short)", "refs/heads")
+    .split("\n")
+    .filter(Boolean);
+
+describe("remote branch deletion", () => {
+  let originalCwd;
+  let tmpDir;
+  let repoDir;
+  let originDir;
+  let brokenDir;
+  let tool;
+
+  beforeEach(() => {
+    originalCwd = process.cwd();
+    tmpDir = makeTempDir("remote");
+    repoDir = path.join(tmpDir, "repo");
+    originDir = path.join(tmpDir, "origin.git");
+    brokenDir = path.join(tmpDir, "broken.git");
+    initBareRepo(originDir);
+    initBareRepo(brokenDir);
+    initRepo(repoDir);
+    git(repoDir, "remote", "add", "origin", originDir);
+    git(repoDir, "remote", "add", "broken", brokenDir);
+    git(repoDir, "push", "-q", "origin", "main");
+
+    // merged and renamed are merged into main; wip is not
+    for (const branch of ["merged", "renamed", "wip"]) {
+      git(repoDir, "checkout", "-q", "-b", branch, "main");
+      git(repoDir, "commit", "-q", "--allow-empty", "-m", `${branch} work`);
+    }
+    git(repoDir, "push", "-q", "-u", "origin", "merged", "wip");
+    git(repoDir, "push", "-q", "-u", "origin", "renamed:feature/renamed");
+    // Unpushed work, so git branch -d refuses wip
+    git(repoDir, "checkout", "-q", "wip");
+    git(repoDir, "commit", "-q", "--allow-empty", "-m", "unpushed work");
+    git(repoDir, "checkout", "-q", "-b", "lost", "main");
+    git(repoDir, "push", "-q", "-u", "broken", "lost");
+    git(repoDir, "checkout", "-q", "main");
+    git(repoDir, "merge", "-q", "--no-ff", "-m", "merge", "merged");
+    git(repoDir, "merge", "-q", "--no-ff", "-m", "merge", "renamed");
+    // The broken remote disappears, so deleting from it fails
+    fs.rmSync(brokenDir, { recursive: true, force: true });
+
+    process.chdir(repoDir);
+
+    tool = new GitCleanupTool();
+    tool.spinner = createSpinner();
+    tool.sleep = jest.fn(() => Promise.resolve());
+    tool.deleteRemote = true;
+    tool.askConfirmation = jest.fn().mockResolvedValue(true);
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it("should resolve the remote and remote ref of each upstream", async () => {
+    git(repoDir, "branch", "local-only");
+
+    const targets = await tool.getRemoteBranches([
+      "merged",
+      "renamed",
+      "local-only",
+    ]);
+
+    expect(targets).toEqual([
+      {
+        branch: "merged",
+        remote: "origin",
+        ref: "refs/heads/merged",
+        name: "origin/merged",
+        sha: git(repoDir, "rev-parse", "origin/merged"),
+      },
+    ]);
+    expect(tool.spinner.info).toHaveBeenCalledWith(
+      "Keeping remote branch origin/feature/renamed (tracked by renamed under another name)",
+    );
+  });
+
+  it("should keep shared, protected and default remote branches", async () => {
+    git(repoDir, "push", "-q", "origin", "main:develop", "main:release-1");
+    git(repoDir, "fetch", "-q", "origin");
+    git(repoDir, "remote", "set-head", "origin", "main");
+    git(repoDir, "branch", "-q", "feature", "origin/develop");
+    git(repoDir, "branch", "-q", "other", "origin/develop");
+    git(repoDir, "branch", "-q", "release-1", "origin/release-1");
+    git(repoDir, "branch", "-q", "-u", "origin/main", "merged");
+    tool.protectedMatchers = compilePatterns(["release-*"]);
+
+    const targets = await tool.getRemoteBranches([
+      "feature",
+      "other",
+      "release-1",
+      "merged",
+    ]);
+
+    expect(targets).toEqual([]);
+    expect(tool.spinner.info.mock.calls).toEqual([
+      [
+        "Keeping remote branch origin/develop (tracked by feature under another name)",
+      ],
+      [
+        "Keeping remote branch origin/release-1 (matches protected pattern release-*)",
+      ],
+      [
+        "Keeping remote branch origin/main (tracked by merged under another name)",
+      ],
+    ]);
+
+    git(repoDir, "checkout", "-q", "-b", "develop", "origin/develop");
+    git(repoDir, "checkout", "-q", "main");
+    git(repoDir, "remote", "set-head", "origin", "develop");
+    expect(await tool.getRemoteBranches(["develop"])).toEqual([]);
+    expect(tool.spinner.info).toHaveBeenLastCalledWith(
+      "Keeping remote branch origin/develop (default branch of origin)",
+    );
+  });
+
+  it("should list remote branches and delete them after the local ones", async () => {
+    tool.branchesToDelete = ["merged", "renamed"];
+
+    await tool.deleteBranches();
+
+    expect(tool.spinner.error).toHaveBeenCalledWith(
+      "The following remote branches will also be deleted:",
+    );
+    expect(tool.spinner.log).toHaveBeenCalledWith(
+      "  🌐 origin/merged",
+      expect.anything(),
+    );
+    expect(tool.spinner.success).toHaveBeenCalledWith(
+      "Successfully deleted 1 remote branches",
+    );
+    expect(remoteBranches(originDir).sort()).toEqual([
+      "feature/renamed",
+      "main",
+      "wip",
+    ]);
+  });
+
+  it("should keep the remote branch when the local delete fails", async () => {
+    tool.branchesToDelete = ["merged", "wip"];
+
+    await tool.deleteBranches();
+
+    expect(tool.spinner.warning).toHaveBeenCalledWith(
+      "Deleted 1 branches, 1 failed",
+    );
+    expect(remoteBranches(originDir).sort()).toEqual([
+      "feature/renamed",
+      "main",
+      "wip",
+    ]);
+  });
+
+  it("should keep a remote branch that moved since the last fetch", async () => {
+    // A teammate pushes to merged after it was fetched here
+    const otherDir = path.join(tmpDir, "other");
+    git(tmpDir, "clone", "-q", "-b", "merged", originDir, otherDir);
+    git(otherDir, "config", "user.email", "mate@example.com");
+    git(otherDir, "config", "user.name", "Mate");
+    git(otherDir, "commit", "-q", "--allow-empty", "-m", "late work");
+    git(otherDir, "push", "-q", "origin", "merged");
+    const lateTip = git(otherDir, "rev-parse", "HEAD");
+    tool.branchesToDelete = ["merged"];
+
+    await tool.deleteBranches();
+
+    expect(tool.spinner.log).toHaveBeenCalledWith(
+      "❌ Failed to delete remote branch origin/merged",
+      expect.anything(),
+    );
+    expect(tool.exitCode).toBe(GitCleanupTool.EXIT_CODES.SOME_FAILED);
+    expect(git(originDir, "rev-parse", "merged")).toBe(lateTip);
+  });
+
+  it("should report remote failures separately", async () => {
+    tool.branchesToDelete = ["merged", "lost"];
+
+    await tool.deleteBranches();
+
+    expect(tool.spinner.success).toHaveBeenCalledWith(
+      "Successfully deleted 2 branches",
+    );
+    expect(tool.spinner.warning).toHaveBeenCalledWith(
+      "Deleted 1 remote branches, 1 failed",
+    );
+    expect(tool.spinner.log).toHaveBeenCalledWith(
+      "  Failed (remote): broken/lost",
+      expect.anything(),
+    );
+  });
+
+  it("should only list remote branches in dry-run mode", async () => {
+    tool.dryRun = true;
+    tool.branchesToDelete = ["merged"];
+
+    await tool.deleteBranches();
+
+    expect(tool.spinner.warning).toHaveBeenCalledWith(
+      "DRY RUN — remote branches eligible for deletion:",
+    );
+    expect(tool.spinner.log).toHaveBeenCalledWith(
+      "  🌐 origin/merged",
+      expect.anything(),
+    );
+    expect(remoteBranches(originDir)).toContain("merged");
+    expect(git(repoDir, "branch", "--list", "merged")).not.toBe("");
+  });
+
+  it("should leave remotes alone without --remote", async () => {
+    tool.deleteRemote = false;
+    tool.branchesToDelete = ["merged"];
+
+    await tool.deleteBranches();
+
+    expect(remoteBranches(originDir)).toContain("merged");
+  });
+});
@@ -0,0 +1,301 @@
+// Integration tests: deleted branches are journaled in the real git directory
+// and --restore recreates them with their upstream tracking.
+const fs = require("fs");
+const path = require("path");
+const GitCleanupTool = require("../src/index");
+const journal = require("../src/utils/journal");
+const {
+  git,
+  makeTempDir,
+  initRepo,
+  initBareRepo,
+  createSpinner,
+} = require("./helpers/repo");
+
+describe("journal", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = makeTempDir("journal");
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("should live in the git directory", () => {
+    expect(journal.getJournalPath("/repo/.git")).toBe(
+      path.resolve("/repo/.git/cleanup-merged/journal.jsonl"),
+    );
+  });
+
+  it("should append and read entries", async () => {
+    const file = path.join(tmpDir, "nested", "journal.jsonl");
+
+    await journal.appendEntries(file, [{ branch: "a" }]);
+    await journal.appendEntries(file, [{ branch: "b" }, { branch: "c" }]);
+
+    expect(await journal.readEntries(file)).toEqual([
+      { branch: "a" },
+      { branch: "b" },
+      { branch: "c" },
+    ]);
+  });
+
+  it("should leave out entries whose deletion failed", async () => {
+    const file = path.join(tmpDir, "journal.jsonl");
+
+    await journal.appendEntries(file, [
+      { runId: "1", branch: "a" },
+      { runId: "2", branch: "a" },
+      { runId: "2", branch: "b" },
+    ]);
+    await journal.appendEntries(file, [
+      { runId: "2", branch: "a", failed: true },
+    ]);
+
+    expect(await journal.readEntries(file)).toEqual([
+      { runId: "1", branch: "a" },
+      { runId: "2", branch: "b" },
+    ]);
+  });
+
+  it("should return no entries without a journal", async () => {
+    expect(await journal.readEntries(path.join(tmpDir, "none"))).toEqual([]);
+  });
+
+  it("should skip unparsable lines", async () => {
+    const file = path.join(tmpDir, "journal.jsonl");
+    fs.writeFileSync(file, '{"branch":"a"}\n{"bran\n\n{"branch":"b"}\n');
+
+    expect(await journal.readEntries(file)).toEqual([
+      { branch: "a" },
+      { branch: "b" },
+    ]);
+  });
+
+  it("should rethrow other read errors", async () => {
+    await expect(journal.readEntries(tmpDir)).rejects.toThrow();
+  });
+});
+
+describe("undo journal and --restore", () => {
+  let originalCwd;
+  let tmpDir;
+  let repoDir;
+  let tool;
+  let tips;
+
+  const newTool = () => {
+    const instance = new GitCleanupTool();
+    instance.spinner = createSpinner();
+    instance.sleep = jest.fn(() => Promise.resolve());
+    instance.askConfirmation = jest.fn().mockResolvedValue(true);
+    return instance;
+  };
+
+  const branches = () =>
+    git(repoDir, "branch", "--format=%(refname:short)").split("\n");
+
+  const journalFile = () =>
+    path.join(repoDir, ".git", "cleanup-merged", "journal.jsonl");
+
+  beforeEach(async () => {
+    originalCwd = process.cwd();
+    tmpDir = makeTempDir("restore");
+    repoDir = path.join(tmpDir, "repo");
+    const originDir = path.join(tmpDir, "origin.git");
+    initBareRepo(originDir);
+    initRepo(repoDir);
+    git(repoDir, "remote", "add", "origin", originDir);
+
+    tips = {};
+    for (const branch of ["feature", "local-only"]) {
+      git(repoDir, "checkout", "-q", "-b", branch, "main");
+      git(repoDir, "commit", "-q", "--allow-empty", "-m", `${branch} work`);
+      tips[branch] = git(repoDir, "rev-parse", "HEAD");
+    }
+    git(repoDir, "push", "-q", "-u", "origin", "feature:remote-name");
+    git(repoDir, "checkout", "-q", "main");
+
+    process.chdir(repoDir);
+    jest.spyOn(console, "log").mockImplementation(() => {});
+
+    // First run deletes both branches
+    tool = newTool();
+    tool.prHeads.set("feature", { number: 4, state: "MERGED" });
+    tool.branchesToDelete = ["feature", "local-only"];
+    for (const branch of tool.branchesToDelete) {
+      tool.forceDeleteTips.set(branch, tips[branch]);
+    }
+    await tool.deleteBranches();
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it("should journal each branch before deleting it", async () => {
+    const entries = await journal.readEntries(journalFile());
+
+    expect(branches()).toEqual(["main"]);
+    expect(entries).toHaveLength(2);
+    expect(entries).toEqual(
+      expect.arrayContaining([
+        {
+          runId: tool.runId,
+          branch: "feature",
+          sha: tips.feature,
+          upstream: "origin/remote-name",
+          remote: "origin",
+          merge: "refs/heads/remote-name",
+          prState: "MERGED",
+          deletedAt: expect.any(String),
+        },
+        {
+          runId: tool.runId,
+          branch: "local-only",
+          sha: tips["local-only"],
+          upstream: null,
+          remote: null,
+          merge: null,
+          prState: null,
+          deletedAt: expect.any(String),
+        },
+      ]),
+    );
+  });
+
+  it("should restore the last run with upstream tracking", async () => {
+    const restorer = newTool();
+    restorer.restore = { branch: null, lastRun: true };
+
+    await restorer.restoreBranches();
+
+    expect(branches().sort()).toEqual(["feature", "local-only", "main"]);
+    expect(git(repoDir, "rev-parse", "feature")).toBe(tips.feature);
+    expect(
+      git(repoDir, "rev-parse", "--abbrev-ref", "feature@{upstream}"),
+    ).toBe("origin/remote-name");
+    expect(restorer.spinner.success).toHaveBeenCalledWith(
+      "Successfully restored 2 branches",
+    );
+  });
+
+  it("should only restore entries from the most recent run", async () => {
+    git(repoDir, "branch", "later", "main");
+    const second = newTool();
+    second.branchesToDelete = ["later"];
+    await second.deleteBranches();
+
+    const restorer = newTool();
+    restorer.restore = { branch: null, lastRun: true };
+    await restorer.restoreBranches();
+
+    expect(branches().sort()).toEqual(["later", "main"]);
+  });
+
+  it("should not restore branches whose delete failed", async () => {
+    git(repoDir, "branch", "merged", "main");
+    git(repoDir, "checkout", "-q", "-b", "unmerged", "main");
+    git(repoDir, "commit", "-q", "--allow-empty", "-m", "unmerged work");
+    git(repoDir, "checkout", "-q", "main");
+    const second = newTool();
+    second.branchesToDelete = ["merged", "unmerged"];
+    await second.deleteBranches();
+    expect(branches().sort()).toEqual(["main", "unmerged"]);
+
+    const restorer = newTool();
+    restorer.restore = { branch: null, lastRun: true };
+    await restorer.restoreBranches();
+
+    expect(branches().sort()).toEqual(["main", "merged", "unmerged"]);
+    expect(restorer.spinner.success).toHaveBeenCalledWith(
+      "Successfully restored 1 branches",
+    );
+    expect(restorer.exitCode).toBe(GitCleanupTool.EXIT_CODES.OK);
+  });
+
+  it("should restore a single branch by name", async () => {
+    const restorer = newTool();
+    restorer.restore = { branch: "local-only", lastRun: false };
+
+    await restorer.restoreBranches();
+
+    expect(branches().sort()).toEqual(["local-only", "main"]);
+    expect(restorer.spinner.log).toHaveBeenCalledWith(
+      `✅ Restored branch local-only at ${tips["local-only"].slice(0, 7)}`,
+      expect.anything(),
+    );
+  });
+
+  it("should report unknown branches", async () => {
+    const restorer = newTool();
+    restorer.restore = { branch: "nope", lastRun: false };
+
+    await restorer.restoreBranches();
+
+    expect(restorer.spinner.error).toHaveBeenCalledWith(
+      "No deleted branch named 'nope' in the journal.",
+    );
+  });
+
+  it("should not overwrite a branch that exists again", async () => {
+    git(repoDir, "branch", "feature", "main");
+    const restorer = newTool();
+    restorer.restore = { branch: null, lastRun: true };
+
+    await restorer.restoreBranches();
+
+    expect(git(repoDir, "rev-parse", "feature")).not.toBe(tips.feature);
+    expect(restorer.spinner.warning).toHaveBeenCalledWith(
+      "Restored 1 branches, 1 failed",
+    );
+    expect(restorer.exitCode).toBe(GitCleanupTool.EXIT_CODES.SOME_FAILED);
+  });
+
+  it("should report commits that are no longer available", async () => {
+    await journal.appendEntries(journalFile(), [
+      { runId: "x", branch: "ghost", sha: "0".repeat(40), upstream: null },
+    ]);
+    const restorer = newTool();
+    restorer.restore = { branch: "ghost", lastRun: false };
+
+    await restorer.restoreBranches();
+
+    expect(restorer.spinner.log).toHaveBeenCalledWith(
+      "❌ Could not restore ghost: commit 0000000 is no longer available",
+      expect.anything(),
+    );
+  });
+
+  it("should list recent deletions without a target", async () => {
+    const restorer = newTool();
+    restorer.restore = { branch: null, lastRun: false };
+
+    await restorer.restoreBranches();
+
+    expect(restorer.spinner.log).toHaveBeenCalledWith(
+      expect.stringMatching(
+        new RegExp(
+          `feature ${tips.feature.slice(0, 7)} → origin/remote-name \\[MERGED\\]$`,
+        ),
+      ),
+    );
+    expect(branches()).toEqual(["main"]);
+  });
+
+  it("should warn when nothing was recorded", async () => {
+    fs.rmSync(journalFile());
+    const restorer = newTool();
+    restorer.restore = { branch: null, lastRun: true };
+
+    await restorer.restoreBranches();
+
+    expect(restorer.spinner.warning).toHaveBeenCalledWith(
+      "No deleted branches recorded for this repository.",
+    );
+  });
+});
@@ -0,0 +1,166 @@
+// Integration tests: --stale reads commit dates and the HEAD reflog of a real
+// repository and offers old, unmerged branches separately.
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const GitCleanupTool = require("../src/index");
+const {
+  git,
+  makeTempDir,
+  initRepo,
+  initBareRepo,
+  createSpinner,
+} = require("./helpers/repo");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const localBranches = (cwd) =>
+  git(cwd, "for-each-ref", "--format=%(refname:short)", "refs/heads")
+    .split("\n")
+    .filter(Boolean);
+
+describe("stale branches", () => {
+  let originalCwd;
+  let tmpDir;
+  let repoDir;
+  let tool;
+
+  // Commit on the current branch, dated the given number of days ago
+  const commitDaysAgo = (days, file) => {
+    const date = `@${Math.floor((Date.now() - days * DAY) / 1000)} +0000`;
+    fs.writeFileSync(path.join(repoDir, file), `${file}\n`);
+    git(repoDir, "add", file);
+    execFileSync("git", ["commit", "-q", "-m", file], {
+      cwd: repoDir,
+      env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date },
+    });
+  };
+
+  beforeEach(() => {
+    originalCwd = process.cwd();
+    tmpDir = makeTempDir("stale");
+    repoDir = path.join(tmpDir, "repo");
+    const originDir = path.join(tmpDir, "origin.git");
+    initBareRepo(originDir);
+    initRepo(repoDir, { commit: false });
+    commitDaysAgo(400, "initial");
+    git(repoDir, "remote", "add", "origin", originDir);
+
+    for (const [branch, days] of [
+      ["old-spike", 200],
+      ["checked-out", 200],
+      ["fresh", 1],
+      ["local-only", 200],
+      ["merged-old", 300],
+    ]) {
+      git(repoDir, "checkout", "-q", "-b", branch, "main");
+      commitDaysAgo(days, `${branch}.txt`);
+      if (branch !== "local-only") {
+        git(repoDir, "push", "-q", "origin", branch);
+      }
+    }
+    git(repoDir, "checkout", "-q", "main");
+    git(repoDir, "merge", "-q", "--no-ff", "-m", "merge", "merged-old");
+    git(repoDir, "push", "-q", "origin", "main");
+    // Forget the checkouts above, then use one branch recently
+    git(repoDir, "reflog", "expire", "--expire=now", "--all");
+    git(repoDir, "checkout", "-q", "checked-out");
+    git(repoDir, "checkout", "-q", "main");
+
+    process.chdir(repoDir);
+    tool = new GitCleanupTool();
+    tool.spinner = createSpinner();
+    tool.sleep = jest.fn(() => Promise.resolve());
+    tool.askConfirmation = jest.fn().mockResolvedValue(true);
+    tool.currentBranch = "main";
+    tool.localMode = true;
+    process.argv = ["node", "script.js", "--stale", "90d"];
+    tool.parseArguments();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const check = async () => {
+    await tool.checkLocalBranches();
+    await tool.applyStale();
+    await tool.applyUnpushedCommits();
+  };
+
+  it("should use the later of the last commit and the last checkout", async () => {
+    const activity = await tool.getBranchActivity();
+
+    expect(activity.get("old-spike").checkedOut).toBeNull();
+    expect(
+      Math.round((Date.now() - activity.get("old-spike").committed) / DAY),
+    ).toBe(200);
+    expect(Date.now() - activity.get("checked-out").checkedOut).toBeLessThan(
+      DAY,
+    );
+  });
+
+  it("should mark old unmerged branches as stale", async () => {
+    await check();
+
+    expect(tool.branchesToDelete).toEqual(["merged-old"]);
+    expect(tool.staleBranchesToDelete).toEqual(["old-spike"]);
+    const rows = Object.fromEntries(tool.prResults.map((r) => [r.branch, r]));
+    expect(rows["old-spike"]).toMatchObject({
+      icon: "💤",
+      label: "Stale",
+      reason: "Not merged; last commit 200d ago, no checkout in the reflog",
+    });
+    expect(rows["checked-out"].label).toBe("Not merged");
+    expect(rows.fresh.label).toBe("Not merged");
+    // Stale, but its commits exist nowhere else
+    expect(rows["local-only"].label).toBe("Unpushed");
+  });
+
+  it("should show the age of every branch in the results", async () => {
+    await check();
+    tool.displayResults();
+
+    expect(tool.spinner.log).toHaveBeenCalledWith(
+      `${"Branch".padEnd(40)} ${"Icon".padEnd(6)} ${"Status".padEnd(10)} ${"Age".padEnd(4)} At risk`,
+    );
+    expect(tool.spinner.log).toHaveBeenCalledWith(
+      `${"old-spike".padEnd(40)} ${"💤".padEnd(6)} ${"Stale".padEnd(10)} 200d`,
+    );
+    expect(tool.spinner.log).toHaveBeenCalledWith(
+      `${"checked-out".padEnd(40)} ${"❌".padEnd(6)} ${"Not merged".padEnd(10)} 0h  `,
+    );
+  });
+
+  it("should confirm stale deletions separately", async () => {
+    await check();
+    await tool.deleteBranches();
+
+    expect(tool.askConfirmation).toHaveBeenCalledTimes(2);
+    expect(tool.askConfirmation).toHaveBeenLastCalledWith(
+      "Also delete these stale branches? (y/N): ",
+    );
+    expect(localBranches(repoDir)).toEqual([
+      "checked-out",
+      "fresh",
+      "local-only",
+      "main",
+    ]);
+  });
+
+  it("should keep stale branches when declined", async () => {
+    tool.askConfirmation
+      .mockResolvedValueOnce(true)
+      .mockResolvedValueOnce(false);
+
+    await check();
+    await tool.deleteBranches();
+
+    expect(tool.spinner.info).toHaveBeenCalledWith("Kept stale branches.");
+    expect(localBranches(repoDir)).toContain("old-spike");
+    expect(localBranches(repoDir)).not.toContain("merged-old");
+  });
+});
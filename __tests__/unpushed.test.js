@@ -0,0 +1,193 @@
+// Integration tests: branches with commits that exist on no remote and not in
+// the base branch are kept, measured against a real bare repository.
+const fs = require("fs");
+const path = require("path");
+const GitCleanupTool = require("../src/index");
+const {
+  git,
+  makeTempDir,
+  initRepo,
+  initBareRepo,
+  createSpinner,
+} = require("./helpers/repo");
+
+const localBranches = (cwd) =>
+  git(cwd, "for-each-ref", "--format=%(refname:short)", "refs/heads")
+    .split("\n")
+    .filter(Boolean);
+
+describe("unpushed commit guard", () => {
+  let originalCwd;
+  let tmpDir;
+  let repoDir;
+  let tool;
+
+  const commit = (message) =>
+    git(repoDir, "commit", "-q", "--allow-empty", "-m", message);
+
+  beforeEach(() => {
+    originalCwd = process.cwd();
+    tmpDir = makeTempDir("unpushed");
+    repoDir = path.join(tmpDir, "repo");
+    const originDir = path.join(tmpDir, "origin.git");
+    initBareRepo(originDir);
+    initRepo(repoDir, { commit: false });
+    commit("initial");
+    git(repoDir, "remote", "add", "origin", originDir);
+    git(repoDir, "push", "-q", "origin", "main");
+
+    // pushed: fully on origin
+    git(repoDir, "checkout", "-q", "-b", "pushed", "main");
+    commit("pushed work");
+    git(repoDir, "push", "-q", "-u", "origin", "pushed");
+    // ahead: on origin, plus one local commit
+    git(repoDir, "checkout", "-q", "-b", "feature/ahead", "main");
+    commit("pushed work");
+    git(repoDir, "push", "-q", "-u", "origin", "feature/ahead");
+    commit("local work");
+    // local-only: never pushed, two commits
+    git(repoDir, "checkout", "-q", "-b", "local-only", "main");
+    commit("local 1");
+    commit("local 2");
+    // merged-local: never pushed, but merged into main
+    git(repoDir, "checkout", "-q", "-b", "merged-local", "main");
+    commit("merged work");
+    git(repoDir, "checkout", "-q", "main");
+    git(repoDir, "merge", "-q", "--no-ff", "-m", "merge", "merged-local");
+    commit("main moves on");
+
+    process.chdir(repoDir);
+
+    tool = new GitCleanupTool();
+    tool.spinner = createSpinner();
+    tool.sleep = jest.fn(() => Promise.resolve());
+    tool.askConfirmation = jest.fn().mockResolvedValue(true);
+    tool.branchesToDelete = [
+      "pushed",
+      "feature/ahead",
+      "local-only",
+      "merged-local",
+    ];
+    tool.prResults = tool.branchesToDelete.map((branch) => ({
+      branch,
+      icon: "🏷️",
+      label: "Untracked",
+    }));
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it("should compute ahead/behind against the upstream and the base branch", async () => {
+    await tool.applyUnpushedCommits();
+
+    expect(tool.commitStats.get("feature/ahead")).toEqual({
+      upstream: { ahead: 1, behind: 0 },
+      base: { ahead: 2, behind: 3 },
+      unpushed: 1,
+    });
+    expect(tool.commitStats.get("local-only")).toEqual({
+      upstream: null,
+      base: { ahead: 2, behind: 3 },
+      unpushed: 2,
+    });
+    expect(tool.commitStats.get("merged-local")).toEqual({
+      upstream: null,
+      base: { ahead: 0, behind: 2 },
+      unpushed: 0,
+    });
+    expect(tool.commitStats.get("pushed").unpushed).toBe(0);
+  });
+
+  it("should report the counts in verbose mode", async () => {
+    tool.verbose = true;
+
+    await tool.applyUnpushedCommits();
+
+    expect(tool.spinner.debug).toHaveBeenCalledWith(
+      "feature/ahead: 1 ahead/0 behind upstream, 2 ahead/3 behind main, 1 unpushed",
+      true,
+    );
+    expect(tool.spinner.debug).toHaveBeenCalledWith(
+      "local-only: 2 ahead/3 behind main, 2 unpushed",
+      true,
+    );
+  });
+
+  it("should keep branches with unpushed commits", async () => {
+    await tool.applyUnpushedCommits();
+
+    expect(tool.branchesToDelete).toEqual(["pushed", "merged-local"]);
+    expect(tool.prResults.find((r) => r.branch === "local-only")).toEqual({
+      branch: "local-only",
+      icon: "📤",
+      label: "Unpushed",
+      atRisk: 2,
+      reason:
+        "2 commit(s) on no remote and not in main (use --allow-unpushed to delete anyway)",
+    });
+    expect(
+      tool.prResults.find((r) => r.branch === "feature/ahead").atRisk,
+    ).toBe(1);
+  });
+
+  it("should say why nothing is left to delete", async () => {
+    tool.branchesToDelete = ["local-only"];
+
+    await tool.applyUnpushedCommits();
+    await tool.deleteEligibleBranches();
+
+    expect(tool.spinner.warning).toHaveBeenCalledWith(
+      "Kept 1 branch(es) with unpushed commits (use --allow-unpushed to delete anyway).",
+    );
+    expect(tool.spinner.warning).not.toHaveBeenCalledWith(
+      "No branches with merged PRs found.",
+    );
+    expect(localBranches(repoDir)).toContain("local-only");
+  });
+
+  it("should show the commits at risk in the results table", async () => {
+    await tool.applyUnpushedCommits();
+    tool.displayResults();
+
+    expect(tool.spinner.log).toHaveBeenCalledWith(
+      `${"Branch".padEnd(40)} ${"Icon".padEnd(6)} ${"Status".padEnd(10)} At risk`,
+    );
+    expect(tool.spinner.log).toHaveBeenCalledWith(
+      `${"local-only".padEnd(40)} ${"📤".padEnd(6)} ${"Unpushed".padEnd(10)} 2 commit(s)`,
+    );
+  });
+
+  it("should trust branches verified as merged elsewhere", async () => {
+    tool.verifiedMerged.add("local-only");
+
+    await tool.applyUnpushedCommits();
+
+    expect(tool.branchesToDelete).toContain("local-only");
+  });
+
+  it("should also guard closed-PR branches", async () => {
+    tool.branchesToDelete = [];
+    tool.closedBranchesToDelete = ["pushed", "local-only"];
+
+    await tool.applyUnpushedCommits();
+
+    expect(tool.closedBranchesToDelete).toEqual(["pushed"]);
+  });
+
+  it("should delete unpushed branches with --allow-unpushed", async () => {
+    tool.allowUnpushed = true;
+
+    await tool.applyUnpushedCommits();
+    await tool.deleteBranches();
+
+    expect(tool.prResults.find((r) => r.branch === "local-only").reason).toBe(
+      "2 commit(s) on no remote and not in main; deleted with --allow-unpushed",
+    );
+    expect(localBranches(repoDir)).toEqual(["main"]);
+  });
+});
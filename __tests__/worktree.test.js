@@ -0,0 +1,160 @@
+// Integration tests: branches checked out in linked worktrees, including
+// running the tool from inside a linked worktree.
+const fs = require("fs");
+const path = require("path");
+const GitCleanupTool = require("../src/index");
+const { git, makeTempDir, initRepo, createSpinner } = require("./helpers/repo");
+
+describe("worktree-aware cleanup", () => {
+  let originalCwd;
+  let tmpDir;
+  let repoDir;
+  let cleanDir;
+  let dirtyDir;
+  let tool;
+
+  const newTool = () => {
+    const instance = new GitCleanupTool();
+    instance.spinner = createSpinner();
+    instance.sleep = jest.fn(() => Promise.resolve());
+    instance.askConfirmation = jest.fn().mockResolvedValue(true);
+    return instance;
+  };
+
+  const byBranch = (instance) =>
+    Object.fromEntries(instance.prResults.map((r) => [r.branch, r]));
+
+  beforeEach(() => {
+    originalCwd = process.cwd();
+    // realpath so paths match what git reports (e.g. macOS /private/var)
+    tmpDir = fs.realpathSync(makeTempDir("worktree"));
+    repoDir = path.join(tmpDir, "repo");
+    cleanDir = path.join(tmpDir, "clean");
+    dirtyDir = path.join(tmpDir, "dirty");
+    initRepo(repoDir);
+    for (const branch of ["in-clean", "in-dirty", "plain"]) {
+      git(repoDir, "branch", branch);
+    }
+    git(repoDir, "worktree", "add", "-q", cleanDir, "in-clean");
+    git(repoDir, "worktree", "add", "-q", dirtyDir, "in-dirty");
+    fs.writeFileSync(path.join(dirtyDir, "notes.txt"), "unsaved\n");
+
+    process.chdir(repoDir);
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    tool = newTool();
+    tool.localMode = true;
+    tool.currentBranch = "main";
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it("should parse linked worktrees", async () => {
+    git(repoDir, "worktree", "lock", dirtyDir);
+
+    const worktrees = await tool.getWorktrees();
+
+    expect(worktrees).toEqual([
+      { path: repoDir, branch: "main", locked: false },
+      { path: cleanDir, branch: "in-clean", locked: false },
+      { path: dirtyDir, branch: "in-dirty", locked: true },
+    ]);
+  });
+
+  it("should keep branches checked out in other worktrees", async () => {
+    await tool.checkLocalBranches();
+    await tool.applyWorktrees();
+
+    expect(tool.branchesToDelete).toEqual(["plain"]);
+    expect(byBranch(tool)["in-clean"]).toEqual({
+      branch: "in-clean",
+      icon: "🌲",
+      label: "In worktree",
+      reason: `checked out in ${cleanDir} (use --remove-worktrees to remove it)`,
+    });
+
+    await tool.deleteBranches();
+
+    expect(git(repoDir, "branch", "--format=%(refname:short)")).toBe(
+      "in-clean\nin-dirty\nmain",
+    );
+  });
+
+  it("should remove clean worktrees with --remove-worktrees", async () => {
+    tool.removeWorktrees = true;
+    await tool.checkLocalBranches();
+    await tool.applyWorktrees();
+
+    expect(tool.branchesToDelete.sort()).toEqual(["in-clean", "plain"]);
+    expect(byBranch(tool)["in-dirty"].reason).toBe(
+      `checked out in ${dirtyDir}, which has uncommitted changes`,
+    );
+
+    await tool.deleteBranches();
+
+    expect(tool.spinner.log).toHaveBeenCalledWith(
+      `  🌲 ${cleanDir}`,
+      expect.anything(),
+    );
+    expect(fs.existsSync(cleanDir)).toBe(false);
+    expect(fs.existsSync(dirtyDir)).toBe(true);
+    expect(git(repoDir, "branch", "--format=%(refname:short)")).toBe(
+      "in-dirty\nmain",
+    );
+  });
+
+  it("should not remove locked worktrees", async () => {
+    tool.removeWorktrees = true;
+    git(repoDir, "worktree", "lock", cleanDir);
+    await tool.checkLocalBranches();
+    await tool.applyWorktrees();
+
+    expect(byBranch(tool)["in-clean"].reason).toBe(
+      `checked out in ${cleanDir}, which is locked`,
+    );
+  });
+
+  it("should keep the branch when the worktree turns dirty before removal", async () => {
+    tool.removeWorktrees = true;
+    await tool.checkLocalBranches();
+    await tool.applyWorktrees();
+    fs.writeFileSync(path.join(cleanDir, "late.txt"), "late\n");
+
+    await tool.deleteBranches();
+
+    expect(tool.spinner.log).toHaveBeenCalledWith(
+      `❌ Failed to remove worktree ${cleanDir}, in-clean not deleted`,
+      expect.anything(),
+    );
+    expect(git(repoDir, "branch", "--list", "in-clean")).not.toBe("");
+  });
+
+  it("should work when launched from inside a linked worktree", async () => {
+    process.chdir(cleanDir);
+    const inner = newTool();
+    inner.localMode = true;
+    await inner.getCurrentBranch();
+    await inner.checkLocalBranches();
+    await inner.applyWorktrees();
+
+    // The main worktree's branch and the current one are never touched
+    expect(inner.currentBranch).toBe("in-clean");
+    expect(inner.branchesToDelete).toEqual(["plain"]);
+    expect(byBranch(inner)["in-dirty"].label).toBe("In worktree");
+
+    await inner.deleteBranches();
+
+    expect(git(repoDir, "branch", "--format=%(refname:short)")).toBe(
+      "in-clean\nin-dirty\nmain",
+    );
+    // The undo journal lives in the shared git directory
+    expect(
+      fs.existsSync(
+        path.join(repoDir, ".git", "cleanup-merged", "journal.jsonl"),
+      ),
+    ).toBe(true);
+  });
+});
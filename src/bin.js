@@ -4,4 +4,11 @@ const GitCleanupTool = require("./index");
 const tool = new GitCleanupTool();
 const code = tool.parseArguments();
 if (typeof code === "number") process.exit(code);
-if (code === undefined) tool.run();
+if (code === undefined) {
+  // Kill in-flight git/gh children and restore the cursor before exiting
+  process.on("SIGINT", () => {
+    tool.cancel();
+    process.exit(130);
+  });
+  tool.run();
+}
@@ -1,9 +1,22 @@
 #!/usr/bin/env node
 
-const { execSync } = require("child_process");
 const readline = require("readline");
+const { setMaxListeners } = require("events");
 const clearTerminal = require("./utils");
 const Spinner = require("./utils/spinner");
+const Picker = require("./utils/picker");
+const { execCommand } = require("./utils/exec");
+const journal = require("./utils/journal");
+const config = require("./utils/config");
+const { compilePatterns, findMatchingPattern } = require("./utils/patterns");
+const { parseDuration, formatAge } = require("./utils/duration");
+const { parseArgs, formatHelp } = require("./utils/args");
+const {
+  createProvider,
+  PROVIDER_NAMES,
+  parseRemoteUrl,
+  detectProvider,
+} = require("./providers");
 const path = require("path");
 
 // Colors for terminal output
@@ -16,16 +29,555 @@ const colors = {
   bold: "\x1b[1m",
 };
 
+// Process exit codes, so scheduled jobs can tell outcomes apart
+const EXIT_CODES = {
+  // Branches were deleted, or a dry run, listing or count completed
+  OK: 0,
+  // Invalid arguments or an unexpected error
+  ERROR: 1,
+  // No branch was eligible, or none was confirmed for deletion
+  NOTHING_TO_DO: 2,
+  // At least one branch (local or remote) could not be deleted
+  SOME_FAILED: 3,
+  // The provider CLI is missing or not authenticated
+  DEPENDENCY_MISSING: 4,
+  NOT_A_REPOSITORY: 5,
+  // Deleting needs a confirmation, but there is no terminal and no --yes
+  CONFIRMATION_REQUIRED: 6,
+};
+
+// A run can go through several deletion passes (merged, closed, remote);
+// the exit code reports the most important outcome, in increasing order. A
+// branch scan that failed outranks them all.
+const OUTCOME_ORDER = [
+  EXIT_CODES.NOTHING_TO_DO,
+  EXIT_CODES.OK,
+  EXIT_CODES.CONFIRMATION_REQUIRED,
+  EXIT_CODES.SOME_FAILED,
+  EXIT_CODES.ERROR,
+];
+
+// Statuses of branches that are otherwise never offered for deletion; with
+// --stale they become "Stale" once old enough
+const STALE_LABELS = ["No PR", "Not merged"];
+
+// --concurrency, --timeout and --format are settings: the command line is
+// the last configuration layer
+const settingOption = (name, value, description) => ({
+  name,
+  value,
+  description,
+  parse: (raw) => {
+    try {
+      return config.parseSetting(name, raw, `command line (--${name})`);
+    } catch (error) {
+      throw new Error(`Invalid value for --${name}: ${error.cause.message}`, {
+        cause: error,
+      });
+    }
+  },
+  set: (tool, parsed) => tool.setCliSetting(name, parsed, `--${name}`),
+});
+
+// Archive templates need {branch} and a dedicated namespace so that listing
+// and pruning archives can never touch branches or unrelated tags
+function parseArchiveRef(template) {
+  const fixed = template.slice(0, template.indexOf("{"));
+  const namespace = fixed.startsWith("refs/") ? fixed : `refs/tags/${fixed}`;
+  if (
+    !template.includes("{branch}") ||
+    !fixed.includes("/") ||
+    /^refs\/(heads|remotes)\//.test(namespace) ||
+    namespace.split("/").filter(Boolean).length < 2 ||
+    namespace === "refs/tags/"
+  ) {
+    throw new Error(
+      `Invalid archive ref template: ${template}. Expected e.g. refs/archive/{date}/{branch} or archive/{branch}`,
+    );
+  }
+  return template;
+}
+
+// Command line options, in help order. Values are validated by `parse`, then
+// applied with `set`, or assigned to `property` on the tool
+const OPTIONS = [
+  {
+    name: "dry-run",
+    short: "n",
+    property: "dryRun",
+    description: "Show what would be deleted without actually deleting",
+  },
+  {
+    name: "verbose",
+    short: "v",
+    property: "verbose",
+    description: "Show detailed information during processing",
+  },
+  {
+    name: "untracked-only",
+    short: "u",
+    property: "untrackedOnly",
+    description:
+      "Only process untracked local branches (no remote tracking branch)",
+  },
+  {
+    name: "count",
+    short: "c",
+    property: "countOnly",
+    description: "Display branch count summary and exit (no deletion)",
+  },
+  {
+    name: "local",
+    short: "l",
+    property: "localMode",
+    description: "Detect merged branches from local git history (no GitHub)",
+  },
+  {
+    name: "gone",
+    short: "g",
+    property: "goneOnly",
+    description: "Fetch/prune, then delete branches whose upstream was deleted",
+  },
+  {
+    name: "yes",
+    short: "y",
+    property: "yes",
+    description:
+      "Delete without asking for confirmation (required when stdin is not a terminal, e.g. in CI or cron jobs)",
+  },
+  {
+    name: "interactive",
+    short: "i",
+    property: "interactive",
+    description:
+      "Pick the branches to delete from a checklist (space toggles, ctrl+a/ctrl+n select all/none, type to filter)",
+  },
+  {
+    name: "provider",
+    value: "<name>",
+    description:
+      "Force the hosting provider: github or gitlab (default auto: detected per remote URL, falling back to github)",
+    parse: (name) => {
+      if (name !== "auto" && !PROVIDER_NAMES.includes(name)) {
+        throw new Error(
+          `Unknown provider: ${name}. Expected one of: auto, ${PROVIDER_NAMES.join(", ")}`,
+        );
+      }
+      return name;
+    },
+    set: (tool, name) => {
+      // "auto" detects the provider per remote again
+      tool.providerExplicit = name !== "auto";
+      tool.providerName = tool.providerExplicit ? name : "github";
+      tool.setCliSetting("provider", name, "--provider");
+    },
+  },
+  {
+    name: "provider-host",
+    value: "<host>=<name>",
+    repeatable: true,
+    description: "Map a self-hosted host to a provider (repeatable)",
+    parse: (mapping) => {
+      const separator = mapping.lastIndexOf("=");
+      const name = mapping.slice(separator + 1);
+      if (separator <= 0 || !PROVIDER_NAMES.includes(name)) {
+        throw new Error(
+          `Invalid provider host mapping: ${mapping}. Expected <host>=<${PROVIDER_NAMES.join("|")}>`,
+        );
+      }
+      return [mapping.slice(0, separator).toLowerCase(), name];
+    },
+    set: (tool, mappings) => {
+      for (const [host, name] of mappings) {
+        tool.providerHosts[host] = name;
+      }
+    },
+  },
+  {
+    name: "allow-diverged",
+    property: "allowDiverged",
+    description: "Also delete merged branches with commits after the PR head",
+  },
+  {
+    name: "default-branch",
+    value: "<name>",
+    property: "defaultBranchOverride",
+    description:
+      "Base branch for merge checks, instead of detecting it (remote HEAD, provider, init.defaultBranch, main/master)",
+  },
+  {
+    name: "protect",
+    value: "<pattern>",
+    repeatable: true,
+    description:
+      "Never delete branches matching a glob (release/*) or a /regex/ (repeatable; main and master always are)",
+    parse: (pattern) => {
+      try {
+        compilePatterns([pattern]);
+      } catch (error) {
+        throw new Error(`Invalid protected branch pattern: ${error.message}`, {
+          cause: error,
+        });
+      }
+      return pattern;
+    },
+    set: (tool, patterns) => {
+      tool.protectedPatterns.push(...patterns);
+      tool.protectedMatchers = compilePatterns(tool.protectedPatterns);
+      tool.setCliSetting("protected", patterns, "--protect");
+    },
+  },
+  ...["include", "exclude"].map((name) => ({
+    name,
+    value: "<glob>",
+    repeatable: true,
+    property: `${name}Matchers`,
+    description:
+      name === "include"
+        ? "Only consider branches matching a glob (feature/*) or a /regex/ (repeatable)"
+        : "Skip branches matching a glob or /regex/ (repeatable; wins over --include)",
+    parse: (pattern) => {
+      try {
+        return compilePatterns([pattern])[0];
+      } catch (error) {
+        throw new Error(`Invalid --${name} pattern: ${error.message}`, {
+          cause: error,
+        });
+      }
+    },
+  })),
+  {
+    name: "author",
+    value: "<email|me>",
+    property: "author",
+    description:
+      "Only consider branches with a commit by this author that is not in the default branch (me: user.email, or a PR opened by the logged-in user)",
+  },
+  {
+    name: "allow-unpushed",
+    property: "allowUnpushed",
+    description:
+      'Also delete branches with commits that are on no remote and not in the base branch (shown as "Unpushed")',
+  },
+  {
+    name: "include-closed",
+    property: "includeClosed",
+    description:
+      "Also offer branches whose PR was closed without merging (listed and confirmed separately)",
+  },
+  {
+    name: "stale",
+    value: "<duration>",
+    description:
+      'Also offer unmerged branches ("No PR", "Not merged") without a commit or checkout for <duration>, e.g. 90d (h, d, w or y; listed and confirmed separately)',
+    parse: (duration) => {
+      try {
+        return { threshold: duration, ms: parseDuration(duration) };
+      } catch (error) {
+        throw new Error(`Invalid duration for --stale: ${error.message}`, {
+          cause: error,
+        });
+      }
+    },
+    set: (tool, { threshold, ms }) => {
+      tool.staleThreshold = threshold;
+      tool.staleMs = ms;
+    },
+  },
+  {
+    name: "remote",
+    property: "deleteRemote",
+    description:
+      "Also delete the upstream branch of each deleted branch (git push <remote> --delete)",
+  },
+  {
+    name: "remove-worktrees",
+    property: "removeWorktrees",
+    description:
+      'Remove clean linked worktrees of merged branches, then delete the branch (otherwise shown as "In worktree")',
+  },
+  {
+    name: "archive",
+    property: "archive",
+    description: "Keep each deleted branch's tip under an archive ref",
+  },
+  {
+    name: "archive-ref",
+    value: "<template>",
+    property: "archiveRef",
+    description:
+      "Archive ref template with {date} and {branch} (default: refs/archive/{date}/{branch}; names outside refs/ become tags, e.g. archive/{branch})",
+    parse: parseArchiveRef,
+  },
+  {
+    name: "list-archives",
+    property: "listArchivesOnly",
+    description: "List archived branches",
+  },
+  {
+    name: "prune-archives",
+    value: "<days>",
+    property: "pruneArchivesDays",
+    description: "Delete archives older than the given number of days",
+    parse: (days) => {
+      if (!/^\d+$/.test(days)) {
+        throw new Error(`Invalid number of days for --prune-archives: ${days}`);
+      }
+      return Number(days);
+    },
+  },
+  {
+    name: "restore",
+    value: "<branch>",
+    optionalValue: true,
+    description:
+      "Recreate a deleted branch from the undo journal; without a branch, list recently deleted branches",
+    set: (tool, branch) => {
+      tool.restore = {
+        branch: branch === true ? null : branch,
+        lastRun: false,
+      };
+    },
+  },
+  {
+    name: "last-run",
+    description: "Recreate every branch deleted by the last run",
+  },
+  settingOption("concurrency", "<n>", "Parallel PR lookups (default: 5)"),
+  settingOption(
+    "timeout",
+    "<seconds>",
+    "Give up on any git or provider command after this long (default: a timeout per command)",
+  ),
+  settingOption(
+    "format",
+    "<table|plain>",
+    "Show results as a table, or as tab-separated lines",
+  ),
+  {
+    name: "print-config",
+    property: "printConfig",
+    description: "Show the effective settings and where each came from",
+  },
+  {
+    name: "version",
+    short: "V",
+    description: "Show version information",
+  },
+  {
+    name: "help",
+    short: "h",
+    description: "Show this help message",
+  },
+];
+
+// Options of the commands that look up branches and show their status
+const SELECTION_OPTIONS = [
+  "verbose",
+  "untracked-only",
+  "local",
+  "gone",
+  "provider",
+  "provider-host",
+  "allow-diverged",
+  "default-branch",
+  "protect",
+  "include",
+  "exclude",
+  "author",
+  "allow-unpushed",
+  "include-closed",
+  "stale",
+  "concurrency",
+  "timeout",
+  "format",
+];
+
+// Subcommands, given as the first argument, each with the options it takes
+// (and --help). Without one, every option is accepted as before
+const COMMANDS = {
+  list: {
+    summary: "Show the status of every branch without deleting anything",
+    usage: "[DIRECTORY]",
+    options: SELECTION_OPTIONS,
+  },
+  clean: {
+    summary: "Delete merged branches after confirmation",
+    usage: "[DIRECTORY]",
+    options: [
+      ...SELECTION_OPTIONS,
+      "dry-run",
+      "yes",
+      "interactive",
+      "remote",
+      "remove-worktrees",
+      "archive",
+      "archive-ref",
+    ],
+  },
+  count: {
+    summary: "Count branches by kind",
+    usage: "[DIRECTORY]",
+    options: [
+      "verbose",
+      "default-branch",
+      "protect",
+      "include",
+      "exclude",
+      "author",
+      "timeout",
+    ],
+  },
+  restore: {
+    summary: "Recreate deleted branches, or list them without a branch",
+    usage: "[<branch>]",
+    options: ["verbose", "last-run", "timeout"],
+  },
+  doctor: {
+    summary: "Check git, the configuration and the provider CLIs",
+    usage: "[DIRECTORY]",
+    options: [
+      "verbose",
+      "provider",
+      "provider-host",
+      "default-branch",
+      "timeout",
+    ],
+  },
+};
+
+function getCommandOptions(name) {
+  return OPTIONS.filter(
+    (option) =>
+      COMMANDS[name].options.includes(option.name) || option.name === "help",
+  );
+}
+
 class GitCleanupTool {
   constructor() {
     this.dryRun = false;
     this.verbose = false;
     this.untrackedOnly = false;
     this.countOnly = false;
+    this.localMode = false;
+    this.goneOnly = false;
+    // Delete merged branches that gained commits after their PR's head
+    this.allowDiverged = false;
+    // Delete branches with commits that exist on no remote (--allow-unpushed)
+    this.allowUnpushed = false;
+    // Delete branches whose PR was closed without merging (opt-in)
+    this.includeClosed = false;
+    // --stale <duration>: as given and in milliseconds
+    this.staleThreshold = null;
+    this.staleMs = null;
+    // Also delete the upstream branch of every deleted branch (--remote)
+    this.deleteRemote = false;
+    // --restore: { branch, lastRun }, or null when not restoring
+    this.restore = null;
+    // --archive keeps each deleted branch's tip under archiveRef, where
+    // {date} and {branch} are expanded; templates outside refs/ are tags
+    this.archive = false;
+    this.archiveRef = "refs/archive/{date}/{branch}";
+    this.listArchivesOnly = false;
+    this.pruneArchivesDays = null;
+    // Choose the branches to delete from a checklist (--interactive)
+    this.interactive = false;
+    // Answer every confirmation with yes (--yes); without it, nothing is
+    // deleted when stdin is not a terminal
+    this.yes = false;
+    this.exitCode = EXIT_CODES.OK;
+    // Set when branches could not be listed or checked, so an empty result
+    // is not reported as "nothing to do"
+    this.scanFailed = false;
+    // Remove clean linked worktrees of merged branches (--remove-worktrees)
+    this.removeWorktrees = false;
+    // Branch -> worktree path, for worktrees removed before their branch
+    this.worktreesToRemove = new Map();
+    // Groups the journal entries written by one run, for --restore --last-run
+    this.runId = null;
+    // Settings given on the command line, as a configuration layer on top of
+    // the files, git config and environment read by loadConfig(), and the
+    // resolved { values, sources }
+    this.cliConfig = { values: {}, sources: {} };
+    this.config = null;
+    this.printConfig = false;
+    // Parallel PR lookups; timeout in ms replacing every command's own
+    // timeout (null keeps them); "table" or "plain" results
+    this.concurrency = config.SETTINGS.concurrency.default;
+    this.timeout = null;
+    this.format = config.SETTINGS.format.default;
+    // Set once parseArguments() has applied the command line
+    this.argumentsParsed = false;
+    // Subcommand (a key of COMMANDS), or null for the flag-driven behaviour
+    this.command = null;
+    // Default provider; used for every branch when set explicitly with
+    // --provider, otherwise only for remotes whose host is not recognised
+    this.providerName = "github";
+    this.providerExplicit = false;
+    this.providers = new Map();
+    // Host -> provider overrides for self-hosted instances
+    this.providerHosts = {};
+    // Remote name -> provider name, filled by detectProviders()
+    this.remoteProviders = new Map();
+    // Provider name -> { statuses, complete } from one batched PR listing
+    this.prIndexes = new Map();
+    // Branch -> { number, state, headOid } of the PR its status came from
+    this.prHeads = new Map();
+    this.baseBranch = "";
+    // --default-branch; otherwise detected once by getBaseBranch(), which
+    // sets defaultBranch (null when none) and where it came from
+    this.defaultBranchOverride = null;
+    this.defaultBranch = undefined;
+    this.defaultBranchSource = null;
+    // Branch -> tip SHA for squash/rebase-merged branches that `git branch -d`
+    // would refuse; they are force-deleted only if the tip is unchanged
+    this.forceDeleteTips = new Map();
+    // Branch -> { upstream, track } from the last getBranches() call
+    this.branchInfo = new Map();
+    // Protected branch globs or /regex/ patterns: the defaults until
+    // loadConfig() combines those of every layer, --protect included
+    this.protectedPatterns = [...config.SETTINGS.protected.default];
+    this.protectedMatchers = compilePatterns(this.protectedPatterns);
+    // Branch -> why it is protected, filled by getBranches()
+    this.protectedBranches = new Map();
+    // --include/--exclude patterns, compiled like the protected ones; a
+    // branch is only considered if it matches an include (when any are
+    // given) and no exclude
+    this.includeMatchers = [];
+    this.excludeMatchers = [];
+    // Branches skipped by --include/--exclude, filled by getBranches()
+    this.filteredBranches = new Set();
+    // --author <email|me> as given; loadAuthorFilter() resolves the email
+    this.author = null;
+    this.authorEmail = null;
+    // Provider name -> login of the authenticated user, matched against PR
+    // authors for --author me
+    this.authorLogins = new Map();
+    // Branch -> whether it is by the author, cached across getBranches()
+    // calls; branches that are not end up in otherAuthorBranches
+    this.authoredBranches = new Map();
+    this.otherAuthorBranches = new Set();
+    // Branches whose tip is part of a merged PR or whose changes were found
+    // squashed/rebased into the base branch; their commits are not at risk
+    // even when no remote-tracking branch contains them
+    this.verifiedMerged = new Set();
+    // Branch -> { upstream, base, unpushed } from applyUnpushedCommits()
+    this.commitStats = new Map();
     this.branchesToDelete = [];
+    // Candidates applyUnpushedCommits() took out of branchesToDelete
+    this.unpushedKept = [];
+    // Closed-unmerged branches, confirmed separately from branchesToDelete
+    this.closedBranchesToDelete = [];
+    // Unmerged branches without recent activity (--stale), also confirmed
+    // separately
+    this.staleBranchesToDelete = [];
     this.prResults = [];
     this.currentBranch = "";
     this.spinner = new Spinner();
+    this.abortController = new AbortController();
+    // Every running command listens for the abort; up to the concurrency
+    // setting of them at once is expected, not a leak
+    setMaxListeners(0, this.abortController.signal);
     this.version = require("../package.json").version;
   }
 
@@ -34,26 +586,132 @@ class GitCleanupTool {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
 
-  async execCommand(command, options = {}) {
-    try {
-      const timeout = options.timeout || 30000; // Default 30s timeout
-      const result = execSync(command, {
-        encoding: "utf8",
-        stdio: options.silent ? "pipe" : "inherit",
-        timeout: timeout,
-        ...options,
-      });
-      return result.trim();
-    } catch (error) {
-      if (!options.silent) {
-        throw error;
-      }
-      // If it's a timeout, return a specific error or indicator
-      if (error.code === "ETIMEDOUT" || error.signal === "SIGTERM") {
-        return "__TIMEOUT__";
+  async execCommand(argv, options = {}) {
+    // Runs asynchronously so the worker pools really overlap and the spinner
+    // keeps animating; every call can be cancelled through cancel().
+    // Arguments are passed as an array and never go through a shell.
+    // A configured timeout replaces the per-command ones
+    return execCommand(argv, {
+      signal: this.abortController.signal,
+      ...options,
+      ...(this.timeout !== null && { timeout: this.timeout }),
+    });
+  }
+
+  // Hosting providers are created once per name and share execCommand
+  getProvider(name = this.providerName) {
+    if (!this.providers.has(name)) {
+      this.providers.set(
+        name,
+        createProvider(name, (argv, options) =>
+          this.execCommand(argv, options),
+        ),
+      );
+    }
+    return this.providers.get(name);
+  }
+
+  // Picks the provider for a branch from the remote its upstream lives on
+  getProviderForBranch(branch) {
+    if (this.providerExplicit || this.remoteProviders.size === 0) {
+      return this.getProvider();
+    }
+    const { upstream = "" } = this.branchInfo.get(branch) || {};
+    // Remote names may contain slashes, so prefer the longest matching prefix
+    const remote = [...this.remoteProviders.keys()]
+      .filter((name) => upstream.startsWith(`${name}/`))
+      .sort((a, b) => b.length - a.length)[0];
+    return this.getProvider(
+      remote ? this.remoteProviders.get(remote) : this.providerName,
+    );
+  }
+
+  // Reads `cleanup-merged.<host>.provider` entries from git config
+  async getConfiguredProviderHosts() {
+    const output = await this.execCommand(
+      [
+        "git",
+        "config",
+        "--get-regexp",
+        "^cleanup-merged\\..+\\.provider$",
+      ],
+      { silent: true },
+    );
+    const hosts = {};
+    if (!output || output === "__TIMEOUT__") {
+      return hosts;
+    }
+    for (const line of output.split("\n")) {
+      const [key, value] = line.trim().split(/\s+/);
+      const host = (key || "").slice(
+        "cleanup-merged.".length,
+        -".provider".length,
+      );
+      if (host && PROVIDER_NAMES.includes(value)) {
+        hosts[host] = value;
       }
-      return null;
     }
+    return hosts;
+  }
+
+  // Maps every remote used by a local branch upstream to a provider, based
+  // on the remote URL host (insteadOf rewrites are expanded by get-url)
+  async detectProviders() {
+    const remotesOutput = await this.execCommand(
+      ["git", "for-each-ref", "--format=%(upstream:remotename)", "refs/heads/"],
+      { silent: true },
+    );
+    if (!remotesOutput || remotesOutput === "__TIMEOUT__") {
+      return;
+    }
+
+    const hosts = {
+      ...(await this.getConfiguredProviderHosts()),
+      ...this.providerHosts,
+    };
+    const remotes = [
+      ...new Set(
+        remotesOutput
+          .split("\n")
+          .map((line) => line.trim())
+          .filter((line) => line !== "" && line !== "."),
+      ),
+    ];
+
+    for (const remote of remotes) {
+      const url = await this.execCommand(["git", "remote", "get-url", remote], {
+        silent: true,
+      });
+      const parsed =
+        url && url !== "__TIMEOUT__" ? parseRemoteUrl(url) : null;
+      const detected = parsed ? detectProvider(parsed.host, hosts) : null;
+      const name = detected || this.providerName;
+      this.remoteProviders.set(remote, name);
+
+      this.spinner.debug(
+        detected
+          ? `Remote '${remote}' (${parsed.host}) -> ${name}`
+          : `Remote '${remote}' has no recognised host, using ${name}`,
+        this.verbose,
+      );
+    }
+  }
+
+  recordOutcome(code) {
+    if (OUTCOME_ORDER.indexOf(code) > OUTCOME_ORDER.indexOf(this.exitCode)) {
+      this.exitCode = code;
+    }
+  }
+
+  recordScanFailure() {
+    this.scanFailed = true;
+    this.recordOutcome(EXIT_CODES.ERROR);
+  }
+
+  // Abort every command that is still running (e.g. on Ctrl+C)
+  cancel() {
+    this.abortController.abort();
+    this.spinner.stop();
   }
 
   async checkDependencies() {
@@ -61,7 +719,7 @@ class GitCleanupTool {
     this.spinner.start();
 
     // Check if we're in a git repository
-    const gitDirResult = await this.execCommand("git rev-parse --git-dir", {
+    const gitDirResult = await this.execCommand(["git", "rev-parse", "--git-dir"], {
       silent: true,
     });
     if (gitDirResult === null || gitDirResult === "__TIMEOUT__") {
@@ -70,62 +728,209 @@ class GitCleanupTool {
       } else {
         this.spinner.error("Not in a git repository");
       }
-      process.exit(1);
+      process.exit(
+        gitDirResult === "__TIMEOUT__"
+          ? EXIT_CODES.ERROR
+          : EXIT_CODES.NOT_A_REPOSITORY,
+      );
     }
     await this.sleep(300); // Minimum spinner time
 
-    // Only check GitHub CLI dependencies if not in untracked-only or count-only mode
-    if (!this.untrackedOnly && !this.countOnly) {
-      this.spinner.updateMessage("Checking GitHub CLI...");
-      // Check for GitHub CLI
-      const ghVersionResult = await this.execCommand("gh --version", {
-        silent: true,
-      });
-      if (ghVersionResult === null || ghVersionResult === "__TIMEOUT__") {
-        if (ghVersionResult === "__TIMEOUT__") {
-          this.spinner.error(
-            "GitHub CLI check timed out. Please check your connection.",
-          );
-        } else {
-          this.spinner.error(
-            "GitHub CLI (gh) is not installed. Please install it from https://cli.github.com/",
-          );
-        }
-        process.exit(1);
+    // Only check the provider CLI when PR status is actually looked up
+    if (this.usesProvider()) {
+      if (!this.providerExplicit) {
+        await this.detectProviders();
+      }
+      const providerNames = this.providerExplicit
+        ? [this.providerName]
+        : [...new Set(this.remoteProviders.values())];
+      if (providerNames.length === 0) {
+        providerNames.push(this.providerName);
       }
-      await this.sleep(200);
 
-      this.spinner.updateMessage("Verifying GitHub authentication...");
-      // Check GitHub CLI authentication
-      const authStatusResult = await this.execCommand("gh auth status", {
-        silent: true,
-      });
-      if (authStatusResult === null || authStatusResult === "__TIMEOUT__") {
-        if (authStatusResult === "__TIMEOUT__") {
-          this.spinner.error(
-            "GitHub authentication check timed out. Please check your connection.",
-          );
-        } else {
-          this.spinner.error(
-            "GitHub CLI is not authenticated. Run: gh auth login",
-          );
-        }
-        process.exit(1);
+      for (const providerName of providerNames) {
+        await this.checkProviderDependencies(this.getProvider(providerName));
       }
-      await this.sleep(200);
     }
 
     this.spinner.success("Dependencies checked");
   }
 
+  usesProvider() {
+    return (
+      !this.untrackedOnly &&
+      !this.countOnly &&
+      !this.localMode &&
+      !this.goneOnly &&
+      !this.restore &&
+      !this.listArchivesOnly &&
+      this.pruneArchivesDays === null
+    );
+  }
+
+  async checkProviderDependencies(provider) {
+    const { displayName, cli } = provider;
+
+    this.spinner.updateMessage(`Checking ${displayName} CLI...`);
+    // Check for the provider CLI
+    const versionResult = await provider.checkInstalled();
+    if (versionResult === null || versionResult === "__TIMEOUT__") {
+      if (versionResult === "__TIMEOUT__") {
+        this.spinner.error(
+          `${displayName} CLI check timed out. Please check your connection.`,
+        );
+      } else {
+        this.spinner.error(
+          `${displayName} CLI (${cli}) is not installed. Please install it from ${provider.installUrl}`,
+        );
+      }
+      process.exit(EXIT_CODES.DEPENDENCY_MISSING);
+    }
+    await this.sleep(200);
+
+    this.spinner.updateMessage(`Verifying ${displayName} authentication...`);
+    // Check provider CLI authentication
+    const authStatusResult = await provider.checkAuth();
+    if (authStatusResult === null || authStatusResult === "__TIMEOUT__") {
+      if (authStatusResult === "__TIMEOUT__") {
+        this.spinner.error(
+          `${displayName} authentication check timed out. Please check your connection.`,
+        );
+      } else {
+        this.spinner.error(
+          `${displayName} CLI is not authenticated. Run: ${provider.loginCommand}`,
+        );
+      }
+      process.exit(EXIT_CODES.DEPENDENCY_MISSING);
+    }
+    await this.sleep(200);
+  }
+
+  // doctor: checks everything a cleanup relies on and reports every problem,
+  // where checkDependencies() stops at the first one
+  async doctor() {
+    const problems = [];
+    const fail = (message, code) => {
+      this.spinner.error(message);
+      problems.push(code);
+    };
+    const isOk = (result) => result !== null && result !== "__TIMEOUT__";
+
+    const gitVersion = await this.execCommand(["git", "--version"], {
+      silent: true,
+    });
+    const toplevel = await this.execCommand(
+      ["git", "rev-parse", "--show-toplevel"],
+      { silent: true },
+    );
+    if (!isOk(gitVersion)) {
+      fail("Git: not installed or not working", EXIT_CODES.DEPENDENCY_MISSING);
+    } else if (!isOk(toplevel)) {
+      this.spinner.success(`Git: ${gitVersion}`);
+      fail(
+        `Repository: ${process.cwd()} is not in a git repository`,
+        EXIT_CODES.NOT_A_REPOSITORY,
+      );
+    } else {
+      this.spinner.success(`Git: ${gitVersion}`);
+      this.spinner.success(`Repository: ${toplevel}`);
+    }
+    if (problems.length > 0) {
+      this.exitCode = problems[0];
+      return;
+    }
+
+    const configured = Object.values(this.config.sources)
+      .flat()
+      .filter((source) => source !== "default").length;
+    this.spinner.success(
+      `Configuration: valid, ${configured} value(s) set (see --print-config)`,
+    );
+
+    const branch = await this.execCommand(["git", "branch", "--show-current"], {
+      silent: true,
+    });
+    if (branch) {
+      this.spinner.success(`Current branch: ${branch}`);
+    } else {
+      this.spinner.warning("Current branch: none (detached HEAD)");
+    }
+
+    const base = await this.getBaseBranch();
+    if (base) {
+      this.spinner.success(
+        `Default branch: ${base} (from ${this.defaultBranchSource})`,
+      );
+    } else if (this.defaultBranchOverride) {
+      fail(
+        `Default branch: ${this.defaultBranchOverride} (from --default-branch) does not exist locally`,
+        EXIT_CODES.ERROR,
+      );
+    } else {
+      this.spinner.warning(
+        "Default branch: not found (use --default-branch <name>)",
+      );
+    }
+
+    // The same providers checkDependencies() would need for a cleanup
+    let providerNames = [this.providerName];
+    if (!this.providerExplicit) {
+      await this.detectProviders();
+      for (const [remote, name] of this.remoteProviders) {
+        this.spinner.info(
+          `Remote ${remote}: ${this.getProvider(name).displayName}`,
+        );
+      }
+      providerNames = [...new Set(this.remoteProviders.values())];
+      if (providerNames.length === 0) {
+        this.spinner.info(
+          "Remotes: no branch tracks a remote, so no provider CLI is needed",
+        );
+      }
+    }
+    for (const name of providerNames) {
+      const provider = this.getProvider(name);
+      const { displayName, cli } = provider;
+      if (!isOk(await provider.checkInstalled())) {
+        fail(
+          `${displayName} CLI (${cli}): not installed, see ${provider.installUrl}`,
+          EXIT_CODES.DEPENDENCY_MISSING,
+        );
+      } else if (!isOk(await provider.checkAuth())) {
+        fail(
+          `${displayName} CLI (${cli}): not authenticated. Run: ${provider.loginCommand}`,
+          EXIT_CODES.DEPENDENCY_MISSING,
+        );
+      } else {
+        this.spinner.success(
+          `${displayName} CLI (${cli}): installed and authenticated`,
+        );
+      }
+    }
+
+    const file = await this.getJournalPath();
+    const entries = file ? await journal.readEntries(file) : [];
+    this.spinner.info(
+      `Undo journal: ${entries.length} deleted branch(es) recorded`,
+    );
+
+    if (problems.length === 0) {
+      this.spinner.success("No problems found");
+    } else {
+      this.spinner.error(`${problems.length} problem(s) found`);
+      this.exitCode = problems[0];
+    }
+  }
+
   async getCurrentBranch() {
     this.spinner.updateMessage("Getting current branch...");
     this.spinner.start();
 
     try {
-      const branchResult = await this.execCommand("git branch --show-current", {
-        silent: true,
-      });
+      const branchResult = await this.execCommand(
+        ["git", "branch", "--show-current"],
+        { silent: true },
+      );
       // Check if command failed or timed out
       if (branchResult === null || branchResult === "__TIMEOUT__") {
         if (branchResult === "__TIMEOUT__") {
@@ -133,14 +938,14 @@ class GitCleanupTool {
         } else {
           this.spinner.error("Failed to get current branch");
         }
-        process.exit(1);
+        process.exit(EXIT_CODES.ERROR);
       }
       this.currentBranch = branchResult;
       await this.sleep(200); // Let the spinner show
       this.spinner.success(`Current branch: ${this.currentBranch}`);
     } catch {
       this.spinner.error("Failed to get current branch");
-      process.exit(1);
+      process.exit(EXIT_CODES.ERROR);
     }
   }
 
@@ -148,7 +953,12 @@ class GitCleanupTool {
     try {
       // Get all local branches with their upstream tracking information
       const branches = await this.execCommand(
-        'git for-each-ref --format="%(refname:short) %(upstream:short)" refs/heads/',
+        [
+          "git",
+          "for-each-ref",
+          "--format=%(refname:short) %(upstream:short) %(upstream:track)",
+          "refs/heads/",
+        ],
         { silent: true },
       );
 
@@ -159,6 +969,7 @@ class GitCleanupTool {
         } else {
           this.spinner.error(`Failed to get ${mode} branches`);
         }
+        this.recordScanFailure();
         return [];
       }
 
@@ -171,28 +982,257 @@ class GitCleanupTool {
       for (const line of branchLines) {
         const parts = line.split(/\s+/);
         const branchName = parts[0];
-        const upstream = parts.slice(1).join(" ");
+        const upstream = parts[1] || "";
+        // %(upstream:track) is e.g. "[gone]" or "[ahead 1, behind 2]"
+        const track = parts.slice(2).join(" ");
 
-        if (["main", "master", this.currentBranch].includes(branchName)) {
+        const protection = this.getProtection(branchName);
+        if (protection) {
+          this.protectedBranches.set(branchName, protection);
           continue;
         }
 
-        const isTracked = upstream && upstream.trim() !== "";
+        this.branchInfo.set(branchName, { upstream, track });
+
+        const isTracked = upstream.trim() !== "";
+        const isGone = isTracked && track === "[gone]";
 
-        if (mode === "tracked" && isTracked) {
-          result.push(branchName);
-        } else if (mode === "untracked" && !isTracked) {
-          result.push(branchName);
-        } else if (mode === "all") {
-          result.push(branchName);
+        const inMode =
+          mode === "all" ||
+          (mode === "tracked" && isTracked && !isGone) ||
+          (mode === "gone" && isGone) ||
+          (mode === "untracked" && !isTracked);
+        if (!inMode) {
+          continue;
+        }
+        // Filtered before any lookup, so skipped branches cost no API call
+        if (this.isFilteredOut(branchName)) {
+          this.filteredBranches.add(branchName);
+          continue;
         }
+        result.push(branchName);
       }
 
-      return result;
+      return this.authorEmail ? await this.filterByAuthor(result) : result;
     } catch {
       this.spinner.error(`Failed to get ${mode} branches`);
+      this.recordScanFailure();
+      return [];
+    }
+  }
+
+  // Why a branch must never be deleted, or null
+  getProtection(branch) {
+    if (branch === this.currentBranch) {
+      return "current branch";
+    }
+    if (branch === this.defaultBranch) {
+      return "default branch";
+    }
+    const pattern = findMatchingPattern(this.protectedMatchers, branch);
+    return pattern ? `matches protected pattern ${pattern}` : null;
+  }
+
+  isFilteredOut(branch) {
+    if (
+      this.includeMatchers.length > 0 &&
+      !findMatchingPattern(this.includeMatchers, branch)
+    ) {
+      return true;
+    }
+    return Boolean(findMatchingPattern(this.excludeMatchers, branch));
+  }
+
+  // --author me is resolved from user.email
+  async loadAuthorFilter() {
+    if (!this.author) {
+      return;
+    }
+    if (this.author === "me") {
+      const email = await this.execCommand(
+        ["git", "config", "--get", "user.email"],
+        { silent: true },
+      );
+      if (!email || email === "__TIMEOUT__") {
+        this.spinner.error(
+          "--author me needs user.email in git config (git config user.email you@example.com)",
+        );
+        process.exit(EXIT_CODES.ERROR);
+        return;
+      }
+      this.authorEmail = email;
+    } else {
+      this.authorEmail = this.author;
+    }
+    this.spinner.success(`Only branches by ${this.authorEmail}`);
+  }
+
+  // Author emails of the commits only on this branch, or of its tip when the
+  // base branch already contains all of them
+  async getBranchAuthorEmails(branch, base) {
+    const ref = `refs/heads/${branch}`;
+    const args = ["git", "log", "--format=%ae", ref];
+    if (base && base !== branch) {
+      args.push("--not", `refs/heads/${base}`);
+    }
+    let output = await this.execCommand(args, { silent: true });
+    if (output === "") {
+      output = await this.execCommand(
+        ["git", "log", "-1", "--format=%ae", ref],
+        { silent: true },
+      );
+    }
+    if (!output || output === "__TIMEOUT__") {
       return [];
     }
+    return output.split("\n").map((email) => email.trim().toLowerCase());
+  }
+
+  // A branch is by the author when one of its own commits is. For --author
+  // me, a PR opened by the authenticated user also counts when the provider
+  // reports PR authors; the PRs are listed once, never per branch.
+  async filterByAuthor(branches) {
+    const email = this.authorEmail.toLowerCase();
+    const base = await this.getBaseBranch();
+    const unmatched = [];
+    for (const branch of branches) {
+      if (this.authoredBranches.has(branch)) {
+        continue;
+      }
+      const emails = await this.getBranchAuthorEmails(branch, base);
+      if (emails.includes(email)) {
+        this.authoredBranches.set(branch, true);
+      } else {
+        unmatched.push(branch);
+      }
+    }
+
+    if (unmatched.length > 0 && this.author === "me" && this.usesProvider()) {
+      await this.loadPRIndexes(unmatched);
+    }
+    for (const branch of unmatched) {
+      this.authoredBranches.set(branch, await this.isPullRequestAuthor(branch));
+    }
+
+    return branches.filter((branch) => {
+      if (this.authoredBranches.get(branch)) {
+        return true;
+      }
+      this.otherAuthorBranches.add(branch);
+      return false;
+    });
+  }
+
+  async isPullRequestAuthor(branch) {
+    if (this.author !== "me" || !this.usesProvider()) {
+      return false;
+    }
+    const provider = this.getProviderForBranch(branch);
+    const index = this.prIndexes.get(provider.name);
+    const pr = index && index.pullRequests.get(branch);
+    if (!pr || !pr.author || !provider.getCurrentUser) {
+      return false;
+    }
+    if (!this.authorLogins.has(provider.name)) {
+      this.authorLogins.set(provider.name, await provider.getCurrentUser());
+    }
+    return pr.author === this.authorLogins.get(provider.name);
+  }
+
+  // Records a setting given on the command line
+  setCliSetting(name, value, option) {
+    const { values, sources } = this.cliConfig;
+    values[name] = config.SETTINGS[name].merge
+      ? [...(values[name] || []), ...value]
+      : value;
+    sources[name] = `command line (${option})`;
+  }
+
+  // Merges, from lowest to highest precedence: the defaults, the user
+  // config file, the repository config file, `cleanup-merged.*` in git
+  // config, GIT_CLEANUP_MERGED_* environment variables and the command line
+  async loadConfig() {
+    try {
+      const layers = [];
+      const userFile = config.getUserConfigPath();
+      layers.push(
+        config.layerFromFile(
+          await config.readConfigFile(userFile),
+          `user config (${userFile})`,
+        ),
+      );
+
+      const toplevel = await this.execCommand(
+        ["git", "rev-parse", "--show-toplevel"],
+        { silent: true },
+      );
+      // Bare repositories have no working tree, so no config file
+      if (toplevel && toplevel !== "__TIMEOUT__") {
+        const file = config.getRepoConfigPath(toplevel);
+        layers.push(
+          config.layerFromFile(
+            await config.readConfigFile(file),
+            `repo config (${file})`,
+          ),
+        );
+      }
+
+      const gitConfig = await this.execCommand(
+        ["git", "config", "--get-regexp", "^cleanup-merged\\."],
+        { silent: true },
+      );
+      if (gitConfig && gitConfig !== "__TIMEOUT__") {
+        layers.push(config.layerFromGitConfig(gitConfig));
+      }
+
+      layers.push(config.layerFromEnv(), this.cliConfig);
+      this.config = config.resolveConfig(layers);
+    } catch (error) {
+      this.spinner.error(`Invalid configuration: ${error.message}`);
+      process.exit(EXIT_CODES.ERROR);
+      return;
+    }
+
+    const { values } = this.config;
+    this.protectedPatterns = values.protected;
+    this.protectedMatchers = compilePatterns(values.protected);
+    this.concurrency = values.concurrency;
+    this.timeout = values.timeout === null ? null : values.timeout * 1000;
+    this.providerExplicit = values.provider !== "auto";
+    this.providerName = this.providerExplicit ? values.provider : "github";
+    this.format = values.format;
+  }
+
+  // --print-config: every setting with its effective value and source
+  showConfig() {
+    const { values, sources } = this.config;
+    console.log(`${colors.bold}⚙️  Effective configuration${colors.reset}`);
+    for (const [name, setting] of Object.entries(config.SETTINGS)) {
+      if (setting.merge) {
+        console.log(`  ${name}:`);
+        values[name].forEach((entry, i) => {
+          console.log(`    ${entry.padEnd(24)} ${sources[name][i]}`);
+        });
+        continue;
+      }
+      const value =
+        name === "timeout" && values[name] === null
+          ? "per command"
+          : String(values[name]);
+      console.log(`  ${name.padEnd(12)} ${value.padEnd(12)} ${sources[name]}`);
+    }
+    console.log("");
+    console.log(`  User config file: ${config.getUserConfigPath()}`);
+  }
+
+  // Protected branches are never candidates; list them so they do not
+  // silently disappear from the results
+  addProtectedResults() {
+    for (const [branch, reason] of this.protectedBranches) {
+      if (!this.prResults.some((result) => result.branch === branch)) {
+        this.prResults.push({ branch, icon: "🛡️", label: "Protected", reason });
+      }
+    }
   }
 
   async getLocalBranches() {
@@ -207,13 +1247,20 @@ class GitCleanupTool {
     return this.getBranches("untracked");
   }
 
+  // Branches whose upstream was configured but no longer exists on the remote
+  async getGoneBranches() {
+    return this.getBranches("gone");
+  }
+
   async countBranches() {
     this.spinner.updateMessage("Counting branches...");
     this.spinner.start();
 
     const trackedBranches = await this.getTrackedBranches();
+    const goneBranches = await this.getGoneBranches();
     const untrackedBranches = await this.getUntrackedBranches();
-    const total = trackedBranches.length + untrackedBranches.length;
+    const total =
+      trackedBranches.length + goneBranches.length + untrackedBranches.length;
 
     await this.sleep(300); // Minimum spinner time
     this.spinner.success("Branch count complete");
@@ -222,42 +1269,114 @@ class GitCleanupTool {
     console.log(`${colors.bold}📊 Branch Count Summary${colors.reset}`);
     console.log(`  Total branches: ${total}`);
     console.log(`  Tracked: ${trackedBranches.length}`);
+    console.log(`  Gone (upstream deleted): ${goneBranches.length}`);
     console.log(`  Untracked: ${untrackedBranches.length}`);
+    console.log(`  Protected (not counted): ${this.protectedBranches.size}`);
+    if (this.filteredBranches.size > 0) {
+      console.log(
+        `  Filtered out by --include/--exclude (not counted): ${this.filteredBranches.size}`,
+      );
+    }
+    if (this.authorEmail) {
+      console.log(
+        `  Not by ${this.authorEmail} (not counted): ${this.otherAuthorBranches.size}`,
+      );
+    }
   }
 
   async getPRStatus(branch) {
     try {
-      return await this.execCommand(
-          `gh pr view "${branch}" --json state --jq .state`,
-          {silent: true, timeout: 10000}, // 10s timeout for PR status
-      );
+      const provider = this.getProviderForBranch(branch);
+      const index = this.prIndexes.get(provider.name);
+      let pr;
+      if (index && index.pullRequests.has(branch)) {
+        pr = index.pullRequests.get(branch);
+      } else if (index && index.complete) {
+        return null;
+      } else {
+        // No index, or it was truncated and this branch's PR may be older
+        pr = await provider.getPullRequest(branch);
+      }
+      if (!pr || pr === "__TIMEOUT__") {
+        return pr;
+      }
+      this.prHeads.set(branch, pr);
+      return pr.state;
     } catch {
       return null;
     }
   }
 
+  // Lists every PR once per provider so branches can be resolved locally
+  // instead of spawning one CLI call per branch
+  async loadPRIndexes(branches) {
+    const providers = new Map(
+      branches.map((branch) => {
+        const provider = this.getProviderForBranch(branch);
+        return [provider.name, provider];
+      }),
+    );
+
+    for (const provider of providers.values()) {
+      if (this.prIndexes.has(provider.name) || !provider.listStatuses) {
+        continue;
+      }
+      let index;
+      try {
+        index = await provider.listStatuses();
+      } catch {
+        index = null;
+      }
+      if (!index) {
+        this.spinner.debug(
+          `Could not list ${provider.displayName} PRs, checking branches individually`,
+          this.verbose,
+        );
+        continue;
+      }
+      this.prIndexes.set(provider.name, index);
+      this.spinner.debug(
+        `Indexed PRs for ${index.statuses.size} ${provider.displayName} branches${index.complete ? "" : " (truncated, older PRs are looked up per branch)"}`,
+        this.verbose,
+      );
+    }
+  }
+
+  // Human-readable list of the providers that will be queried, e.g. "GitHub"
+  describeProviders(branches) {
+    const names = [
+      ...new Set(
+        branches.map((branch) => this.getProviderForBranch(branch).displayName),
+      ),
+    ];
+    return names.join(" and ");
+  }
+
   async checkBranches() {
     this.spinner.updateMessage("Fetching tracked branches...");
     this.spinner.start();
 
     const branches = await this.getTrackedBranches();
+    const goneBranches = await this.getGoneBranches();
 
     if (branches.length === 0) {
       this.spinner.warning("No tracked branches found to check.");
       this.spinner.info(
         "You might want to use --untracked-only to see local-only branches.",
       );
+      this.addGoneResults(goneBranches);
       return;
     }
 
     this.spinner.updateMessage(
-      `Checking ${branches.length} tracked branches against GitHub...`,
+      `Checking ${branches.length} tracked branches against ${this.describeProviders(branches)}...`,
     );
+    await this.loadPRIndexes(branches);
     this.spinner.start(); // Ensure spinner is running before workers start
     await this.sleep(150); // Give spinner time to display initial message
 
-    // Limit concurrency to avoid hitting GitHub API rate limits
-    const CONCURRENCY_LIMIT = 5;
+    // Limit concurrency (the "concurrency" setting) to avoid hitting
+    // provider API rate limits
     // Use Map to store results by branch name to preserve input order
     const resultsMap = new Map();
     const totalBranches = branches.length;
@@ -278,6 +1397,7 @@ class GitCleanupTool {
     const addBranchToDelete = (branch) => {
       branchesToDeleteSync.push(branch);
     };
+    const closedBranches = [];
     
     const processBranch = async (branchIndex) => {
       const branch = branches[branchIndex];
@@ -312,7 +1432,7 @@ class GitCleanupTool {
         case "CLOSED":
           icon = "🔒";
           label = "Closed";
-          addBranchToDelete(branch);
+          closedBranches.push(branch);
           break;
         case "OPEN":
           icon = "⏳";
@@ -359,18 +1479,31 @@ class GitCleanupTool {
       }
     };
 
-    const workers = Array(Math.min(CONCURRENCY_LIMIT, totalBranches))
+    const workers = Array(Math.min(this.concurrency, totalBranches))
       .fill(null)
       .map(() => fluidWorker());
 
     // Wait for all concurrent workers to finish
     await Promise.all(workers);
 
+    const isMerged = (branch) => resultsMap.get(branch).label === "Merged";
+    await this.verifyPRHeads(branches.filter(isMerged), resultsMap);
+    await this.verifyMergedBranches(branches.filter(isMerged), resultsMap);
+
     // Reconstruct results array in the original input order
     this.prResults = branches.map((branch) => resultsMap.get(branch));
     
-    // Copy synchronized branches to delete array after all workers complete
-    this.branchesToDelete = branchesToDeleteSync;
+    // Copy synchronized branches to delete array after all workers complete,
+    // keeping diverged branches unless explicitly allowed
+    this.branchesToDelete = branchesToDeleteSync.filter(
+      (branch) =>
+        this.allowDiverged ||
+        resultsMap.get(branch).label !== "Merged (diverged)",
+    );
+    await this.recordClosedBranches(
+      branches.filter((branch) => closedBranches.includes(branch)),
+    );
+    this.addGoneResults(goneBranches);
 
     this.spinner.success(
       `Finished checking ${totalBranches} tracked branches`,
@@ -378,6 +1511,519 @@ class GitCleanupTool {
     console.log(""); // Empty line for spacing
   }
 
+  // Closed PRs were never merged, so their branches may hold the only copy of
+  // that work; they are only queued with --include-closed
+  async recordClosedBranches(closedBranches) {
+    this.closedBranchesToDelete = [];
+    if (closedBranches.length === 0) {
+      return;
+    }
+    if (!this.includeClosed) {
+      this.spinner.info(
+        `${closedBranches.length} branch(es) have closed, unmerged PRs. Run with --include-closed to delete them.`,
+      );
+      return;
+    }
+    for (const branch of closedBranches) {
+      // git branch -d refuses unmerged work; pin the tip for a verified -D
+      const tip = await this.getBranchTip(branch);
+      if (tip) {
+        this.forceDeleteTips.set(branch, tip);
+        this.closedBranchesToDelete.push(branch);
+      }
+    }
+  }
+
+  async branchExists(branch) {
+    const result = await this.execCommand(
+      ["git", "rev-parse", "--verify", "--quiet", `refs/heads/${branch}`],
+      { silent: true },
+    );
+    return Boolean(result) && result !== "__TIMEOUT__";
+  }
+
+  // The repository's default branch, detected once per run
+  async getBaseBranch() {
+    if (this.defaultBranch === undefined) {
+      const detected = await this.detectDefaultBranch();
+      this.defaultBranch = detected ? detected.branch : null;
+      this.defaultBranchSource = detected ? detected.source : null;
+    }
+    return this.defaultBranch;
+  }
+
+  // Sources in order: --default-branch, refs/remotes/<remote>/HEAD (origin
+  // first), the hosting provider when PR status is looked up anyway,
+  // init.defaultBranch (often a global setting for new repositories, so it
+  // only counts after the others), then main/master. Merge checks compare
+  // against refs/heads/<branch>, so a candidate only counts if it exists
+  // locally.
+  async detectDefaultBranch() {
+    if (this.defaultBranchOverride) {
+      return (await this.branchExists(this.defaultBranchOverride))
+        ? { branch: this.defaultBranchOverride, source: "--default-branch" }
+        : null;
+    }
+
+    const remotesOutput = await this.execCommand(["git", "remote"], {
+      silent: true,
+    });
+    const remotes =
+      remotesOutput && remotesOutput !== "__TIMEOUT__"
+        ? remotesOutput.split("\n").filter(Boolean)
+        : [];
+    remotes.sort((a, b) => (b === "origin") - (a === "origin"));
+
+    for (const remote of remotes) {
+      const head = await this.execCommand(
+        ["git", "symbolic-ref", "--quiet", `refs/remotes/${remote}/HEAD`],
+        { silent: true },
+      );
+      const prefix = `refs/remotes/${remote}/`;
+      if (head && head !== "__TIMEOUT__" && head.startsWith(prefix)) {
+        const branch = head.slice(prefix.length);
+        if (await this.branchExists(branch)) {
+          return { branch, source: `${prefix}HEAD` };
+        }
+      }
+    }
+
+    if (this.usesProvider() && remotes.length > 0) {
+      const provider = this.providerExplicit
+        ? this.getProvider()
+        : this.getProvider(
+            this.remoteProviders.get(remotes[0]) || this.providerName,
+          );
+      const branch = provider.getDefaultBranch
+        ? await provider.getDefaultBranch()
+        : null;
+      if (branch && (await this.branchExists(branch))) {
+        return { branch, source: provider.displayName };
+      }
+    }
+
+    const configured = await this.execCommand(
+      ["git", "config", "--get", "init.defaultBranch"],
+      { silent: true },
+    );
+    if (
+      configured &&
+      configured !== "__TIMEOUT__" &&
+      (await this.branchExists(configured))
+    ) {
+      return { branch: configured, source: "init.defaultBranch" };
+    }
+
+    for (const branch of ["main", "master"]) {
+      if (await this.branchExists(branch)) {
+        return { branch, source: "fallback" };
+      }
+    }
+    return null;
+  }
+
+  // Shown at startup, right after the current branch
+  async showDefaultBranch() {
+    const branch = await this.getBaseBranch();
+    if (branch) {
+      this.spinner.success(
+        `Default branch: ${branch} (from ${this.defaultBranchSource})`,
+      );
+    } else if (this.defaultBranchOverride) {
+      this.spinner.error(
+        `Branch given with --default-branch does not exist locally: ${this.defaultBranchOverride}`,
+      );
+      process.exit(EXIT_CODES.ERROR);
+    } else {
+      this.spinner.warning(
+        "Default branch: not found (use --default-branch <name>)",
+      );
+    }
+  }
+
+  async getBranchTip(branch) {
+    const tip = await this.execCommand(
+      ["git", "rev-parse", "--verify", "--quiet", `refs/heads/${branch}`],
+      { silent: true },
+    );
+    return tip && tip !== "__TIMEOUT__" ? tip : null;
+  }
+
+  // Detects branches whose changes landed in the base branch through a
+  // squash or rebase merge, which plain ancestry checks cannot see
+  async detectSquashOrRebase(branch, base) {
+    const isOk = (result) => result !== null && result !== "__TIMEOUT__";
+    const branchRef = `refs/heads/${branch}`;
+
+    // Rebase merge: every commit has a patch-id equivalent in the base branch
+    const cherry = await this.execCommand(["git", "cherry", base, branchRef], {
+      silent: true,
+    });
+    if (!isOk(cherry)) {
+      return null;
+    }
+    const commits = cherry.split("\n").filter((line) => line.trim() !== "");
+    if (commits.length > 0 && commits.every((line) => line.startsWith("-"))) {
+      return {
+        type: "rebased",
+        reason: `all ${commits.length} commit(s) have patch-equivalent commits in ${base}`,
+      };
+    }
+
+    // Squash merge: build a throwaway commit holding the branch's whole diff
+    // on top of the merge base and look for a patch-equivalent commit in base
+    const mergeBase = await this.execCommand(
+      ["git", "merge-base", base, branchRef],
+      { silent: true },
+    );
+    const tree = await this.execCommand(
+      ["git", "rev-parse", `${branchRef}^{tree}`],
+      { silent: true },
+    );
+    if (isOk(mergeBase) && isOk(tree)) {
+      const squashCommit = await this.execCommand(
+        [
+          "git",
+          "-c",
+          "user.name=git-cleanup-merged",
+          "-c",
+          "user.email=git-cleanup-merged@localhost",
+          "commit-tree",
+          tree,
+          "-p",
+          mergeBase,
+          "-m",
+          `squash of ${branch}`,
+        ],
+        { silent: true },
+      );
+      if (isOk(squashCommit)) {
+        const squashCherry = await this.execCommand(
+          ["git", "cherry", base, squashCommit],
+          { silent: true },
+        );
+        if (isOk(squashCherry) && squashCherry.startsWith("-")) {
+          return {
+            type: "squashed",
+            reason: `squashed diff matches a commit in ${base}`,
+          };
+        }
+      }
+    }
+
+    // Squash merge followed by further edits: merging the branch into base
+    // would leave base's tree unchanged, so its changes are already there
+    const mergeTree = await this.execCommand(
+      ["git", "merge-tree", "--write-tree", base, branchRef],
+      { silent: true },
+    );
+    const baseTree = await this.execCommand(
+      ["git", "rev-parse", `${base}^{tree}`],
+      { silent: true },
+    );
+    if (
+      isOk(mergeTree) &&
+      isOk(baseTree) &&
+      mergeTree.split("\n")[0].trim() === baseTree
+    ) {
+      return {
+        type: "squashed",
+        reason: `branch changes are already in the ${base} tree`,
+      };
+    }
+
+    return null;
+  }
+
+  // Adds the status row for a squash/rebase-merged branch and remembers its
+  // tip so the deletion step can force-delete it safely
+  async recordSquashOrRebase(branch, merge) {
+    const tip = await this.getBranchTip(branch);
+    if (!tip) {
+      return false;
+    }
+    this.forceDeleteTips.set(branch, tip);
+    this.verifiedMerged.add(branch);
+    return {
+      branch,
+      icon: merge.type === "rebased" ? "🔁" : "📦",
+      label: merge.type === "rebased" ? "Rebased" : "Squashed",
+      reason: merge.reason,
+    };
+  }
+
+  async checkLocalBranches() {
+    this.spinner.updateMessage("Fetching local branches...");
+    this.spinner.start();
+
+    const branches = await this.getLocalBranches();
+
+    if (branches.length === 0) {
+      this.spinner.warning("No local branches found to check.");
+      return;
+    }
+
+    this.baseBranch = await this.getBaseBranch();
+    if (!this.baseBranch) {
+      this.spinner.error(
+        "Could not find a default branch to compare against. Use --default-branch <name>.",
+      );
+      this.recordScanFailure();
+      return;
+    }
+
+    this.spinner.updateMessage(
+      `Checking ${branches.length} local branches against ${this.baseBranch}...`,
+    );
+    this.spinner.start();
+
+    // One call lists every branch whose tip is reachable from the base branch
+    const mergedOutput = await this.execCommand(
+      [
+        "git",
+        "branch",
+        "--merged",
+        this.baseBranch,
+        "--format=%(refname:short)",
+      ],
+      { silent: true },
+    );
+
+    if (mergedOutput === null || mergedOutput === "__TIMEOUT__") {
+      if (mergedOutput === "__TIMEOUT__") {
+        this.spinner.error("Failed to list merged branches (timeout)");
+      } else {
+        this.spinner.error("Failed to list merged branches");
+      }
+      this.recordScanFailure();
+      return;
+    }
+
+    const merged = new Set(
+      mergedOutput
+        .split("\n")
+        .map((line) => line.trim())
+        .filter((line) => line !== ""),
+    );
+
+    for (const branch of branches) {
+      const isMerged = merged.has(branch);
+
+      if (this.verbose) {
+        this.spinner.debug(
+          `${branch} -> ${isMerged ? "reachable" : "not reachable"} from ${this.baseBranch}`,
+          this.verbose,
+        );
+      }
+
+      if (isMerged) {
+        this.branchesToDelete.push(branch);
+        this.prResults.push({ branch, icon: "✅", label: "Merged" });
+        continue;
+      }
+
+      this.spinner.updateMessage(
+        `Checking ${branch} for squash or rebase merges...`,
+      );
+      this.spinner.start();
+      const merge = await this.detectSquashOrRebase(branch, this.baseBranch);
+      const result = merge && (await this.recordSquashOrRebase(branch, merge));
+
+      if (result) {
+        if (this.verbose) {
+          this.spinner.debug(`${branch} -> ${result.reason}`, this.verbose);
+        }
+        this.branchesToDelete.push(branch);
+        this.prResults.push(result);
+      } else {
+        this.prResults.push({ branch, icon: "❌", label: "Not merged" });
+      }
+    }
+
+    this.spinner.success(
+      `Finished checking ${branches.length} local branches against ${this.baseBranch}`,
+    );
+    console.log(""); // Empty line for spacing
+  }
+
+  // `git branch -d` refuses branches whose PR was squash- or rebase-merged.
+  // Re-label those so deletion can use a verified force delete instead.
+  async verifyMergedBranches(mergedBranches, resultsMap) {
+    if (mergedBranches.length === 0) {
+      return;
+    }
+
+    const base = await this.getBaseBranch();
+    if (!base) {
+      return;
+    }
+    this.baseBranch = base;
+
+    for (const branch of mergedBranches) {
+      const reachable = await this.execCommand(
+        ["git", "merge-base", "--is-ancestor", `refs/heads/${branch}`, base],
+        { silent: true },
+      );
+      if (reachable !== null && reachable !== "__TIMEOUT__") {
+        continue;
+      }
+
+      const merge = await this.detectSquashOrRebase(branch, base);
+      const result = merge && (await this.recordSquashOrRebase(branch, merge));
+      if (result) {
+        resultsMap.set(branch, result);
+        if (this.verbose) {
+          this.spinner.debug(`${branch} -> ${result.reason}`, this.verbose);
+        }
+      }
+    }
+  }
+
+  // A PR is matched by branch name only, so a reused name can point at an old
+  // merged PR. Branches whose tip is not part of that PR are marked diverged.
+  async verifyPRHeads(mergedBranches, resultsMap) {
+    for (const branch of mergedBranches) {
+      const pr = this.prHeads.get(branch);
+      if (!pr || !pr.headOid) {
+        continue;
+      }
+      const tip = await this.getBranchTip(branch);
+      if (!tip) {
+        continue;
+      }
+      if (
+        tip === pr.headOid ||
+        (await this.isTipInPullRequest(branch, tip, pr))
+      ) {
+        this.verifiedMerged.add(branch);
+        continue;
+      }
+
+      const count = await this.execCommand(
+        ["git", "rev-list", "--count", `${pr.headOid}..${tip}`],
+        { silent: true },
+      );
+      const commits = /^\d+$/.test(count || "")
+        ? `${count} commit(s)`
+        : "commits";
+      const result = {
+        branch,
+        icon: "⚠️",
+        label: "Merged (diverged)",
+        reason: `${commits} after the head of PR #${pr.number} (${pr.headOid.slice(0, 7)})`,
+      };
+      resultsMap.set(branch, result);
+      if (this.allowDiverged) {
+        this.forceDeleteTips.set(branch, tip);
+      }
+      if (this.verbose) {
+        this.spinner.debug(`${branch} -> ${result.reason}`, this.verbose);
+      }
+    }
+  }
+
+  // The local tip belongs to the PR when it is the head or one of its
+  // earlier commits (the PR received more commits from elsewhere)
+  async isTipInPullRequest(branch, tip, pr) {
+    const behind = await this.execCommand(
+      ["git", "merge-base", "--is-ancestor", tip, pr.headOid],
+      { silent: true },
+    );
+    if (behind !== null && behind !== "__TIMEOUT__") {
+      return true;
+    }
+    const provider = this.getProviderForBranch(branch);
+    if (!provider.getCommits) {
+      return false;
+    }
+    const commits = await provider.getCommits(pr.number);
+    return Array.isArray(commits) && commits.includes(tip);
+  }
+
+  // Gone branches are not looked up on GitHub; list them so they are not
+  // mistaken for tracked branches and point at --gone to remove them
+  addGoneResults(goneBranches) {
+    if (goneBranches.length === 0) {
+      return;
+    }
+    goneBranches.forEach((branch) => {
+      this.prResults.push({ branch, icon: "👻", label: "Gone" });
+    });
+    this.spinner.info(
+      `${goneBranches.length} branch(es) have a deleted upstream. Run with --gone to clean them up.`,
+    );
+  }
+
+  async fetchAndPrune() {
+    this.spinner.updateMessage("Fetching and pruning remote branches...");
+    this.spinner.start();
+
+    const result = await this.execCommand(["git", "fetch", "--all", "--prune"], {
+      silent: true,
+      timeout: 60000,
+    });
+    if (result === null || result === "__TIMEOUT__") {
+      this.spinner.warning(
+        `Could not fetch from remotes${result === "__TIMEOUT__" ? " (timeout)" : ""}; using existing tracking information.`,
+      );
+      return false;
+    }
+    return true;
+  }
+
+  async checkGoneBranches() {
+    await this.fetchAndPrune();
+
+    this.spinner.updateMessage("Finding branches with a deleted upstream...");
+    this.spinner.start();
+
+    const goneBranches = await this.getGoneBranches();
+
+    if (goneBranches.length === 0) {
+      this.spinner.warning("No branches with a deleted upstream found.");
+      return;
+    }
+
+    // A gone upstream usually means the PR was merged, but `git branch -d`
+    // still refuses squash merges; verify those so they can be force-deleted
+    const base = await this.getBaseBranch();
+    if (base) {
+      this.baseBranch = base;
+    }
+
+    for (const branch of goneBranches) {
+      const { upstream } = this.branchInfo.get(branch) || {};
+      let reason = `upstream ${upstream} no longer exists`;
+
+      if (base) {
+        this.spinner.updateMessage(`Checking gone branch ${branch}...`);
+        this.spinner.start();
+        const reachable = await this.execCommand(
+          ["git", "merge-base", "--is-ancestor", `refs/heads/${branch}`, base],
+          { silent: true },
+        );
+        if (reachable === null || reachable === "__TIMEOUT__") {
+          const merge = await this.detectSquashOrRebase(branch, base);
+          if (merge && (await this.recordSquashOrRebase(branch, merge))) {
+            reason = `${reason}; ${merge.reason}`;
+          }
+        }
+      }
+
+      if (this.verbose) {
+        this.spinner.debug(`${branch} -> ${reason}`, this.verbose);
+      }
+
+      this.branchesToDelete.push(branch);
+      this.prResults.push({ branch, icon: "👻", label: "Gone", reason });
+    }
+
+    this.spinner.success(
+      `Found ${goneBranches.length} branches with a deleted upstream`,
+    );
+    console.log(""); // Empty line for spacing
+  }
+
   async checkUntrackedBranches() {
     this.spinner.updateMessage("Fetching untracked local branches...");
     this.spinner.start();
@@ -430,31 +2076,118 @@ class GitCleanupTool {
   }
 
   displayResults() {
+    if (this.format === "plain") {
+      this.displayPlainResults();
+      return;
+    }
+    // Only shown when a branch has commits that exist nowhere else
+    const showRisk = this.prResults.some((result) => result.atRisk > 0);
+    // Ages are only computed with --stale
+    const showAge = this.prResults.some((result) => result.age !== undefined);
     this.spinner.log("─".repeat(60));
     this.spinner.log(
-      `${"Branch".padEnd(40)} ${"Icon".padEnd(6)} ${"Status".padEnd(10)}`,
+      `${"Branch".padEnd(40)} ${"Icon".padEnd(6)} ${"Status".padEnd(10)}${showAge ? ` ${"Age".padEnd(4)}` : ""}${showRisk ? " At risk" : ""}`,
     );
     this.spinner.log("─".repeat(60));
 
-    this.prResults.forEach(({ branch, icon, label }) => {
+    this.prResults.forEach(({ branch, icon, label, reason, atRisk, age }) => {
+      const ageColumn = showAge
+        ? ` ${(age === undefined ? "" : formatAge(age)).padEnd(4)}`
+        : "";
+      const risk = atRisk > 0 ? ` ${atRisk} commit(s)` : "";
       this.spinner.log(
-        `${branch.padEnd(40)} ${icon.padEnd(6)} ${label.padEnd(10)}`,
+        `${branch.padEnd(40)} ${icon.padEnd(6)} ${label.padEnd(10)}${ageColumn}${risk}`,
       );
+      if (reason) {
+        this.spinner.log(`  ↳ ${reason}`);
+      }
     });
 
     this.spinner.log("─".repeat(60));
+    if (this.filteredBranches.size > 0) {
+      this.spinner.log(
+        `${this.filteredBranches.size} branch(es) filtered out by --include/--exclude`,
+      );
+      this.spinner.debug(
+        `Filtered out: ${[...this.filteredBranches].join(", ")}`,
+        this.verbose,
+      );
+    }
+    if (this.otherAuthorBranches.size > 0) {
+      this.spinner.log(
+        `${this.otherAuthorBranches.size} branch(es) by other authors left out (--author ${this.authorEmail})`,
+      );
+      this.spinner.debug(
+        `Not by ${this.authorEmail}: ${[...this.otherAuthorBranches].join(", ")}`,
+        this.verbose,
+      );
+    }
+  }
+
+  // --format plain: one tab-separated line per branch (branch, status,
+  // reason), without colors or icons, for grep and cut
+  displayPlainResults() {
+    for (const { branch, label, reason } of this.prResults) {
+      console.log([branch, label, reason || ""].join("\t"));
+    }
   }
 
   async deleteBranches() {
+    // Raised by the deletion passes below
+    this.exitCode = this.scanFailed
+      ? EXIT_CODES.ERROR
+      : EXIT_CODES.NOTHING_TO_DO;
+    await this.deleteEligibleBranches();
+    if (this.closedBranchesToDelete.length > 0) {
+      await this.deleteClosedBranches();
+    }
+    if (this.staleBranchesToDelete.length > 0) {
+      await this.deleteStaleBranches();
+    }
+  }
+
+  async deleteEligibleBranches() {
     if (this.branchesToDelete.length === 0) {
+      // The error above already explains why nothing was found
+      if (this.scanFailed) {
+        return;
+      }
+      // Candidates were found, they just have work that would be lost
+      if (this.unpushedKept.length > 0) {
+        this.spinner.warning(
+          `Kept ${this.unpushedKept.length} branch(es) with unpushed commits (use --allow-unpushed to delete anyway).`,
+        );
+        return;
+      }
       if (this.untrackedOnly) {
         this.spinner.warning("No untracked local branches found.");
+      } else if (this.goneOnly) {
+        this.spinner.warning("No branches with a deleted upstream found.");
+      } else if (this.localMode) {
+        this.spinner.warning(
+          `No branches merged into ${this.baseBranch || "the default branch"} found.`,
+        );
       } else {
-        this.spinner.warning("No branches with merged or closed PRs found.");
+        this.spinner.warning("No branches with merged PRs found.");
       }
       return;
     }
 
+    // In interactive mode the picker replaces the y/N confirmation, unless
+    // remote branches or worktrees go too; everything below only applies to
+    // the chosen subset
+    let branches = this.branchesToDelete;
+    if (this.interactive && !this.dryRun) {
+      branches = await this.pickBranches(
+        this.branchesToDelete,
+        "Select the branches to delete",
+      );
+      if (!branches || branches.length === 0) {
+        this.spinner.info(branches ? "No branches selected." : "Cancelled.");
+        return;
+      }
+    }
+
     console.log(""); // Empty line for spacing
     if (this.dryRun) {
       this.spinner.warning("DRY RUN — branches eligible for deletion:");
@@ -463,20 +2196,63 @@ class GitCleanupTool {
         this.spinner.error(
           "The following untracked local branches will be deleted:",
         );
+      } else if (this.goneOnly) {
+        this.spinner.error(
+          "The following branches have a deleted upstream and will be deleted:",
+        );
+      } else if (this.localMode) {
+        this.spinner.error(
+          `The following branches are merged into ${this.baseBranch} and will be deleted:`,
+        );
       } else {
         this.spinner.error(
-          "The following branches have merged or closed PRs and will be deleted:",
+          "The following branches have merged PRs and will be deleted:",
         );
       }
     }
 
     // List branches with icons for better clarity
-    this.branchesToDelete.forEach((branch) => {
+    branches.forEach((branch) => {
       const result = this.prResults.find((r) => r.branch === branch);
       const icon = result ? result.icon : "🗑️";
       this.spinner.log(`  ${icon} ${branch}`, colors.red);
     });
 
+    const worktrees = branches
+      .filter((branch) => this.worktreesToRemove.has(branch))
+      .map((branch) => this.worktreesToRemove.get(branch));
+    if (worktrees.length > 0) {
+      this.spinner.info("These worktrees will be removed with their branch:");
+      worktrees.forEach((worktreePath) => {
+        this.spinner.log(`  🌲 ${worktreePath}`, colors.red);
+      });
+    }
+
+    if (this.archive) {
+      this.spinner.info(
+        `Each branch is archived under ${this.getArchivePrefix()} before it is deleted.`,
+      );
+    }
+
+    // Resolved before deleting, as the upstream config goes with the branch
+    const remoteBranches = this.deleteRemote
+      ? await this.getRemoteBranches(branches)
+      : [];
+    if (remoteBranches.length > 0) {
+      if (this.dryRun) {
+        this.spinner.warning(
+          "DRY RUN — remote branches eligible for deletion:",
+        );
+      } else {
+        this.spinner.error(
+          "The following remote branches will also be deleted:",
+        );
+      }
+      remoteBranches.forEach(({ name }) => {
+        this.spinner.log(`  🌐 ${name}`, colors.red);
+      });
+    }
+
     if (this.dryRun) {
       if (this.untrackedOnly) {
         this.spinner.info(
@@ -485,125 +2261,1158 @@ class GitCleanupTool {
       } else {
         this.spinner.info("Run without --dry-run to actually delete them.");
       }
+      this.recordOutcome(EXIT_CODES.OK);
       return;
     }
 
-    const confirmationMessage = this.untrackedOnly
-      ? "Proceed with deletion of untracked branches? (y/N): "
-      : "Proceed with deletion? (y/N): ";
+    let confirmationMessage = "Proceed with deletion? (y/N): ";
+    if (this.untrackedOnly) {
+      confirmationMessage =
+        "Proceed with deletion of untracked branches? (y/N): ";
+    } else if (this.goneOnly) {
+      confirmationMessage = "Proceed with deletion of gone branches? (y/N): ";
+    }
 
-    const confirmed = await this.askConfirmation(confirmationMessage);
+    // The picker only showed local branches; remote branches and worktrees
+    // listed after it still need a y/N
+    const confirmed =
+      (this.interactive &&
+        remoteBranches.length === 0 &&
+        worktrees.length === 0) ||
+      (await this.askConfirmation(confirmationMessage));
 
     if (confirmed) {
       console.log(""); // Empty line for spacing
-
-      // Concurrency limit for deletion as well
-      const DELETE_CONCURRENCY = 3;
-      let deletedCount = 0;
-      const failedBranchesSync = [];
-      const branchesToDeleteCopy = [...this.branchesToDelete];
-      const totalToDelete = this.branchesToDelete.length;
-      // Use atomic counter to avoid race conditions with concurrent workers
-      // The counter object ensures the increment operation is atomic
-      const deletionCounter = { value: 0 };
-      const getNextDeletionProgress = () => {
-        // Increment and return in a single synchronous operation
-        return ++deletionCounter.value;
-      };
-      
-      // Atomic function to get next branch index to avoid race conditions
-      let nextDeleteIndex = 0;
-      const getNextDeleteBranch = () => {
-        if (nextDeleteIndex >= branchesToDeleteCopy.length) {
-          return null;
+      const deleted = await this.removeBranches(branches);
+      // A branch that could not be deleted locally keeps its remote as well
+      await this.deleteRemoteBranches(
+        remoteBranches.filter(({ branch }) => deleted.includes(branch)),
+      );
+    } else {
+      this.spinner.info("Cancelled.");
+    }
+  }
+
+  // Commits only on `left` and only on `right`, or null when either side
+  // does not resolve (e.g. no upstream)
+  async getAheadBehind(left, right) {
+    const output = await this.execCommand(
+      ["git", "rev-list", "--left-right", "--count", `${left}...${right}`],
+      { silent: true },
+    );
+    const match = /^(\d+)\s+(\d+)$/.exec(output || "");
+    return match ? { ahead: Number(match[1]), behind: Number(match[2]) } : null;
+  }
+
+  // Ahead/behind against the upstream and the base branch, and the number of
+  // commits reachable from no remote-tracking branch and not from the base
+  async getCommitStats(branch, base) {
+    const ref = `refs/heads/${branch}`;
+    const unpushedArgs = [
+      "git",
+      "rev-list",
+      "--count",
+      ref,
+      "--not",
+      "--remotes",
+    ];
+    if (base) {
+      unpushedArgs.push(`refs/heads/${base}`);
+    }
+    const unpushed = await this.execCommand(unpushedArgs, { silent: true });
+    // <branch>@{upstream} is ambiguous for names that look like other refs
+    const upstream = await this.execCommand(
+      ["git", "for-each-ref", "--format=%(upstream)", ref],
+      { silent: true },
+    );
+    return {
+      upstream:
+        upstream && upstream !== "__TIMEOUT__"
+          ? await this.getAheadBehind(ref, upstream)
+          : null,
+      base: base ? await this.getAheadBehind(ref, `refs/heads/${base}`) : null,
+      unpushed: /^\d+$/.test(unpushed || "") ? Number(unpushed) : null,
+    };
+  }
+
+  // Branch -> { committed, checkedOut } in milliseconds: the committer date
+  // of the tip and the last checkout of the branch in the HEAD reflog (null
+  // when the reflog has none)
+  async getBranchActivity() {
+    const activity = new Map();
+    const refs = await this.execCommand(
+      [
+        "git",
+        "for-each-ref",
+        "--format=%(refname:short)%09%(committerdate:unix)",
+        "refs/heads/",
+      ],
+      { silent: true },
+    );
+    if (!refs || refs === "__TIMEOUT__") {
+      return activity;
+    }
+    for (const line of refs.split("\n").filter(Boolean)) {
+      const [branch, committed] = line.split("\t");
+      activity.set(branch, {
+        committed: Number(committed) * 1000,
+        checkedOut: null,
+      });
+    }
+
+    const reflog = await this.execCommand(
+      ["git", "reflog", "show", "--date=unix", "--format=%gd%x09%gs", "HEAD"],
+      { silent: true },
+    );
+    if (reflog && reflog !== "__TIMEOUT__") {
+      for (const line of reflog.split("\n")) {
+        // e.g. "HEAD@{1700000000}\tcheckout: moving from main to feature"
+        const match = line.match(
+          /^HEAD@\{(\d+)\}\tcheckout: moving from \S+ to (\S+)$/,
+        );
+        const entry = match && activity.get(match[2]);
+        if (entry) {
+          entry.checkedOut = Math.max(
+            entry.checkedOut ?? 0,
+            Number(match[1]) * 1000,
+          );
         }
-        return branchesToDeleteCopy[nextDeleteIndex++];
-      };
-      
-      // Synchronized function to add failed branch
-      const addFailedBranch = (branch) => {
-        failedBranchesSync.push(branch);
-      };
-      
-      // Synchronized function to increment deleted count
-      const incrementDeletedCount = () => {
-        deletedCount++;
-      };
+      }
+    }
+    return activity;
+  }
+
+  // With --stale, every row gets its age (time since the last commit or
+  // checkout, whichever is later), and branches that would otherwise never
+  // be offered become "Stale" once older than the threshold. They are
+  // unmerged, so the tip is pinned for a verified -D.
+  async applyStale() {
+    this.staleBranchesToDelete = [];
+    if (this.staleMs === null) {
+      return;
+    }
+    const activity = await this.getBranchActivity();
+    const now = Date.now();
+
+    for (const result of this.prResults) {
+      const entry = activity.get(result.branch);
+      if (!entry) {
+        continue;
+      }
+      result.age = now - Math.max(entry.committed, entry.checkedOut ?? 0);
+      if (!STALE_LABELS.includes(result.label) || result.age < this.staleMs) {
+        continue;
+      }
+      const tip = await this.getBranchTip(result.branch);
+      if (!tip) {
+        continue;
+      }
+      this.forceDeleteTips.set(result.branch, tip);
+      this.staleBranchesToDelete.push(result.branch);
+      const checkout =
+        entry.checkedOut === null
+          ? "no checkout in the reflog"
+          : `last checkout ${formatAge(now - entry.checkedOut)} ago`;
+      Object.assign(result, {
+        icon: "💤",
+        label: "Stale",
+        reason: `${result.label}; last commit ${formatAge(now - entry.committed)} ago, ${checkout}`,
+      });
+    }
+  }
 
-      const deletionWorker = async () => {
-        while (true) {
-          const branch = getNextDeleteBranch();
-          if (branch === null) {
-            break; // No more branches to process
+  // Deleting a branch whose commits exist on no remote and not in the base
+  // branch loses them. Such branches are shown as "Unpushed" and kept unless
+  // --allow-unpushed is given, in which case they are force-deleted.
+  async applyUnpushedCommits() {
+    const candidates = [
+      ...this.branchesToDelete,
+      ...this.closedBranchesToDelete,
+      ...this.staleBranchesToDelete,
+    ];
+    if (candidates.length === 0) {
+      return;
+    }
+    const base = this.baseBranch || (await this.getBaseBranch());
+
+    const kept = new Set();
+    for (const branch of candidates) {
+      this.spinner.updateMessage(`Checking ${branch} for unpushed commits...`);
+      const stats = await this.getCommitStats(branch, base);
+      this.commitStats.set(branch, stats);
+      if (this.verbose) {
+        const describe = (counts, name) =>
+          counts
+            ? `${counts.ahead} ahead/${counts.behind} behind ${name}`
+            : null;
+        const summary = [
+          describe(stats.upstream, "upstream"),
+          describe(stats.base, base),
+          `${stats.unpushed ?? "?"} unpushed`,
+        ].filter(Boolean);
+        this.spinner.debug(`${branch}: ${summary.join(", ")}`, this.verbose);
+      }
+      // A count that could not be computed is treated as at risk
+      if (this.verifiedMerged.has(branch) || stats.unpushed === 0) {
+        continue;
+      }
+
+      const reason =
+        stats.unpushed === null
+          ? "could not check for unpushed commits"
+          : `${stats.unpushed} commit(s) on no remote${base ? ` and not in ${base}` : ""}`;
+      let result = this.prResults.find((r) => r.branch === branch);
+      if (!result) {
+        result = { branch, icon: "🗑️", label: "Candidate" };
+        this.prResults.push(result);
+      }
+      result.atRisk = stats.unpushed;
+      if (this.allowUnpushed) {
+        const tip = await this.getBranchTip(branch);
+        if (tip) {
+          // git branch -d refuses unmerged work; pin the tip for a verified -D
+          this.forceDeleteTips.set(branch, tip);
+          result.reason = `${reason}; deleted with --allow-unpushed`;
+          continue;
+        }
+      }
+      Object.assign(result, {
+        icon: "📤",
+        label: "Unpushed",
+        reason: `${reason} (use --allow-unpushed to delete anyway)`,
+      });
+      kept.add(branch);
+    }
+
+    this.unpushedKept = this.branchesToDelete.filter((branch) =>
+      kept.has(branch),
+    );
+    this.branchesToDelete = this.branchesToDelete.filter(
+      (branch) => !kept.has(branch),
+    );
+    this.closedBranchesToDelete = this.closedBranchesToDelete.filter(
+      (branch) => !kept.has(branch),
+    );
+    this.staleBranchesToDelete = this.staleBranchesToDelete.filter(
+      (branch) => !kept.has(branch),
+    );
+  }
+
+  // Linked worktrees from `git worktree list --porcelain`
+  async getWorktrees() {
+    const output = await this.execCommand(
+      ["git", "worktree", "list", "--porcelain"],
+      { silent: true },
+    );
+    if (!output || output === "__TIMEOUT__") {
+      return [];
+    }
+    return output
+      .split(/\n\s*\n/)
+      .map((block) => {
+        const worktree = { path: null, branch: null, locked: false };
+        for (const line of block.split("\n")) {
+          const separator = line.indexOf(" ");
+          const key = separator === -1 ? line : line.slice(0, separator);
+          const value = separator === -1 ? "" : line.slice(separator + 1);
+          if (key === "worktree") {
+            worktree.path = value;
+          } else if (key === "branch") {
+            worktree.branch = value.replace(/^refs\/heads\//, "");
+          } else if (key === "locked") {
+            worktree.locked = true;
+          } else if (key === "prunable") {
+            worktree.prunable = true;
           }
-          const currentProgress = getNextDeletionProgress();
-          
-          this.spinner.updateMessage(
-            `Deleting branch ${currentProgress}/${totalToDelete}: ${branch}`,
+        }
+        return worktree;
+      })
+      .filter((worktree) => worktree.path);
+  }
+
+  // Why a worktree cannot be removed, or null when it is clean
+  async getWorktreeBlocker(worktree) {
+    if (worktree.locked) {
+      return "is locked";
+    }
+    const status = await this.execCommand(
+      ["git", "-C", worktree.path, "status", "--porcelain"],
+      { silent: true },
+    );
+    if (status === null || status === "__TIMEOUT__") {
+      return "could not be inspected";
+    }
+    return status === "" ? null : "has uncommitted changes";
+  }
+
+  // Branches checked out in another worktree cannot be deleted by
+  // `git branch -d`. They are shown as "In worktree" and kept, unless
+  // --remove-worktrees may remove their clean worktree first.
+  async applyWorktrees() {
+    const toplevel = await this.execCommand(
+      ["git", "rev-parse", "--show-toplevel"],
+      { silent: true },
+    );
+    const worktrees = new Map(
+      (await this.getWorktrees())
+        .filter(
+          (worktree) =>
+            worktree.branch &&
+            !worktree.prunable &&
+            worktree.path !== toplevel,
+        )
+        .map((worktree) => [worktree.branch, worktree]),
+    );
+    if (worktrees.size === 0) {
+      return;
+    }
+
+    const markInWorktree = (branch, reason) => {
+      const result = this.prResults.find((r) => r.branch === branch);
+      if (result) {
+        Object.assign(result, { icon: "🌲", label: "In worktree", reason });
+      }
+    };
+
+    const remaining = [];
+    for (const branch of this.branchesToDelete) {
+      const worktree = worktrees.get(branch);
+      if (!worktree) {
+        remaining.push(branch);
+        continue;
+      }
+      if (!this.removeWorktrees) {
+        markInWorktree(
+          branch,
+          `checked out in ${worktree.path} (use --remove-worktrees to remove it)`,
+        );
+        continue;
+      }
+      const blocker = await this.getWorktreeBlocker(worktree);
+      if (blocker) {
+        markInWorktree(
+          branch,
+          `checked out in ${worktree.path}, which ${blocker}`,
+        );
+        continue;
+      }
+      this.worktreesToRemove.set(branch, worktree.path);
+      remaining.push(branch);
+    }
+    this.branchesToDelete = remaining;
+
+    // Worktrees are only removed for merged branches
+    const notInWorktree = (branch) => {
+      const worktree = worktrees.get(branch);
+      if (worktree) {
+        markInWorktree(branch, `checked out in ${worktree.path}`);
+      }
+      return !worktree;
+    };
+    this.closedBranchesToDelete =
+      this.closedBranchesToDelete.filter(notInWorktree);
+    this.staleBranchesToDelete =
+      this.staleBranchesToDelete.filter(notInWorktree);
+  }
+
+  async removeWorktree(worktreePath) {
+    // Without --force, git refuses to remove a worktree with local changes
+    const result = await this.execCommand(
+      ["git", "worktree", "remove", worktreePath],
+      { silent: true },
+    );
+    return result !== null && result !== "__TIMEOUT__";
+  }
+
+  // Remote branch of each local branch: remote name and the ref on that
+  // remote. Branches without an upstream, with a local upstream or with a
+  // gone upstream have nothing to delete remotely. An upstream with another
+  // name (checkout -b feature origin/develop) is shared, so it is kept, as
+  // are protected branches and the remote's own default branch.
+  async getRemoteBranches(branches) {
+    const remoteBranches = [];
+    const seen = new Set();
+    const remoteHeads = new Map();
+    for (const branch of branches) {
+      const output = await this.execCommand(
+        [
+          "git",
+          "for-each-ref",
+          "--format=%(upstream:remotename)%09%(upstream:remoteref)%09%(upstream:track)",
+          `refs/heads/${branch}`,
+        ],
+        { silent: true },
+      );
+      if (!output || output === "__TIMEOUT__") {
+        continue;
+      }
+      const [remote, ref, track] = output.split("\t");
+      if (!remote || remote === "." || !ref || track === "[gone]") {
+        continue;
+      }
+      const remoteBranch = ref.replace(/^refs\/heads\//, "");
+      const name = `${remote}/${remoteBranch}`;
+      if (seen.has(name)) {
+        continue;
+      }
+      seen.add(name);
+
+      if (!remoteHeads.has(remote)) {
+        const head = await this.execCommand(
+          ["git", "symbolic-ref", "--quiet", `refs/remotes/${remote}/HEAD`],
+          { silent: true },
+        );
+        remoteHeads.set(
+          remote,
+          head && head !== "__TIMEOUT__"
+            ? head.replace(`refs/remotes/${remote}/`, "")
+            : null,
+        );
+      }
+      let reason;
+      if (remoteBranch !== branch) {
+        reason = `tracked by ${branch} under another name`;
+      } else if (remoteBranch === remoteHeads.get(remote)) {
+        reason = `default branch of ${remote}`;
+      } else {
+        reason = this.getProtection(remoteBranch);
+      }
+      if (reason) {
+        this.spinner.info(`Keeping remote branch ${name} (${reason})`);
+        continue;
+      }
+      // The delete is leased to the tip last fetched, so commits a teammate
+      // pushed since then are never thrown away
+      const sha = await this.execCommand(
+        ["git", "rev-parse", "--verify", "--quiet", `refs/remotes/${name}`],
+        { silent: true },
+      );
+      if (!sha || sha === "__TIMEOUT__") {
+        this.spinner.info(
+          `Keeping remote branch ${name} (no remote-tracking branch to compare against)`,
+        );
+        continue;
+      }
+      remoteBranches.push({ branch, remote, ref, name, sha });
+    }
+    return remoteBranches;
+  }
+
+  async deleteRemoteBranches(remoteBranches) {
+    if (remoteBranches.length === 0) {
+      return;
+    }
+    console.log(""); // Empty line for spacing
+
+    // Pushes are slow and hit the server, so they get their own small pool
+    const REMOTE_CONCURRENCY = 2;
+    const total = remoteBranches.length;
+    let nextIndex = 0;
+    const getNextRemoteBranch = () => {
+      if (nextIndex >= total) {
+        return null;
+      }
+      return remoteBranches[nextIndex++];
+    };
+    let deletedCount = 0;
+    const failed = [];
+
+    const remoteWorker = async () => {
+      while (true) {
+        const target = getNextRemoteBranch();
+        if (target === null) {
+          break;
+        }
+        this.spinner.updateMessage(`Deleting remote branch ${target.name}`);
+        this.spinner.start();
+
+        let result;
+        try {
+          result = await this.execCommand(
+            [
+              "git",
+              "push",
+              `--force-with-lease=${target.ref}:${target.sha}`,
+              target.remote,
+              "--delete",
+              target.ref,
+            ],
+            { silent: true, timeout: 60000 },
           );
-          this.spinner.start();
-
-          try {
-            const result = await this.execCommand(`git branch -d "${branch}"`, {
-              silent: true,
-            });
-            // Check if the command failed (returns null or "__TIMEOUT__" instead of throwing)
-            if (result === "__TIMEOUT__") {
-              addFailedBranch(branch);
-              this.spinner.stop();
-              this.spinner.log(
-                `❌ Failed to delete branch ${branch} (timeout)`,
-                colors.red,
-              );
-            } else if (result === null) {
-              // Command failed (non-timeout error)
-              addFailedBranch(branch);
-              this.spinner.stop();
-              this.spinner.log(
-                `❌ Failed to delete branch ${branch}`,
-                colors.red,
-              );
-            } else {
-              // Success - result is a non-empty string
-              incrementDeletedCount();
-              this.spinner.stop();
-              this.spinner.log(`✅ Deleted branch ${branch}`, colors.green);
-            }
-          } catch {
+        } catch {
+          result = null;
+        }
+        this.spinner.stop();
+        if (result === null || result === "__TIMEOUT__") {
+          failed.push(target.name);
+          this.spinner.log(
+            `❌ Failed to delete remote branch ${target.name}${result === "__TIMEOUT__" ? " (timeout)" : ""}`,
+            colors.red,
+          );
+        } else {
+          deletedCount++;
+          this.spinner.log(
+            `✅ Deleted remote branch ${target.name}`,
+            colors.green,
+          );
+        }
+      }
+    };
+
+    await Promise.all(
+      Array(Math.min(REMOTE_CONCURRENCY, total))
+        .fill(null)
+        .map(() => remoteWorker()),
+    );
+
+    if (failed.length === 0) {
+      this.spinner.success(
+        `Successfully deleted ${deletedCount} remote branches`,
+      );
+    } else {
+      this.spinner.warning(
+        `Deleted ${deletedCount} remote branches, ${failed.length} failed`,
+      );
+      this.recordOutcome(EXIT_CODES.SOME_FAILED);
+      failed.forEach((name) => {
+        this.spinner.log(`  Failed (remote): ${name}`, colors.red);
+      });
+    }
+  }
+
+  async deleteClosedBranches() {
+    let branches = this.closedBranchesToDelete;
+    console.log(""); // Empty line for spacing
+    if (this.dryRun) {
+      this.spinner.warning(
+        "DRY RUN — branches with closed, unmerged PRs eligible for deletion:",
+      );
+    } else {
+      this.spinner.error(
+        "The following branches have closed PRs that were never merged; their commits will be lost:",
+      );
+    }
+
+    // The warning comes first and nothing is ticked, so each branch is
+    // an explicit choice
+    if (this.interactive && !this.dryRun) {
+      branches = await this.pickBranches(
+        branches,
+        "Select the branches with closed, unmerged PRs to delete",
+        false,
+      );
+      if (!branches || branches.length === 0) {
+        this.spinner.info("Kept branches with closed PRs.");
+        return;
+      }
+    } else {
+      branches.forEach((branch) => {
+        this.spinner.log(`  🔒 ${branch}`, colors.red);
+      });
+    }
+
+    if (this.dryRun) {
+      this.spinner.info("Run without --dry-run to actually delete them.");
+      this.recordOutcome(EXIT_CODES.OK);
+      return;
+    }
+
+    const confirmed =
+      this.interactive ||
+      (await this.askConfirmation(
+        "Also delete these unmerged branches? (y/N): ",
+      ));
+    if (confirmed) {
+      console.log(""); // Empty line for spacing
+      await this.removeBranches(branches);
+    } else {
+      this.spinner.info("Kept branches with closed PRs.");
+    }
+  }
+
+  async deleteStaleBranches() {
+    let branches = this.staleBranchesToDelete;
+    console.log(""); // Empty line for spacing
+    if (this.dryRun) {
+      this.spinner.warning(
+        `DRY RUN — unmerged branches without activity for ${this.staleThreshold} eligible for deletion:`,
+      );
+    } else {
+      this.spinner.error(
+        `The following branches have had no activity for ${this.staleThreshold} and were never merged; their commits will be lost:`,
+      );
+    }
+
+    if (this.interactive && !this.dryRun) {
+      branches = await this.pickBranches(
+        branches,
+        "Select the stale branches to delete",
+        false,
+      );
+      if (!branches || branches.length === 0) {
+        this.spinner.info("Kept stale branches.");
+        return;
+      }
+    } else {
+      branches.forEach((branch) => {
+        const result = this.prResults.find((r) => r.branch === branch);
+        const age =
+          result && result.age !== undefined
+            ? ` (${formatAge(result.age)})`
+            : "";
+        this.spinner.log(`  💤 ${branch}${age}`, colors.red);
+      });
+    }
+
+    if (this.dryRun) {
+      this.spinner.info("Run without --dry-run to actually delete them.");
+      this.recordOutcome(EXIT_CODES.OK);
+      return;
+    }
+
+    const confirmed =
+      this.interactive ||
+      (await this.askConfirmation("Also delete these stale branches? (y/N): "));
+    if (confirmed) {
+      console.log(""); // Empty line for spacing
+      await this.removeBranches(branches);
+    } else {
+      this.spinner.info("Kept stale branches.");
+    }
+  }
+
+  async removeBranches(branches) {
+    // Concurrency limit for deletion as well
+    const DELETE_CONCURRENCY = 3;
+    let deletedCount = 0;
+    const failedBranchesSync = [];
+    const branchesToDeleteCopy = [...branches];
+    const totalToDelete = branches.length;
+    // Use atomic counter to avoid race conditions with concurrent workers
+    // The counter object ensures the increment operation is atomic
+    const deletionCounter = { value: 0 };
+    const getNextDeletionProgress = () => {
+      // Increment and return in a single synchronous operation
+      return ++deletionCounter.value;
+    };
+    
+    // Atomic function to get next branch index to avoid race conditions
+    let nextDeleteIndex = 0;
+    const getNextDeleteBranch = () => {
+      if (nextDeleteIndex >= branchesToDeleteCopy.length) {
+        return null;
+      }
+      return branchesToDeleteCopy[nextDeleteIndex++];
+    };
+    
+    // Synchronized function to add failed branch
+    const addFailedBranch = (branch) => {
+      failedBranchesSync.push(branch);
+    };
+    
+    // Synchronized function to record a deleted branch
+    const deletedBranches = [];
+    const incrementDeletedCount = (branch) => {
+      deletedCount++;
+      deletedBranches.push(branch);
+    };
+
+    const deletionWorker = async () => {
+      while (true) {
+        const branch = getNextDeleteBranch();
+        if (branch === null) {
+          break; // No more branches to process
+        }
+        const currentProgress = getNextDeletionProgress();
+        
+        this.spinner.updateMessage(
+          `Deleting branch ${currentProgress}/${totalToDelete}: ${branch}`,
+        );
+        this.spinner.start();
+
+        let journaled = false;
+        try {
+          if (this.archive && !(await this.archiveBranch(branch))) {
+            addFailedBranch(branch);
+            this.spinner.stop();
+            this.spinner.log(
+              `❌ Failed to archive branch ${branch}, not deleted`,
+              colors.red,
+            );
+            await this.sleep(50);
+            continue;
+          }
+          if (
+            this.worktreesToRemove.has(branch) &&
+            !(await this.removeWorktree(this.worktreesToRemove.get(branch)))
+          ) {
+            addFailedBranch(branch);
+            this.spinner.stop();
+            this.spinner.log(
+              `❌ Failed to remove worktree ${this.worktreesToRemove.get(branch)}, ${branch} not deleted`,
+              colors.red,
+            );
+            await this.sleep(50);
+            continue;
+          }
+          // Journaled right before its own delete, so a branch that is
+          // kept for any earlier reason never shows up as deleted
+          journaled = await this.recordDeletions([branch]);
+          if (!journaled) {
+            addFailedBranch(branch);
+            this.spinner.stop();
+            this.spinner.log(
+              `❌ Could not write the undo journal, ${branch} not deleted`,
+              colors.red,
+            );
+            await this.sleep(50);
+            continue;
+          }
+          const result = this.forceDeleteTips.has(branch)
+            ? await this.forceDeleteBranch(branch)
+            : await this.execCommand(["git", "branch", "-d", branch], {
+                silent: true,
+              });
+          // Check if the command failed (returns null or "__TIMEOUT__" instead of throwing)
+          if (result === null || result === "__TIMEOUT__") {
+            await this.recordFailedDeletion(branch);
+          }
+          if (result === "__TIMEOUT__") {
+            addFailedBranch(branch);
+            this.spinner.stop();
+            this.spinner.log(
+              `❌ Failed to delete branch ${branch} (timeout)`,
+              colors.red,
+            );
+          } else if (result === null) {
+            // Command failed (non-timeout error)
             addFailedBranch(branch);
             this.spinner.stop();
             this.spinner.log(
               `❌ Failed to delete branch ${branch}`,
               colors.red,
             );
+          } else {
+            // Success - result is a non-empty string
+            incrementDeletedCount(branch);
+            this.spinner.stop();
+            this.spinner.log(`✅ Deleted branch ${branch}`, colors.green);
           }
-          await this.sleep(50);
+        } catch {
+          if (journaled) {
+            await this.recordFailedDeletion(branch);
+          }
+          addFailedBranch(branch);
+          this.spinner.stop();
+          this.spinner.log(
+            `❌ Failed to delete branch ${branch}`,
+            colors.red,
+          );
         }
-      };
+        await this.sleep(50);
+      }
+    };
 
-      const workers = Array(Math.min(DELETE_CONCURRENCY, totalToDelete))
-        .fill(null)
-        .map(() => deletionWorker());
+    const workers = Array(Math.min(DELETE_CONCURRENCY, totalToDelete))
+      .fill(null)
+      .map(() => deletionWorker());
+
+    await Promise.all(workers);
+
+    // Final status
+    if (failedBranchesSync.length === 0) {
+      this.spinner.success(`Successfully deleted ${deletedCount} branches`);
+    } else {
+      this.spinner.warning(
+        `Deleted ${deletedCount} branches, ${failedBranchesSync.length} failed`,
+      );
+      failedBranchesSync.forEach((branch) => {
+        this.spinner.log(`  Failed: ${branch}`, colors.red);
+      });
+      this.recordOutcome(EXIT_CODES.SOME_FAILED);
+    }
+    if (deletedCount > 0) {
+      this.recordOutcome(EXIT_CODES.OK);
+    }
+    return deletedBranches;
+  }
+
+  // Full ref name for an archived branch, e.g. refs/archive/2024-05-01/feature
+  getArchiveRef(branch, date = new Date()) {
+    const name = this.archiveRef
+      .replace(/\{date\}/g, date.toISOString().slice(0, 10))
+      .replace(/\{branch\}/g, branch);
+    return name.startsWith("refs/") ? name : `refs/tags/${name}`;
+  }
+
+  // Fixed part of the archive namespace, used to list and prune archives
+  getArchivePrefix() {
+    const fixed = this.archiveRef.slice(0, this.archiveRef.indexOf("{"));
+    const prefix = fixed.slice(0, fixed.lastIndexOf("/") + 1);
+    return prefix.startsWith("refs/") ? prefix : `refs/tags/${prefix}`;
+  }
+
+  async archiveBranch(branch) {
+    const tip = await this.getBranchTip(branch);
+    if (!tip) {
+      return null;
+    }
+    const ref = this.getArchiveRef(branch);
+    // The empty old value makes update-ref refuse to overwrite an archive
+    const result = await this.execCommand(
+      ["git", "update-ref", "-m", `archive ${branch}`, ref, tip, ""],
+      { silent: true },
+    );
+    if (result === null || result === "__TIMEOUT__") {
+      this.spinner.debug(`Could not create ${ref}`, this.verbose);
+      return null;
+    }
+    return ref;
+  }
+
+  // Archived refs with their archive date: the {date} part of the name, or
+  // the commit date when the template has no {date}, which is only good
+  // enough for listing
+  async getArchives() {
+    const prefix = this.getArchivePrefix();
+    // Match the whole ref against the template, so a date inside the branch
+    // name is never taken for the archive date
+    const template = this.archiveRef.startsWith("refs/")
+      ? this.archiveRef
+      : `refs/tags/${this.archiveRef}`;
+    const pattern = new RegExp(
+      `^${template
+        .split(/(\{date\}|\{branch\})/)
+        .map((part) => {
+          if (part === "{date}") {
+            return "(\\d{4}-\\d{2}-\\d{2})";
+          }
+          if (part === "{branch}") {
+            return ".+";
+          }
+          return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        })
+        .join("")}$`,
+    );
+    const output = await this.execCommand(
+      [
+        "git",
+        "for-each-ref",
+        "--format=%(refname)%09%(objectname)%09%(committerdate:unix)",
+        prefix,
+      ],
+      { silent: true },
+    );
+    if (!output || output === "__TIMEOUT__") {
+      return [];
+    }
+    return output
+      .split("\n")
+      .filter((line) => line.trim() !== "")
+      .map((line) => {
+        const [ref, sha, committed] = line.split("\t");
+        const dated = ref.match(pattern);
+        const date =
+          dated && dated[1]
+            ? new Date(`${dated[1]}T00:00:00Z`)
+            : new Date(Number(committed) * 1000);
+        return { ref, sha, date };
+      });
+  }
+
+  async listArchives() {
+    const archives = await this.getArchives();
+    if (archives.length === 0) {
+      this.spinner.warning(
+        `No archived branches found under ${this.getArchivePrefix()}`,
+      );
+      return;
+    }
+    this.spinner.info(
+      `${archives.length} archived branch(es) under ${this.getArchivePrefix()}:`,
+    );
+    archives.forEach(({ ref, sha, date }) => {
+      this.spinner.log(
+        `  ${date.toISOString().slice(0, 10)}  ${sha.slice(0, 7)}  ${ref}`,
+      );
+    });
+  }
 
-      await Promise.all(workers);
+  async pruneArchives() {
+    const cutoff = Date.now() - this.pruneArchivesDays * 24 * 60 * 60 * 1000;
+    const expired = (await this.getArchives()).filter(
+      ({ date }) => date.getTime() < cutoff,
+    );
+    if (expired.length === 0) {
+      this.spinner.info(
+        `No archived branches older than ${this.pruneArchivesDays} days.`,
+      );
+      return;
+    }
+
+    if (this.dryRun) {
+      this.spinner.warning("DRY RUN — archives eligible for pruning:");
+    } else {
+      this.spinner.error(
+        `The following archives are older than ${this.pruneArchivesDays} days and will be deleted:`,
+      );
+    }
+    expired.forEach(({ ref }) => {
+      this.spinner.log(`  🗄️ ${ref}`, colors.red);
+    });
+    if (this.dryRun) {
+      this.spinner.info("Run without --dry-run to actually delete them.");
+      return;
+    }
+    if (!(await this.askConfirmation("Proceed with pruning? (y/N): "))) {
+      this.spinner.info("Cancelled.");
+      return;
+    }
 
-      // Final status
-      if (failedBranchesSync.length === 0) {
-        this.spinner.success(`Successfully deleted ${deletedCount} branches`);
+    let prunedCount = 0;
+    for (const { ref, sha } of expired) {
+      // Only delete the ref if it still points at the listed commit
+      const result = await this.execCommand(
+        ["git", "update-ref", "-d", ref, sha],
+        { silent: true },
+      );
+      if (result === null || result === "__TIMEOUT__") {
+        this.spinner.log(`❌ Failed to prune ${ref}`, colors.red);
       } else {
-        this.spinner.warning(
-          `Deleted ${deletedCount} branches, ${failedBranchesSync.length} failed`,
+        prunedCount++;
+      }
+    }
+    if (prunedCount === expired.length) {
+      this.spinner.success(`Pruned ${prunedCount} archived branches`);
+    } else {
+      this.spinner.warning(
+        `Pruned ${prunedCount} archived branches, ${expired.length - prunedCount} failed`,
+      );
+      this.recordOutcome(EXIT_CODES.SOME_FAILED);
+    }
+  }
+
+  async getJournalPath() {
+    const gitDir = await this.execCommand(
+      ["git", "rev-parse", "--git-common-dir"],
+      { silent: true },
+    );
+    if (!gitDir || gitDir === "__TIMEOUT__") {
+      return null;
+    }
+    return journal.getJournalPath(gitDir);
+  }
+
+  // Writes a journal entry for each branch right before it is deleted, so
+  // --restore can recreate it with its upstream
+  async recordDeletions(branches) {
+    const file = await this.getJournalPath();
+    if (!file) {
+      return false;
+    }
+    this.runId = this.runId || new Date().toISOString();
+
+    const entries = [];
+    for (const branch of branches) {
+      const output = await this.execCommand(
+        [
+          "git",
+          "for-each-ref",
+          "--format=%(objectname)%09%(upstream:short)%09%(upstream:remotename)%09%(upstream:remoteref)",
+          `refs/heads/${branch}`,
+        ],
+        { silent: true },
+      );
+      if (!output || output === "__TIMEOUT__") {
+        continue; // Already gone; git branch -d will report it
+      }
+      const [sha, upstream, remote, merge] = output.split("\t");
+      const pr = this.prHeads.get(branch);
+      entries.push({
+        runId: this.runId,
+        branch,
+        sha,
+        upstream: upstream || null,
+        remote: remote || null,
+        merge: merge || null,
+        prState: pr ? pr.state : null,
+        deletedAt: new Date().toISOString(),
+      });
+    }
+
+    try {
+      await journal.appendEntries(file, entries);
+    } catch (error) {
+      this.spinner.debug(
+        `Could not write ${file}: ${error.message}`,
+        this.verbose,
+      );
+      return false;
+    }
+    return true;
+  }
+
+  // Marks the journal entry of a branch whose delete failed, so restore
+  // does not offer a branch that still exists
+  async recordFailedDeletion(branch) {
+    const file = await this.getJournalPath();
+    if (!file) {
+      return;
+    }
+    try {
+      await journal.appendEntries(file, [
+        { runId: this.runId, branch, failed: true },
+      ]);
+    } catch (error) {
+      this.spinner.debug(
+        `Could not write ${file}: ${error.message}`,
+        this.verbose,
+      );
+    }
+  }
+
+  async restoreBranches() {
+    const file = await this.getJournalPath();
+    const entries = file ? await journal.readEntries(file) : [];
+    if (entries.length === 0) {
+      this.spinner.warning("No deleted branches recorded for this repository.");
+      return;
+    }
+
+    let selected;
+    if (this.restore.lastRun) {
+      const { runId } = entries[entries.length - 1];
+      selected = entries.filter((entry) => entry.runId === runId);
+    } else if (this.restore.branch) {
+      const matches = entries.filter(
+        (entry) => entry.branch === this.restore.branch,
+      );
+      if (matches.length === 0) {
+        this.spinner.error(
+          `No deleted branch named '${this.restore.branch}' in the journal.`,
         );
-        failedBranchesSync.forEach((branch) => {
-          this.spinner.log(`  Failed: ${branch}`, colors.red);
-        });
+        return;
       }
+      selected = [matches[matches.length - 1]];
     } else {
-      this.spinner.info("Cancelled.");
+      this.spinner.info("Recently deleted branches:");
+      entries.slice(-20).forEach((entry) => {
+        const upstream = entry.upstream ? ` → ${entry.upstream}` : "";
+        const pr = entry.prState ? ` [${entry.prState}]` : "";
+        this.spinner.log(
+          `  ${entry.deletedAt}  ${entry.branch} ${entry.sha.slice(0, 7)}${upstream}${pr}`,
+        );
+      });
+      this.spinner.info(
+        "Run with --restore <branch> or --restore --last-run to recreate them.",
+      );
+      return;
+    }
+
+    let restoredCount = 0;
+    const failed = [];
+    for (const entry of selected) {
+      if (await this.getBranchTip(entry.branch)) {
+        failed.push(entry.branch);
+        this.spinner.log(
+          `⚠️  Branch ${entry.branch} already exists, not restored`,
+          colors.yellow,
+        );
+        continue;
+      }
+      const created = await this.execCommand(
+        ["git", "branch", entry.branch, entry.sha],
+        { silent: true },
+      );
+      if (created === null || created === "__TIMEOUT__") {
+        failed.push(entry.branch);
+        this.spinner.log(
+          `❌ Could not restore ${entry.branch}: commit ${entry.sha.slice(0, 7)} is no longer available`,
+          colors.red,
+        );
+        continue;
+      }
+      if (entry.remote && entry.merge) {
+        await this.execCommand(
+          ["git", "config", `branch.${entry.branch}.remote`, entry.remote],
+          { silent: true },
+        );
+        await this.execCommand(
+          ["git", "config", `branch.${entry.branch}.merge`, entry.merge],
+          { silent: true },
+        );
+      }
+      restoredCount++;
+      const tracking = entry.upstream ? ` (tracking ${entry.upstream})` : "";
+      this.spinner.log(
+        `✅ Restored branch ${entry.branch} at ${entry.sha.slice(0, 7)}${tracking}`,
+        colors.green,
+      );
+    }
+
+    if (failed.length === 0) {
+      this.spinner.success(`Successfully restored ${restoredCount} branches`);
+    } else {
+      this.spinner.warning(
+        `Restored ${restoredCount} branches, ${failed.length} failed`,
+      );
+      this.recordOutcome(EXIT_CODES.SOME_FAILED);
     }
   }
 
+  // Force-deletes a squash/rebase-merged branch, but only when its tip is
+  // still the commit that was verified during detection
+  async forceDeleteBranch(branch) {
+    const expectedTip = this.forceDeleteTips.get(branch);
+    const currentTip = await this.getBranchTip(branch);
+    if (currentTip !== expectedTip) {
+      this.spinner.debug(
+        `Refusing to force-delete '${branch}': tip changed since it was checked`,
+        this.verbose,
+      );
+      return null;
+    }
+    return this.execCommand(["git", "branch", "-D", branch], { silent: true });
+  }
+
+  // Checklist of branches with their status; resolves with the chosen
+  // branches, or null when cancelled or when there is no terminal. Branches
+  // whose commits would be lost start unticked.
+  async pickBranches(branches, title, preselect = true) {
+    if (!process.stdin.isTTY) {
+      this.spinner.error("--interactive needs an interactive terminal.");
+      this.recordOutcome(EXIT_CODES.CONFIRMATION_REQUIRED);
+      return null;
+    }
+    const items = branches.map((branch) => {
+      const result = this.prResults.find((r) => r.branch === branch);
+      return {
+        value: branch,
+        label: result
+          ? `${result.icon} ${branch}  ${result.label}`
+          : `🗑️ ${branch}`,
+      };
+    });
+    return new Picker(items, {
+      title,
+      selected: preselect ? branches : [],
+    }).prompt();
+  }
+
   async askConfirmation(question) {
+    if (this.yes) {
+      return true;
+    }
+    // Scheduled jobs and pipes cannot answer; refuse rather than hang or
+    // read an answer meant for something else
+    if (!process.stdin.isTTY) {
+      this.spinner.error(
+        "Not a terminal, so confirmation cannot be asked. Run with --yes to proceed without it.",
+      );
+      this.recordOutcome(EXIT_CODES.CONFIRMATION_REQUIRED);
+      return false;
+    }
+
     const rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout,
@@ -622,30 +3431,72 @@ class GitCleanupTool {
 ${colors.bold}git-cleanup-merged${colors.reset} - Clean up merged Git branches
 
 ${colors.bold}USAGE:${colors.reset}
-    git-cleanup-merged [DIRECTORY] [OPTIONS]
+    git-cleanup-merged [OPTIONS] [DIRECTORY]
+    git-cleanup-merged <COMMAND> [OPTIONS] [DIRECTORY]
+
+${colors.bold}COMMANDS:${colors.reset}
+${Object.entries(COMMANDS)
+  .map(([name, command]) => `    ${name.padEnd(10)}${command.summary}`)
+  .join("\n")}
+
+    Each command only takes its own options; see git-cleanup-merged <COMMAND>
+    --help. Without a command, every option below is accepted and merged
+    branches are cleaned up.
 
 ${colors.bold}DIRECTORY (optional):${colors.reset}
     Path to a git repository to operate on. Defaults to the current directory if omitted.
 
 ${colors.bold}OPTIONS:${colors.reset}
-    -n, --dry-run         Show what would be deleted without actually deleting
-    -v, --verbose         Show detailed information during processing
-    -u, --untracked-only  Only process untracked local branches (no remote tracking branch)
-    -c, --count           Display branch count summary and exit (no deletion)
-    -V, --version         Show version information
-    -h, --help            Show this help message
+${formatHelp(OPTIONS)}
+
+    Short flags can be combined (-nv), values given as --option=value, and
+    flags turned off with --no-<flag>. Arguments after -- are not options.
 
 ${colors.bold}DESCRIPTION:${colors.reset}
-    This tool checks your local Git branches against GitHub PRs to find
-    branches that have been merged and are safe to delete locally.
+    This tool checks your local Git branches against GitHub PRs (or GitLab
+    merge requests with --provider gitlab) to find branches that have been
+    merged and are safe to delete locally.
+    
+    A merged PR only counts when the local branch tip is part of it. Branches
+    with commits after the PR's head (e.g. a reused branch name) are shown as
+    "Merged (diverged)" and kept unless --allow-diverged is given.
     
     When using --untracked-only, it will only process local branches that
     don't have a corresponding remote tracking branch.
 
+    When using --gone, it runs git fetch --all --prune and deletes branches
+    whose remote tracking branch no longer exists (shown as [gone]).
+
+    Every deleted branch is recorded (name, tip, upstream, PR state, time) in
+    .git/cleanup-merged/journal.jsonl before deletion, so --restore can bring
+    it back with its upstream tracking.
+
+    When using --local, it works offline: every local branch whose tip is
+    reachable from the default branch (detected, or set with --default-branch)
+    is treated as merged, like git branch --merged.
+
+${colors.bold}CONFIGURATION:${colors.reset}
+    protected, concurrency, timeout, provider and format can also be set in
+    (each overriding the one before, with the command line last):
+      ~/.config/git-cleanup-merged/config.json (or $XDG_CONFIG_HOME/...)
+      .git-cleanup-merged.json at the repository root
+      git config cleanup-merged.<setting>
+      GIT_CLEANUP_MERGED_<SETTING> environment variables
+    Protected patterns from every source are combined.
+
 ${colors.bold}REQUIREMENTS:${colors.reset}
     - Git repository
-    - GitHub CLI (gh) installed and authenticated (only for normal mode)
-    - Internet connection to check GitHub PR status (only for normal mode)
+    - GitHub CLI (gh) or GitLab CLI (glab) installed and authenticated (only for normal mode)
+    - Internet connection to check GitHub PR status (not needed with --local)
+
+${colors.bold}EXIT CODES:${colors.reset}
+    0  Branches deleted (or a dry run, count or listing completed)
+    1  Invalid arguments or unexpected error
+    2  Nothing to do: no eligible branches, or none confirmed
+    3  Some deletions failed
+    4  Provider CLI missing or not authenticated
+    5  Not a git repository
+    6  Confirmation needed but stdin is not a terminal (use --yes)
 
 ${colors.bold}EXAMPLES:${colors.reset}
     git-cleanup-merged                    # Clean up merged branches in current directory
@@ -656,55 +3507,126 @@ ${colors.bold}EXAMPLES:${colors.reset}
     git-cleanup-merged -u                 # Same as --untracked-only
     git-cleanup-merged --untracked-only --dry-run  # Preview untracked branches
     git-cleanup-merged -u -n              # Same as above with shorthand
+    git-cleanup-merged --local --dry-run  # Offline: preview branches merged into main
+    git-cleanup-merged --local --default-branch trunk  # Compare against trunk
+    git-cleanup-merged --include "dependabot/*" --yes  # Only dependency update branches
+    git-cleanup-merged --local --stale 90d  # Also offer branches untouched for 90 days
+    git-cleanup-merged --author me          # Only your own branches
+    git-cleanup-merged --gone             # Clean up branches whose upstream was deleted
+    git-cleanup-merged --gone --yes       # Same, without a prompt (scheduled jobs)
+    git-cleanup-merged --provider gitlab  # Check GitLab merge requests via glab
+    git-cleanup-merged --provider-host git.corp.example=gitlab  # Self-hosted GitLab
+    git-cleanup-merged --archive          # Keep merged branches under refs/archive/
+    git-cleanup-merged --prune-archives 90  # Drop archives older than 90 days
+    git-cleanup-merged --restore --last-run  # Recreate the branches deleted last time
+    git-cleanup-merged --print-config     # Show settings and where they came from
+    git-cleanup-merged list --local       # Show every branch's status, delete nothing
+    git-cleanup-merged clean -n ../repo   # Preview a cleanup of another repository
+    git-cleanup-merged restore --last-run # Same as --restore --last-run
+    git-cleanup-merged doctor             # Check the setup before a scheduled cleanup
+    git-cleanup-merged --restore feature  # Recreate a single deleted branch
     git-cleanup-merged --count            # Display branch count summary
     git-cleanup-merged -c                 # Same as --count
         `);
   }
 
+  showCommandHelp(name) {
+    const command = COMMANDS[name];
+    console.log(`
+${colors.bold}git-cleanup-merged ${name}${colors.reset} - ${command.summary}
+
+${colors.bold}USAGE:${colors.reset}
+    git-cleanup-merged ${name} [OPTIONS] ${command.usage}
+
+${colors.bold}OPTIONS:${colors.reset}
+${formatHelp(getCommandOptions(name))}
+        `);
+  }
+
+  // Returns 0 after --help or --version, EXIT_CODES.ERROR for invalid
+  // arguments, and undefined when the run should go ahead
   parseArguments() {
     const args = process.argv.slice(2);
-    // Check for a directory as the first positional argument (not a flag)
-    if (args[0] && !args[0].startsWith("-")) {
+    const command = Object.hasOwn(COMMANDS, args[0]) ? args[0] : null;
+    const definitions = command ? getCommandOptions(command) : OPTIONS;
+    const { values, positionals, error } = parseArgs(
+      command ? args.slice(1) : args,
+      definitions,
+    );
+    const helpHint = command
+      ? `Use ${command} --help for usage information.`
+      : "Use --help for usage information.";
+    if (error) {
+      this.spinner.error(error);
+      this.spinner.info(helpHint);
+      return EXIT_CODES.ERROR;
+    }
+    if (values.help) {
+      if (command) {
+        this.showCommandHelp(command);
+      } else {
+        this.showHelp();
+      }
+      return 0;
+    }
+    if (values.version) {
+      console.log(this.version);
+      return 0;
+    }
+    if (positionals.length > 1) {
+      this.spinner.error(`Unexpected argument: ${positionals[1]}`);
+      this.spinner.info(helpHint);
+      return EXIT_CODES.ERROR;
+    }
+    if (!command && values["last-run"] && !values.restore) {
+      this.spinner.error("--last-run only works with --restore");
+      return EXIT_CODES.ERROR;
+    }
+    // Without {date} in the name there is no record of when a branch was
+    // archived, and the commit date would prune recent archives of old work
+    if (
+      values["prune-archives"] !== undefined &&
+      values["archive-ref"] &&
+      !values["archive-ref"].includes("{date}")
+    ) {
+      this.spinner.error(
+        `--prune-archives needs {date} in the archive ref template: ${values["archive-ref"]}`,
+      );
+      return EXIT_CODES.ERROR;
+    }
+
+    // The repository to operate on, anywhere on the command line; restore
+    // takes a branch instead
+    if (positionals.length === 1 && command !== "restore") {
       try {
-        process.chdir(args[0]);
+        process.chdir(positionals[0]);
       } catch {
-        this.spinner.error(`Failed to change directory to: ${args[0]}`);
-        process.exit(1);
+        this.spinner.error(`Failed to change directory to: ${positionals[0]}`);
+        return EXIT_CODES.ERROR;
       }
-      args.shift();
     }
-    for (const arg of args) {
-      switch (arg) {
-        case "--dry-run":
-        case "-n":
-          this.dryRun = true;
-          break;
-        case "--verbose":
-        case "-v":
-          this.verbose = true;
-          break;
-        case "--untracked-only":
-        case "-u":
-          this.untrackedOnly = true;
-          break;
-        case "--count":
-        case "-c":
-          this.countOnly = true;
-          break;
-        case "--version":
-        case "-V":
-          console.log(this.version);
-          return 0;
-        case "--help":
-        case "-h":
-          this.showHelp();
-          return 0;
-        default:
-          this.spinner.error(`Unknown option: ${arg}`);
-          this.spinner.info("Use --help for usage information.");
-          process.exit(1);
+    for (const option of definitions) {
+      const value = values[option.name];
+      if (value === undefined) {
+        continue;
+      }
+      if (option.set) {
+        option.set(this, value);
+      } else if (option.property) {
+        this[option.property] = value;
       }
     }
+
+    this.command = command;
+    if (command === "count") {
+      this.countOnly = true;
+    } else if (command === "restore") {
+      this.restore = { branch: positionals[0] ?? null, lastRun: false };
+    }
+    if (values["last-run"]) {
+      this.restore.lastRun = true;
+    }
+    this.argumentsParsed = true;
   }
 
   async run() {
@@ -715,14 +3637,43 @@ ${colors.bold}EXAMPLES:${colors.reset}
       "\x1b[34m",
     );
     try {
-      const parseResult = this.parseArguments();
-      // If parseArguments returns 0, it means --version or --help was requested
-      // Exit early without executing the main cleanup logic
-      if (parseResult === 0) {
+      // The CLI entry point parses before run(); parsing again would change
+      // to a relative directory twice
+      const parseResult = this.argumentsParsed
+        ? undefined
+        : this.parseArguments();
+      // 0 after --help or --version, an error code for invalid arguments
+      if (parseResult !== undefined) {
+        this.exitCode = parseResult;
+        return;
+      }
+      await this.loadConfig();
+      if (this.printConfig) {
+        this.showConfig();
+        return;
+      }
+      if (this.command === "doctor") {
+        await this.doctor();
         return;
       }
       await this.checkDependencies();
+
+      if (this.restore) {
+        await this.restoreBranches();
+        return;
+      }
+      if (this.listArchivesOnly) {
+        await this.listArchives();
+        return;
+      }
+      if (this.pruneArchivesDays !== null) {
+        await this.pruneArchives();
+        return;
+      }
+
+      await this.loadAuthorFilter();
       await this.getCurrentBranch();
+      await this.showDefaultBranch();
 
       // Handle count-only mode and exit early
       if (this.countOnly) {
@@ -732,17 +3683,33 @@ ${colors.bold}EXAMPLES:${colors.reset}
 
       if (this.untrackedOnly) {
         await this.checkUntrackedBranches();
+      } else if (this.goneOnly) {
+        await this.checkGoneBranches();
+      } else if (this.localMode) {
+        await this.checkLocalBranches();
       } else {
         await this.checkBranches();
       }
 
+      this.addProtectedResults();
+      await this.applyStale();
+      await this.applyUnpushedCommits();
+      await this.applyWorktrees();
       this.displayResults();
+      // list only shows the results
+      if (this.command === "list") {
+        return;
+      }
       await this.deleteBranches();
     } catch (error) {
       this.spinner.error(`An error occurred: ${error.message}`);
-      process.exit(1);
+      process.exit(EXIT_CODES.ERROR);
+    } finally {
+      process.exitCode = this.exitCode;
     }
   }
 }
 
+GitCleanupTool.EXIT_CODES = EXIT_CODES;
+
 module.exports = GitCleanupTool;
@@ -0,0 +1,83 @@
+/**
+ * Parse a git remote URL into its host and repository path.
+ *
+ * Handles URL forms (https://, ssh://, git://, with optional user and port)
+ * and scp-like SSH forms (git@host:owner/repo.git). `insteadOf` rewrites are
+ * expanded by `git remote get-url` before the URL reaches this function.
+ *
+ * @param {string} url
+ * @returns {{host: string, path: string}|null} `null` for local paths
+ */
+function parseRemoteUrl(url) {
+  const value = (url || "").trim();
+  if (!value) {
+    return null;
+  }
+
+  const cleanPath = (path) => path.replace(/^\/+/, "").replace(/\.git\/?$/, "");
+
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    try {
+      const parsed = new URL(value);
+      if (!parsed.hostname) {
+        return null;
+      }
+      return {
+        host: parsed.hostname.toLowerCase(),
+        path: cleanPath(decodeURIComponent(parsed.pathname)),
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  // scp-like syntax: [user@]host:path (a single letter is a Windows drive)
+  const scp = value.match(/^(?:[^@/]+@)?([^:/\\]{2,}):(?!\/\/)(.+)$/);
+  if (scp) {
+    return { host: scp[1].toLowerCase(), path: cleanPath(scp[2]) };
+  }
+
+  return null;
+}
+
+/**
+ * Map a remote host to a provider name.
+ *
+ * @param {string} host - Lower-case host name from parseRemoteUrl()
+ * @param {Object<string, string>} [overrides] - host -> provider table for
+ *   self-hosted instances; consulted before the built-in rules
+ * @returns {string|null} "github", "gitlab" or `null` when unknown
+ */
+function detectProvider(host, overrides = {}) {
+  if (!host) {
+    return null;
+  }
+  const normalized = host.toLowerCase();
+
+  for (const [overrideHost, provider] of Object.entries(overrides)) {
+    if (overrideHost.toLowerCase() === normalized) {
+      return provider;
+    }
+  }
+
+  const matchesDomain = (domain) =>
+    normalized === domain || normalized.endsWith(`.${domain}`);
+
+  if (matchesDomain("github.com") || matchesDomain("ghe.com")) {
+    return "github";
+  }
+  if (matchesDomain("gitlab.com")) {
+    return "gitlab";
+  }
+  // Self-hosted instances are commonly named github.corp.example or
+  // gitlab.example.org; anything else needs an explicit override
+  if (/(^|[.-])github([.-]|$)/.test(normalized)) {
+    return "github";
+  }
+  if (/(^|[.-])gitlab([.-]|$)/.test(normalized)) {
+    return "gitlab";
+  }
+  return null;
+}
+
+module.exports = { parseRemoteUrl, detectProvider };
@@ -0,0 +1,154 @@
+const { buildStatusIndex } = require("./states");
+
+/**
+ * GitHub provider backed by the GitHub CLI (`gh`).
+ *
+ * Every method resolves with the raw exec result conventions used across the
+ * tool: a string on success, `null` on failure and `"__TIMEOUT__"` on timeout.
+ */
+class GitHubProvider {
+  /**
+   * @param {(argv: string[], options?: object) => Promise<string|null>} exec
+   */
+  constructor(exec) {
+    this.exec = exec;
+    this.name = "github";
+    this.displayName = "GitHub";
+    this.cli = "gh";
+    this.installUrl = "https://cli.github.com/";
+    this.loginCommand = "gh auth login";
+  }
+
+  async checkInstalled() {
+    return this.exec(["gh", "--version"], { silent: true });
+  }
+
+  async checkAuth() {
+    return this.exec(["gh", "auth", "status"], { silent: true });
+  }
+
+  /**
+   * Login of the authenticated user.
+   * @returns {Promise<string|null>} `null` when it could not be fetched
+   */
+  async getCurrentUser() {
+    const output = await this.exec(["gh", "api", "user", "--jq", ".login"], {
+      silent: true,
+      timeout: 10000,
+    });
+    return output && output !== "__TIMEOUT__" ? output : null;
+  }
+
+  /**
+   * Default branch of the repository on GitHub.
+   * @returns {Promise<string|null>} `null` when it could not be fetched
+   */
+  async getDefaultBranch() {
+    const output = await this.exec(
+      [
+        "gh",
+        "repo",
+        "view",
+        "--json",
+        "defaultBranchRef",
+        "--jq",
+        ".defaultBranchRef.name",
+      ],
+      { silent: true, timeout: 10000 },
+    );
+    return output && output !== "__TIMEOUT__" ? output : null;
+  }
+
+  /**
+   * Look up the PR for a branch.
+   * @param {string} branch
+   * @returns {Promise<{number: number, state: string, headOid: string}|null|string>}
+   *   `null` when there is no PR, `"__TIMEOUT__"` on timeout
+   */
+  async getPullRequest(branch) {
+    const output = await this.exec(
+      ["gh", "pr", "view", branch, "--json", "number,state,headRefOid"],
+      { silent: true, timeout: 10000 }, // 10s timeout for PR status
+    );
+    if (output === null || output === "__TIMEOUT__") {
+      return output;
+    }
+    try {
+      // gh already reports the normalized MERGED/CLOSED/OPEN states
+      const pr = JSON.parse(output);
+      return { number: pr.number, state: pr.state, headOid: pr.headRefOid };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * List the commit SHAs of a PR.
+   * @param {number} number
+   * @returns {Promise<string[]|null>} `null` when the list could not be fetched
+   */
+  async getCommits(number) {
+    const output = await this.exec(
+      [
+        "gh",
+        "pr",
+        "view",
+        String(number),
+        "--json",
+        "commits",
+        "--jq",
+        ".commits[].oid",
+      ],
+      { silent: true, timeout: 10000 },
+    );
+    if (output === null || output === "__TIMEOUT__") {
+      return null;
+    }
+    return output.split("\n").filter(Boolean);
+  }
+
+  /**
+   * Fetch the PRs of the repository in one query (gh paginates internally).
+   * Entries carry the author's login.
+   * @param {number} [limit] - Maximum number of PRs to fetch
+   * @returns {Promise<{statuses: Map<string, string>, pullRequests: Map<string, object>, complete: boolean}|null>}
+   *   `null` when the list could not be fetched; `pullRequests` holds the
+   *   entry each state was taken from
+   */
+  async listStatuses(limit = 1000) {
+    const output = await this.exec(
+      [
+        "gh",
+        "pr",
+        "list",
+        "--state",
+        "all",
+        "--limit",
+        String(limit),
+        "--json",
+        "headRefName,state,number,headRefOid,author",
+      ],
+      { silent: true, timeout: 60000 }, // Large histories take several pages
+    );
+    if (output === null || output === "__TIMEOUT__") {
+      return null;
+    }
+    try {
+      const prs = JSON.parse(output);
+      return buildStatusIndex(
+        prs.map((pr) => ({
+          branch: pr.headRefName,
+          state: pr.state,
+          number: pr.number,
+          headOid: pr.headRefOid,
+          author: pr.author ? pr.author.login : null,
+        })),
+        prs.length < limit,
+      );
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = GitHubProvider;
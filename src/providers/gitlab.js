@@ -0,0 +1,183 @@
+const { PR_STATES, buildStatusIndex } = require("./states");
+
+// GitLab merge request states mapped onto the normalized PR states
+const STATE_MAP = {
+  opened: PR_STATES.OPEN,
+  locked: PR_STATES.OPEN,
+  merged: PR_STATES.MERGED,
+  closed: PR_STATES.CLOSED,
+};
+
+// The GitLab API never returns more than 100 merge requests per page
+const PAGE_SIZE = 100;
+
+/**
+ * GitLab provider backed by the GitLab CLI (`glab`).
+ *
+ * Follows the same result conventions as the GitHub provider so the tool can
+ * treat both interchangeably.
+ */
+class GitLabProvider {
+  /**
+   * @param {(argv: string[], options?: object) => Promise<string|null>} exec
+   */
+  constructor(exec) {
+    this.exec = exec;
+    this.name = "gitlab";
+    this.displayName = "GitLab";
+    this.cli = "glab";
+    this.installUrl = "https://gitlab.com/gitlab-org/cli";
+    this.loginCommand = "glab auth login";
+  }
+
+  async checkInstalled() {
+    return this.exec(["glab", "--version"], { silent: true });
+  }
+
+  async checkAuth() {
+    return this.exec(["glab", "auth", "status"], { silent: true });
+  }
+
+  /**
+   * Username of the authenticated user.
+   * @returns {Promise<string|null>} `null` when it could not be fetched
+   */
+  async getCurrentUser() {
+    const output = await this.exec(["glab", "api", "user"], {
+      silent: true,
+      timeout: 10000,
+    });
+    if (output === null || output === "__TIMEOUT__") {
+      return null;
+    }
+    try {
+      return JSON.parse(output).username || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Default branch of the project on GitLab.
+   * @returns {Promise<string|null>} `null` when it could not be fetched
+   */
+  async getDefaultBranch() {
+    const output = await this.exec(
+      ["glab", "repo", "view", "--output", "json"],
+      {
+        silent: true,
+        timeout: 10000,
+      },
+    );
+    if (output === null || output === "__TIMEOUT__") {
+      return null;
+    }
+    try {
+      return JSON.parse(output).default_branch || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Look up the merge request for a branch.
+   * @param {string} branch
+   * @returns {Promise<{number: number, state: string, headOid: string}|null|string>}
+   *   `null` when there is none or its state is unknown, `"__TIMEOUT__"` on timeout
+   */
+  async getPullRequest(branch) {
+    const output = await this.exec(
+      ["glab", "mr", "view", branch, "--output", "json"],
+      { silent: true, timeout: 10000 }, // 10s timeout for MR status
+    );
+    if (output === null || output === "__TIMEOUT__") {
+      return output;
+    }
+    try {
+      const mr = JSON.parse(output);
+      const state = STATE_MAP[mr.state];
+      return state ? { number: mr.iid, state, headOid: mr.sha } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * List the commit SHAs of a merge request.
+   * @param {number} iid
+   * @returns {Promise<string[]|null>} `null` when the list could not be fetched
+   */
+  async getCommits(iid) {
+    // A single page is enough to find a recent tip; longer histories are
+    // treated as not matching, which keeps the branch
+    const output = await this.exec(
+      [
+        "glab",
+        "api",
+        `projects/:fullpath/merge_requests/${iid}/commits?per_page=100`,
+      ],
+      { silent: true, timeout: 10000 },
+    );
+    if (output === null || output === "__TIMEOUT__") {
+      return null;
+    }
+    try {
+      return JSON.parse(output).map((commit) => commit.id);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Fetch the merge requests of the project page by page. Entries carry the
+   * author's username.
+   * @param {number} [limit] - Maximum number of merge requests to fetch
+   * @returns {Promise<{statuses: Map<string, string>, pullRequests: Map<string, object>, complete: boolean}|null>}
+   *   `null` when the list could not be fetched; `pullRequests` holds the
+   *   entry each state was taken from
+   */
+  async listStatuses(limit = 1000) {
+    const requests = [];
+    for (let page = 1; requests.length < limit; page++) {
+      const output = await this.exec(
+        [
+          "glab",
+          "mr",
+          "list",
+          "--all",
+          "--page",
+          String(page),
+          "--per-page",
+          String(PAGE_SIZE),
+          "--output",
+          "json",
+        ],
+        { silent: true, timeout: 30000 },
+      );
+      if (output === null || output === "__TIMEOUT__") {
+        return null;
+      }
+      let mrs;
+      try {
+        mrs = JSON.parse(output);
+      } catch {
+        return null;
+      }
+      for (const mr of mrs) {
+        requests.push({
+          branch: mr.source_branch,
+          state: STATE_MAP[mr.state],
+          number: mr.iid,
+          headOid: mr.sha,
+          author: mr.author ? mr.author.username : null,
+        });
+      }
+      if (mrs.length < PAGE_SIZE) {
+        return buildStatusIndex(requests, true);
+      }
+    }
+    return buildStatusIndex(requests, false);
+  }
+}
+
+module.exports = GitLabProvider;
@@ -0,0 +1,30 @@
+const GitHubProvider = require("./github");
+const GitLabProvider = require("./gitlab");
+const { PR_STATES } = require("./states");
+const { parseRemoteUrl, detectProvider } = require("./detect");
+
+const PROVIDERS = {
+  github: GitHubProvider,
+  gitlab: GitLabProvider,
+};
+
+/**
+ * Create a hosting provider by name.
+ * @param {string} name - "github" or "gitlab"
+ * @param {(argv: string[], options?: object) => Promise<string|null>} exec
+ * @returns {GitHubProvider|GitLabProvider|null} `null` for unknown names
+ */
+function createProvider(name, exec) {
+  const Provider = PROVIDERS[name];
+  return Provider ? new Provider(exec) : null;
+}
+
+module.exports = {
+  createProvider,
+  PROVIDER_NAMES: Object.keys(PROVIDERS),
+  PR_STATES,
+  parseRemoteUrl,
+  detectProvider,
+  GitHubProvider,
+  GitLabProvider,
+};
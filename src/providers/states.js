@@ -0,0 +1,42 @@
+// Normalized pull/merge request states shared by every hosting provider
+const PR_STATES = Object.freeze({
+  MERGED: "MERGED",
+  CLOSED: "CLOSED",
+  OPEN: "OPEN",
+});
+
+// When a branch has several PRs, an open one wins (the branch is still in
+// use), then a merged one, then a closed one
+const STATE_PRIORITY = {
+  [PR_STATES.OPEN]: 3,
+  [PR_STATES.MERGED]: 2,
+  [PR_STATES.CLOSED]: 1,
+};
+
+/**
+ * Build a branch -> state index from a list of pull/merge requests.
+ * @param {{branch: string, state: string, number?: number, headOid?: string, author?: string|null}[]} requests
+ *   Normalized entries; entries with an unknown state are ignored
+ * @param {boolean} complete - Whether the list covers every PR of the
+ *   repository; when it does not, missing branches must be looked up one by one
+ * @returns {{statuses: Map<string, string>, pullRequests: Map<string, object>, complete: boolean}}
+ *   `pullRequests` holds the entry each state was taken from
+ */
+function buildStatusIndex(requests, complete) {
+  const statuses = new Map();
+  const pullRequests = new Map();
+  for (const request of requests) {
+    const { branch, state } = request;
+    if (!branch || !STATE_PRIORITY[state]) {
+      continue;
+    }
+    const current = statuses.get(branch);
+    if (!current || STATE_PRIORITY[state] > STATE_PRIORITY[current]) {
+      statuses.set(branch, state);
+      pullRequests.set(branch, request);
+    }
+  }
+  return { statuses, pullRequests, complete };
+}
+
+module.exports = { PR_STATES, buildStatusIndex };
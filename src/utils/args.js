@@ -0,0 +1,182 @@
+// Column where option descriptions start in the help text, and its width
+const HELP_INDENT = 4;
+const HELP_COLUMN = 26;
+const HELP_WIDTH = 80;
+
+/**
+ * An option the command line accepts.
+ *
+ * Options without `value` are flags: `--flag` sets true and `--no-flag`
+ * false. Options with a `value` take it as `--name value`, `--name=value`,
+ * `-x value` or `-xvalue`.
+ *
+ * @typedef {object} OptionDefinition
+ * @property {string} name - Long name without dashes, e.g. `dry-run`
+ * @property {string} [short] - Single-letter alias, e.g. `n`
+ * @property {string} [value] - Placeholder shown in the help, e.g. `<name>`
+ * @property {boolean} [optionalValue] - The value may be left out; the next
+ *   argument is only taken when it is not an option
+ * @property {boolean} [repeatable] - Collect every occurrence in an array
+ * @property {function(string): *} [parse] - Validate and convert a value;
+ *   throws an Error whose message is shown to the user
+ * @property {string} description
+ */
+
+function isOption(arg) {
+  return arg !== undefined && arg.startsWith("-") && arg !== "-";
+}
+
+/**
+ * Parse command line arguments against option definitions.
+ *
+ * Short flags can be combined (`-nv`), options and positional arguments can
+ * come in any order, and everything after `--` is positional. The last
+ * occurrence of an option wins unless it is repeatable. Nothing is thrown:
+ * problems are reported through `error`.
+ *
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @param {OptionDefinition[]} definitions
+ * @returns {{values: object, positionals: string[], error: string|null}}
+ *   `values` is keyed by long name and only has the options that were given;
+ *   an optional value that was left out is `true`
+ */
+function parseArgs(argv, definitions) {
+  const byName = new Map(definitions.map((option) => [option.name, option]));
+  const byShort = new Map(
+    definitions
+      .filter((option) => option.short)
+      .map((option) => [option.short, option]),
+  );
+  const values = {};
+  const positionals = [];
+
+  const store = (option, value) => {
+    values[option.name] = option.repeatable
+      ? [...(values[option.name] || []), value]
+      : value;
+  };
+  // Validate and store an option's value; `raw` is undefined when missing
+  const take = (option, raw, label) => {
+    if (raw === undefined || raw === "") {
+      if (!option.optionalValue) {
+        throw new Error(`Option ${label} needs a value (${option.value})`);
+      }
+      store(option, true);
+      return;
+    }
+    store(option, option.parse ? option.parse(raw) : raw);
+  };
+
+  try {
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      if (arg === "--") {
+        positionals.push(...argv.slice(i + 1));
+        break;
+      }
+
+      if (arg.startsWith("--")) {
+        const separator = arg.indexOf("=");
+        const name = arg.slice(2, separator === -1 ? undefined : separator);
+        const option = byName.get(name);
+        const label = `--${name}`;
+        if (!option) {
+          const negated = name.startsWith("no-") && byName.get(name.slice(3));
+          if (negated && !negated.value && separator === -1) {
+            store(negated, false);
+            continue;
+          }
+          throw new Error(`Unknown option: ${label}`);
+        }
+        if (separator !== -1) {
+          if (!option.value) {
+            throw new Error(`Option ${label} does not take a value`);
+          }
+          take(option, arg.slice(separator + 1), label);
+        } else if (!option.value) {
+          store(option, true);
+        } else {
+          take(option, isOption(argv[i + 1]) ? undefined : argv[++i], label);
+        }
+        continue;
+      }
+
+      if (isOption(arg)) {
+        for (let j = 1; j < arg.length; j++) {
+          const option = byShort.get(arg[j]);
+          if (!option) {
+            throw new Error(`Unknown option: -${arg[j]}`);
+          }
+          if (!option.value) {
+            store(option, true);
+            continue;
+          }
+          // The rest of the group, or else the next argument, is the value
+          const rest = arg.slice(j + 1);
+          const next = isOption(argv[i + 1]) ? undefined : argv[i + 1];
+          if (!rest && next !== undefined) {
+            i++;
+          }
+          take(option, rest || next, `-${arg[j]}`);
+          break;
+        }
+        continue;
+      }
+
+      positionals.push(arg);
+    }
+  } catch (error) {
+    return { values, positionals, error: error.message };
+  }
+  return { values, positionals, error: null };
+}
+
+// Split text into lines of at most `width` characters, at spaces
+function wrap(text, width) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/)) {
+    if (line && line.length + 1 + word.length > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  lines.push(line);
+  return lines;
+}
+
+/**
+ * Help text for option definitions: one entry per option, with its
+ * description wrapped into a column.
+ *
+ * @param {OptionDefinition[]} definitions
+ * @returns {string}
+ */
+function formatHelp(definitions) {
+  const indent = " ".repeat(HELP_INDENT);
+  const column = " ".repeat(HELP_COLUMN);
+  const lines = [];
+  for (const option of definitions) {
+    let usage = option.short
+      ? `-${option.short}, --${option.name}`
+      : `--${option.name}`;
+    if (option.value) {
+      usage += option.optionalValue ? ` [${option.value}]` : ` ${option.value}`;
+    }
+    const description = wrap(option.description, HELP_WIDTH - HELP_COLUMN);
+    // Long usages get a line of their own
+    if (HELP_INDENT + usage.length < HELP_COLUMN) {
+      lines.push(
+        `${indent}${usage.padEnd(HELP_COLUMN - HELP_INDENT)}${description.shift()}`,
+      );
+    } else {
+      lines.push(`${indent}${usage}`);
+    }
+    lines.push(...description.map((line) => `${column}${line}`));
+  }
+  return lines.join("\n");
+}
+
+module.exports = { parseArgs, formatHelp };
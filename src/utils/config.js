@@ -0,0 +1,269 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { compilePattern } = require("./patterns");
+const { PROVIDER_NAMES } = require("../providers");
+
+// Committed at the repository root, so the whole team shares it
+const REPO_CONFIG_FILE = ".git-cleanup-merged.json";
+
+// Prefix of the environment variables, e.g. GIT_CLEANUP_MERGED_TIMEOUT
+const ENV_PREFIX = "GIT_CLEANUP_MERGED_";
+
+/**
+ * Settings that can come from any configuration layer.
+ *
+ * Each has a default and a parser that validates raw values (strings from
+ * git config, the environment or the command line, or JSON values from
+ * files). `protected` is a list that grows with
+ * every layer, since a pattern protected anywhere must stay protected; the
+ * other settings are replaced by later layers.
+ */
+const SETTINGS = {
+  protected: {
+    default: ["main", "master"],
+    merge: true,
+    parse: parsePatterns,
+  },
+  concurrency: {
+    default: 5,
+    parse: (value) => parseInteger(value, 1, 50),
+  },
+  // Seconds before any git or provider command is given up; by default each
+  // command has its own timeout
+  timeout: {
+    default: null,
+    parse: (value) => parseInteger(value, 1, 3600),
+  },
+  provider: {
+    default: "auto",
+    parse: (value) => parseChoice(value, ["auto", ...PROVIDER_NAMES]),
+  },
+  // How the results are shown: an aligned table, or tab-separated lines
+  format: {
+    default: "table",
+    parse: (value) => parseChoice(value, ["table", "plain"]),
+  },
+};
+
+function parsePatterns(patterns) {
+  if (!Array.isArray(patterns)) {
+    throw new Error("must be a list of patterns");
+  }
+  for (const pattern of patterns) {
+    try {
+      compilePattern(pattern);
+    } catch (error) {
+      throw new Error(`contains an ${error.message}`, { cause: error });
+    }
+  }
+  return patterns;
+}
+
+function parseInteger(value, min, max) {
+  const number = typeof value === "string" ? Number(value.trim()) : value;
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+function parseChoice(value, choices) {
+  if (!choices.includes(value)) {
+    throw new Error(`must be one of ${choices.join(", ")}`);
+  }
+  return value;
+}
+
+/**
+ * Validate a raw value for a setting.
+ * @param {string} name - Key of SETTINGS
+ * @param {*} value
+ * @param {string} source - Where the value came from, for the error message
+ * @returns {*} The parsed value
+ * @throws {Error} `<source>: <name> <reason>` when the value is invalid
+ */
+function parseSetting(name, value, source) {
+  try {
+    return SETTINGS[name].parse(value);
+  } catch (error) {
+    throw new Error(`${source}: ${name} ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Path of the repository config file.
+ * @param {string} toplevel - Output of `git rev-parse --show-toplevel`
+ * @returns {string}
+ */
+function getRepoConfigPath(toplevel) {
+  return path.join(toplevel, REPO_CONFIG_FILE);
+}
+
+/**
+ * Path of the user config file, following the XDG base directory spec.
+ * @param {object} [env]
+ * @returns {string}
+ */
+function getUserConfigPath(env = process.env) {
+  const base = env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(base, "git-cleanup-merged", "config.json");
+}
+
+/**
+ * Read a JSON config file.
+ * @param {string} file
+ * @returns {Promise<object>} An empty object when the file does not exist
+ * @throws {Error} When the file is not valid JSON or not a JSON object
+ */
+async function readConfigFile(file) {
+  let content;
+  try {
+    content = await fs.promises.readFile(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return {};
+    }
+    throw error;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`, {
+      cause: error,
+    });
+  }
+  if (config === null || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`${file} must contain a JSON object`);
+  }
+  return config;
+}
+
+/**
+ * A layer holds the settings one source defines, each with its own source
+ * label so merged lists can tell where every entry came from.
+ * @typedef {{values: object, sources: object}} ConfigLayer
+ */
+
+/**
+ * Layer from a parsed config file; keys that are not settings are ignored.
+ * @param {object} fileConfig - From readConfigFile()
+ * @param {string} source - e.g. `repo config (/path/.git-cleanup-merged.json)`
+ * @returns {ConfigLayer}
+ * @throws {Error} When a setting has an invalid value
+ */
+function layerFromFile(fileConfig, source) {
+  const layer = { values: {}, sources: {} };
+  for (const name of Object.keys(SETTINGS)) {
+    if (fileConfig[name] !== undefined) {
+      layer.values[name] = parseSetting(name, fileConfig[name], source);
+      layer.sources[name] = source;
+    }
+  }
+  return layer;
+}
+
+/**
+ * Layer from `git config --get-regexp ^cleanup-merged\.` output. Only the
+ * `cleanup-merged.<setting>` keys are read; `protected` may be repeated.
+ * @param {string} output - `key value` lines
+ * @returns {ConfigLayer}
+ * @throws {Error} When a setting has an invalid value
+ */
+function layerFromGitConfig(output) {
+  const layer = { values: {}, sources: {} };
+  for (const line of output.split("\n")) {
+    const match = line.match(/^cleanup-merged\.([a-z]+)(?:\s+(.*))?$/i);
+    const name = match && match[1].toLowerCase();
+    if (!name || !SETTINGS[name]) {
+      continue;
+    }
+    const source = `git config (cleanup-merged.${name})`;
+    const value = (match[2] || "").trim();
+    if (SETTINGS[name].merge) {
+      layer.values[name] = [
+        ...(layer.values[name] || []),
+        ...parseSetting(name, [value], source),
+      ];
+    } else {
+      layer.values[name] = parseSetting(name, value, source);
+    }
+    layer.sources[name] = source;
+  }
+  return layer;
+}
+
+/**
+ * Layer from `GIT_CLEANUP_MERGED_<SETTING>` environment variables; lists are
+ * comma-separated.
+ * @param {object} [env]
+ * @returns {ConfigLayer}
+ * @throws {Error} When a setting has an invalid value
+ */
+function layerFromEnv(env = process.env) {
+  const layer = { values: {}, sources: {} };
+  for (const name of Object.keys(SETTINGS)) {
+    const variable = `${ENV_PREFIX}${name.toUpperCase()}`;
+    if (env[variable] !== undefined && env[variable] !== "") {
+      const source = `environment (${variable})`;
+      const value = SETTINGS[name].merge
+        ? env[variable]
+            .split(",")
+            .map((entry) => entry.trim())
+            .filter(Boolean)
+        : env[variable];
+      layer.values[name] = parseSetting(name, value, source);
+      layer.sources[name] = source;
+    }
+  }
+  return layer;
+}
+
+/**
+ * Merge layers, lowest precedence first, on top of the defaults.
+ * @param {ConfigLayer[]} layers
+ * @returns {{values: object, sources: object}} `sources[name]` is the label
+ *   of the layer the value came from; for merged lists, a label per entry
+ */
+function resolveConfig(layers) {
+  const values = {};
+  const sources = {};
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    values[name] = setting.merge ? [...setting.default] : setting.default;
+    sources[name] = setting.merge
+      ? setting.default.map(() => "default")
+      : "default";
+  }
+  for (const layer of layers) {
+    for (const [name, value] of Object.entries(layer.values)) {
+      if (SETTINGS[name].merge) {
+        for (const entry of value) {
+          if (!values[name].includes(entry)) {
+            values[name].push(entry);
+            sources[name].push(layer.sources[name]);
+          }
+        }
+      } else {
+        values[name] = value;
+        sources[name] = layer.sources[name];
+      }
+    }
+  }
+  return { values, sources };
+}
+
+module.exports = {
+  REPO_CONFIG_FILE,
+  ENV_PREFIX,
+  SETTINGS,
+  parseSetting,
+  getRepoConfigPath,
+  getUserConfigPath,
+  readConfigFile,
+  layerFromFile,
+  layerFromGitConfig,
+  layerFromEnv,
+  resolveConfig,
+};
@@ -0,0 +1,37 @@
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const UNITS = { h: HOUR, d: DAY, w: 7 * DAY, y: 365 * DAY };
+
+/**
+ * Parse a duration such as `36h`, `90d`, `12w` or `1y`.
+ * @param {string} text
+ * @returns {number} Milliseconds
+ * @throws {Error} When the text is not a positive number followed by h, d, w or y
+ */
+function parseDuration(text) {
+  const match = /^(\d+)([hdwy])$/.exec(String(text ?? "").trim());
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(
+      `invalid duration ${text}: use a number followed by h, d, w or y (e.g. 90d)`,
+    );
+  }
+  return Number(match[1]) * UNITS[match[2]];
+}
+
+/**
+ * Short, rounded-down age for tables: `5h`, `45d`, `2y`.
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatAge(ms) {
+  if (ms < DAY) {
+    return `${Math.max(0, Math.floor(ms / HOUR))}h`;
+  }
+  if (ms < UNITS.y) {
+    return `${Math.floor(ms / DAY)}d`;
+  }
+  return `${Math.floor(ms / UNITS.y)}y`;
+}
+
+module.exports = { parseDuration, formatAge };
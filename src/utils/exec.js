@@ -0,0 +1,134 @@
+const { spawn } = require("child_process");
+
+// Sentinel returned by silent commands that exceeded their timeout
+const TIMEOUT = "__TIMEOUT__";
+const DEFAULT_TIMEOUT = 30000;
+
+/**
+ * Run a command without blocking the event loop.
+ *
+ * The command is given as an argv array and spawned directly, without a
+ * shell, so branch names and other arguments are never expanded or split.
+ *
+ * Resolves with the trimmed stdout on success. When `silent` is set, failures
+ * resolve to `null` and timeouts to `"__TIMEOUT__"` instead of rejecting, so
+ * callers can keep the sentinel checks they already have.
+ *
+ * @param {string[]} argv - Executable followed by its arguments
+ * @param {object} [options]
+ * @param {boolean} [options.silent] - Capture output instead of inheriting stdio
+ * @param {number} [options.timeout] - Milliseconds before the child is killed
+ * @param {AbortSignal} [options.signal] - Cancels the command when aborted
+ * @param {string} [options.cwd] - Working directory for the child
+ * @param {object} [options.env] - Environment for the child
+ * @returns {Promise<string|null>}
+ */
+function execCommand(argv, options = {}) {
+  const {
+    silent = false,
+    timeout = DEFAULT_TIMEOUT,
+    signal,
+    cwd,
+    env = process.env,
+  } = options;
+
+  const [file, ...args] = argv;
+  const command = argv.join(" ");
+
+  return new Promise((resolve, reject) => {
+    let stdout = "";
+    let stderr = "";
+    let timedOut = false;
+    let settled = false;
+    let timer = null;
+
+    const finish = (error, output) => {
+      if (settled) return;
+      settled = true;
+      if (timer) clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", onAbort);
+
+      if (!error) {
+        resolve(output.trim());
+      } else if (!silent) {
+        reject(error);
+      } else if (timedOut) {
+        resolve(TIMEOUT);
+      } else {
+        resolve(null);
+      }
+    };
+
+    if (signal && signal.aborted) {
+      const error = new Error(`Command cancelled: ${command}`);
+      error.code = "ABORT_ERR";
+      finish(error);
+      return;
+    }
+
+    let child;
+    try {
+      child = spawn(file, args, {
+        shell: false,
+        cwd,
+        env,
+        stdio: silent ? "pipe" : "inherit",
+        windowsHide: true,
+      });
+    } catch (error) {
+      finish(error);
+      return;
+    }
+
+    function onAbort() {
+      child.kill("SIGTERM");
+      const error = new Error(`Command cancelled: ${command}`);
+      error.code = "ABORT_ERR";
+      finish(error);
+    }
+
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        child.kill("SIGTERM");
+        const error = new Error(`Command timed out after ${timeout}ms`);
+        error.code = "ETIMEDOUT";
+        error.signal = "SIGTERM";
+        finish(error);
+      }, timeout);
+    }
+
+    if (child.stdout) {
+      child.stdout.setEncoding("utf8");
+      child.stdout.on("data", (chunk) => {
+        stdout += chunk;
+      });
+    }
+    if (child.stderr) {
+      child.stderr.setEncoding("utf8");
+      child.stderr.on("data", (chunk) => {
+        stderr += chunk;
+      });
+    }
+
+    child.on("error", (error) => finish(error));
+    child.on("close", (code, exitSignal) => {
+      if (code === 0) {
+        finish(null, stdout);
+        return;
+      }
+      const error = new Error(
+        `Command failed: ${command}${stderr ? `\n${stderr.trim()}` : ""}`,
+      );
+      error.status = code;
+      error.signal = exitSignal;
+      error.stdout = stdout;
+      error.stderr = stderr;
+      finish(error);
+    });
+  });
+}
+
+module.exports = { execCommand, TIMEOUT, DEFAULT_TIMEOUT };
@@ -0,0 +1,69 @@
+const fs = require("fs");
+const path = require("path");
+
+// Kept inside the git directory so it is per repository, shared by all
+// worktrees and never shows up in `git status`
+const JOURNAL_FILE = path.join("cleanup-merged", "journal.jsonl");
+
+/**
+ * Path of the undo journal for a repository.
+ * @param {string} gitCommonDir - Output of `git rev-parse --git-common-dir`
+ * @returns {string}
+ */
+function getJournalPath(gitCommonDir) {
+  return path.resolve(gitCommonDir, JOURNAL_FILE);
+}
+
+/**
+ * Append entries to the journal, one JSON object per line.
+ * @param {string} file
+ * @param {object[]} entries
+ * @returns {Promise<void>}
+ */
+async function appendEntries(file, entries) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.appendFile(
+    file,
+    entries.map((entry) => `${JSON.stringify(entry)}\n`).join(""),
+  );
+}
+
+/**
+ * Read every journal entry, oldest first.
+ *
+ * A branch is journaled before it is deleted; when the delete then fails, a
+ * `{runId, branch, failed: true}` marker follows. Marked entries and the
+ * markers themselves are left out.
+ *
+ * @param {string} file
+ * @returns {Promise<object[]>} An empty list when there is no journal yet;
+ *   lines that cannot be parsed (e.g. from an interrupted write) are skipped
+ */
+async function readEntries(file) {
+  let content;
+  try {
+    content = await fs.promises.readFile(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+  const entries = content
+    .split("\n")
+    .filter((line) => line.trim() !== "")
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+  const key = ({ runId, branch }) => `${runId}\t${branch}`;
+  const failed = new Set(
+    entries.filter((entry) => entry.failed).map((entry) => key(entry)),
+  );
+  return entries.filter((entry) => !failed.has(key(entry)));
+}
+
+module.exports = { getJournalPath, appendEntries, readEntries };
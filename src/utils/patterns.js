@@ -0,0 +1,79 @@
+/**
+ * Compile a branch pattern into a regular expression.
+ *
+ * `/source/flags` is a regular expression, matched as written (add `^` and
+ * `$` to anchor it). The `g` and `y` flags are refused: they make `test()`
+ * carry state from one branch name to the next. Anything else is a glob
+ * matched against the whole branch name: `*` matches within one path
+ * segment, `**` across segments and `?` a single character other than `/`.
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ * @throws {Error} When the pattern is empty, not a valid expression or uses
+ *   a stateful flag
+ */
+function compilePattern(pattern) {
+  if (typeof pattern !== "string" || pattern.trim() === "") {
+    throw new Error("empty pattern");
+  }
+
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    const stateful = regex[2].match(/[gy]/);
+    if (stateful) {
+      throw new Error(
+        `invalid regular expression ${pattern}: the ${stateful[0]} flag is not supported`,
+      );
+    }
+    try {
+      return new RegExp(regex[1], regex[2]);
+    } catch (error) {
+      throw new Error(
+        `invalid regular expression ${pattern}: ${error.message}`,
+        { cause: error },
+      );
+    }
+  }
+
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      source += ".*";
+      i++;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Compile a list of patterns, keeping each source for reporting.
+ *
+ * @param {string[]} patterns
+ * @returns {{pattern: string, regex: RegExp}[]}
+ * @throws {Error} On the first invalid pattern
+ */
+function compilePatterns(patterns) {
+  return patterns.map((pattern) => ({
+    pattern,
+    regex: compilePattern(pattern),
+  }));
+}
+
+/**
+ * @param {{pattern: string, regex: RegExp}[]} compiled - From compilePatterns()
+ * @param {string} name - Branch name
+ * @returns {string|null} The first pattern that matches, or `null`
+ */
+function findMatchingPattern(compiled, name) {
+  const match = compiled.find(({ regex }) => regex.test(name));
+  return match ? match.pattern : null;
+}
+
+module.exports = { compilePattern, compilePatterns, findMatchingPattern };
@@ -0,0 +1,174 @@
+const readline = require("readline");
+
+const colors = {
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  dim: "\x1b[2m",
+  reset: "\x1b[0m",
+  bold: "\x1b[1m",
+};
+
+// Typed text, as opposed to control characters and escape sequences
+const isPrintable = (str) =>
+  [...str].every((char) => char.charCodeAt(0) >= 0x20 && char !== "\x7f");
+
+/**
+ * Keyboard-driven checklist on a raw-mode TTY.
+ *
+ * Keys: ↑/↓ move, space toggles, ctrl+a selects every visible item, ctrl+n
+ * clears the visible selection, typing filters, backspace edits the filter,
+ * enter confirms and esc (with an empty filter) or ctrl+c cancels.
+ */
+class Picker {
+  /**
+   * @param {{value: string, label: string}[]} items
+   * @param {object} [options]
+   * @param {string} [options.title]
+   * @param {string[]} [options.selected] - Values that start selected;
+   *   every item when left out
+   * @param {NodeJS.ReadStream} [options.input] - Must be a TTY
+   * @param {NodeJS.WriteStream} [options.output]
+   * @param {number} [options.pageSize] - Number of rows shown at once
+   */
+  constructor(items, options = {}) {
+    this.items = items;
+    this.title = options.title || "Select items";
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.pageSize = options.pageSize || 10;
+    this.selected = new Set(
+      options.selected || items.map((item) => item.value),
+    );
+    this.filter = "";
+    this.cursor = 0;
+    this.renderedLines = 0;
+  }
+
+  getVisibleItems() {
+    const filter = this.filter.toLowerCase();
+    return this.items.filter((item) =>
+      item.label.toLowerCase().includes(filter),
+    );
+  }
+
+  /**
+   * Apply a keypress as emitted by readline.emitKeypressEvents().
+   * @returns {"confirm"|"cancel"|null} What the key finished, if anything
+   */
+  handleKey(str, key = {}) {
+    const visible = this.getVisibleItems();
+    if (key.ctrl && key.name === "c") {
+      return "cancel";
+    }
+    if (key.ctrl && key.name === "a") {
+      visible.forEach((item) => this.selected.add(item.value));
+    } else if (key.ctrl && key.name === "n") {
+      visible.forEach((item) => this.selected.delete(item.value));
+    } else if (key.name === "return" || key.name === "enter") {
+      return "confirm";
+    } else if (key.name === "escape") {
+      if (this.filter === "") {
+        return "cancel";
+      }
+      this.filter = "";
+      this.cursor = 0;
+    } else if (key.name === "up") {
+      this.cursor = Math.max(0, this.cursor - 1);
+    } else if (key.name === "down") {
+      this.cursor = Math.max(0, Math.min(visible.length - 1, this.cursor + 1));
+    } else if (key.name === "space") {
+      const item = visible[this.cursor];
+      if (item && this.selected.has(item.value)) {
+        this.selected.delete(item.value);
+      } else if (item) {
+        this.selected.add(item.value);
+      }
+    } else if (key.name === "backspace") {
+      this.filter = this.filter.slice(0, -1);
+      this.cursor = 0;
+    } else if (str && !key.ctrl && !key.meta && isPrintable(str)) {
+      this.filter += str;
+      this.cursor = 0;
+    }
+    return null;
+  }
+
+  // Selected values in their original order
+  getSelection() {
+    return this.items
+      .filter((item) => this.selected.has(item.value))
+      .map((item) => item.value);
+  }
+
+  render() {
+    const visible = this.getVisibleItems();
+    const start = Math.min(
+      Math.max(0, this.cursor - Math.floor(this.pageSize / 2)),
+      Math.max(0, visible.length - this.pageSize),
+    );
+    const lines = [
+      `${colors.bold}? ${this.title}${colors.reset}`,
+      `${colors.dim}  ↑/↓ move · space toggle · ctrl+a all · ctrl+n none · type to filter · enter confirm · esc cancel${colors.reset}`,
+      `  Filter: ${this.filter}`,
+    ];
+    visible.slice(start, start + this.pageSize).forEach((item, offset) => {
+      const active = start + offset === this.cursor;
+      const box = this.selected.has(item.value)
+        ? `${colors.green}◉${colors.reset}`
+        : "◯";
+      const pointer = active ? `${colors.blue}❯${colors.reset}` : " ";
+      lines.push(`${pointer} ${box} ${item.label}`);
+    });
+    if (visible.length === 0) {
+      lines.push(
+        `${colors.yellow}  No branches match the filter${colors.reset}`,
+      );
+    }
+    lines.push(
+      `${colors.dim}  ${this.selected.size} of ${this.items.length} selected${colors.reset}`,
+    );
+
+    // Redraw in place over the previous frame
+    let frame = "";
+    if (this.renderedLines > 0) {
+      frame += `\x1b[${this.renderedLines}A\r\x1b[0J`;
+    }
+    frame += `${lines.join("\n")}\n`;
+    this.output.write(frame);
+    this.renderedLines = lines.length;
+  }
+
+  /**
+   * Show the checklist and wait for the user.
+   * @returns {Promise<string[]|null>} The selected values, or `null` when
+   *   cancelled
+   */
+  prompt() {
+    return new Promise((resolve) => {
+      readline.emitKeypressEvents(this.input);
+      const wasRaw = this.input.isRaw;
+      this.input.setRawMode(true);
+      this.input.resume();
+      this.output.write("\x1b[?25l"); // Hide cursor
+
+      const onKeypress = (str, key) => {
+        const outcome = this.handleKey(str, key);
+        if (!outcome) {
+          this.render();
+          return;
+        }
+        this.input.removeListener("keypress", onKeypress);
+        this.input.setRawMode(wasRaw || false);
+        this.input.pause();
+        this.output.write("\x1b[?25h"); // Show cursor
+        resolve(outcome === "confirm" ? this.getSelection() : null);
+      };
+
+      this.input.on("keypress", onKeypress);
+      this.render();
+    });
+  }
+}
+
+module.exports = Picker;